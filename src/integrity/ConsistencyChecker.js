@@ -0,0 +1,276 @@
+/**
+ * ConsistencyChecker.js - Database / index consistency checks
+ *
+ * The database is the source of truth and the in-memory VectorIndex and
+ * KeywordIndex are derived from it, so they can drift: rows removed without
+ * touching the indexes, an import that failed partway, or embeddings of the
+ * wrong size that were skipped while building. verify() reports:
+ * - orphanVectors:     indexed ids without a live memory
+ * - orphanKeywords:    keyword documents without a live memory
+ * - missingVectors:    live memories with a usable embedding that are not indexed
+ * - missingEmbeddings: live memories without an embedding
+ * - wrongDimensions:   embeddings that are unreadable or not `dimensions` long
+ * - invalidJson:       memory tags/entities/facts/metadata and bank config
+ *                      values that do not parse, or parse to the wrong shape
+ *
+ * With repair: true it also fixes them. Orphan vectors and keyword documents
+ * are removed and missing vectors are indexed. Missing and wrong-size embeddings are
+ * re-embedded from the memory content, stored and indexed. Broken JSON
+ * columns are reset to their empty value ([] or {}). Repairs that fail are
+ * listed with their error.
+ *
+ * Usage:
+ *   const checker = new ConsistencyChecker(storage, vectorIndex, keywordIndex, { dimensions: 384, embed, index });
+ *   const report = await checker.verify({ repair: true });
+ */
+
+// Expected shape of each JSON column
+const MEMORY_JSON_COLUMNS = { tags: 'array', entities: 'array', facts: 'array', metadata: 'object' };
+const BANK_JSON_COLUMNS = { config: 'object' };
+
+const ISSUE_TYPES = ['orphanVectors', 'orphanKeywords', 'missingVectors', 'missingEmbeddings', 'wrongDimensions', 'invalidJson'];
+
+class ConsistencyChecker {
+  /**
+   * @param {StorageAdapter} storage - Source of truth
+   * @param {VectorIndex} vectorIndex - Index to compare against
+   * @param {KeywordIndex} keywordIndex - Keyword index to compare against
+   * @param {Object} config - {
+   *   dimensions: expected embedding size,
+   *   embed:      async (texts) => embeddings, for re-embedding,
+   *   index:      async (memory) => adds a memory record's vector,
+   *   limit:      issues listed per type in a report (counts are always complete),
+   *   batchSize:  contents embedded per call while repairing
+   * }
+   */
+  constructor(storage, vectorIndex, keywordIndex, config = {}) {
+    this.storage = storage;
+    this.vectorIndex = vectorIndex;
+    this.keywordIndex = keywordIndex;
+    this.embed = config.embed;
+    this.index = config.index;
+    this.config = {
+      dimensions: config.dimensions || 384,
+      limit: config.limit ?? 100,
+      batchSize: config.batchSize || 32
+    };
+  }
+
+  /**
+   * Compare the database with the vector and keyword indexes
+   * @param {Object} options - { repair: fix what can be fixed, limit: issues listed per type }
+   * @returns {Object} - { healthy, checked, counts, issues, repairs?, elapsedMs }
+   */
+  async verify(options = {}) {
+    const { repair = false, limit = this.config.limit } = options;
+    const startTime = Date.now();
+
+    const { memories, banks } = this.storage.listRawRecords();
+    const indexedIds = this.vectorIndex.ids();
+    const keywordIds = this.keywordIndex.ids();
+    const issues = this._findIssues(memories, banks, indexedIds, keywordIds);
+
+    const counts = Object.fromEntries(ISSUE_TYPES.map(type => [type, issues[type].length]));
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    console.log(`[ConsistencyChecker] Checked ${memories.length} memories, ${indexedIds.length} vectors and ${keywordIds.length} keyword documents: ${total} issues`);
+
+    const report = {
+      healthy: total === 0,
+      checked: { memories: memories.length, banks: banks.length, vectors: indexedIds.length, keywords: keywordIds.length },
+      counts,
+      issues: Object.fromEntries(ISSUE_TYPES.map(type => [type, issues[type].slice(0, limit)]))
+    };
+
+    if (repair) {
+      const contents = new Map(memories.map(memory => [memory.id, memory.content]));
+      report.repairs = await this._repair(issues, contents);
+    }
+
+    report.elapsedMs = Date.now() - startTime;
+    return report;
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  _findIssues(memories, banks, indexedIds, keywordIds) {
+    const issues = Object.fromEntries(ISSUE_TYPES.map(type => [type, []]));
+    const liveIds = new Set(memories.map(memory => memory.id));
+
+    for (const id of indexedIds) {
+      if (!liveIds.has(id)) issues.orphanVectors.push(id);
+    }
+
+    for (const id of keywordIds) {
+      if (!liveIds.has(id)) issues.orphanKeywords.push(id);
+    }
+
+    for (const memory of memories) {
+      const dimensions = embeddingDimensions(memory);
+      if (dimensions === null) {
+        issues.missingEmbeddings.push(memory.id);
+      } else if (dimensions !== this.config.dimensions) {
+        issues.wrongDimensions.push({ id: memory.id, dimensions });
+      } else if (!this.vectorIndex.has(memory.id)) {
+        issues.missingVectors.push(memory.id);
+      }
+
+      for (const [column, shape] of Object.entries(MEMORY_JSON_COLUMNS)) {
+        if (!hasShape(memory[column], shape)) {
+          issues.invalidJson.push({ table: 'memories', id: memory.id, column });
+        }
+      }
+    }
+
+    for (const bank of banks) {
+      for (const [column, shape] of Object.entries(BANK_JSON_COLUMNS)) {
+        if (!hasShape(bank[column], shape)) {
+          issues.invalidJson.push({ table: 'banks', id: bank.id, column });
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * @private
+   */
+  async _repair(issues, contents) {
+    const repairs = { vectorsRemoved: 0, keywordsRemoved: 0, vectorsAdded: 0, reembedded: 0, jsonReset: 0, failed: [] };
+    const fail = (id, error) => repairs.failed.push({ id, error: error.message || error });
+
+    for (const { table, id, column } of issues.invalidJson) {
+      try {
+        this._resetJson(table, id, column);
+        repairs.jsonReset++;
+      } catch (error) {
+        fail(id, error);
+      }
+    }
+
+    for (const id of issues.orphanVectors) {
+      if (await this.vectorIndex.removeVector(id)) repairs.vectorsRemoved++;
+    }
+
+    for (const id of issues.orphanKeywords) {
+      if (this.keywordIndex.removeDocument(id)) repairs.keywordsRemoved++;
+    }
+
+    repairs.vectorsAdded += await this._indexStored(issues.missingVectors, fail);
+
+    // Embeddings that are absent or unusable are regenerated from the content
+    const toEmbed = [];
+    for (const id of [...issues.missingEmbeddings, ...issues.wrongDimensions.map(issue => issue.id)]) {
+      if (contents.get(id)) {
+        toEmbed.push(id);
+      } else {
+        fail(id, 'no content to embed');
+      }
+    }
+
+    for (let i = 0; i < toEmbed.length; i += this.config.batchSize) {
+      const batch = toEmbed.slice(i, i + this.config.batchSize);
+      let embeddings;
+      try {
+        embeddings = await this.embed(batch.map(id => contents.get(id)));
+      } catch (error) {
+        batch.forEach(id => fail(id, error));
+        continue;
+      }
+
+      const stored = [];
+      batch.forEach((id, n) => {
+        if (embeddings[n]?.length !== this.config.dimensions) {
+          fail(id, `embedding model returned ${embeddings[n]?.length || 0} dimensions`);
+          return;
+        }
+        this.storage.updateMemory(id, { embedding: embeddings[n] });
+        stored.push(id);
+      });
+
+      repairs.reembedded += stored.length;
+      repairs.vectorsAdded += await this._indexStored(stored, fail);
+    }
+
+    console.log(`[ConsistencyChecker] Repaired: ${repairs.vectorsRemoved} vectors and ${repairs.keywordsRemoved} keyword documents removed, ${repairs.vectorsAdded} added, ${repairs.reembedded} re-embedded, ${repairs.jsonReset} JSON values reset, ${repairs.failed.length} failed`);
+    return repairs;
+  }
+
+  /**
+   * Index memories from their stored embeddings
+   * @returns {number} - Vectors added
+   * @private
+   */
+  async _indexStored(ids, fail) {
+    if (ids.length === 0) return 0;
+
+    let added = 0;
+    for (const memory of this.storage.listEmbeddings({ ids })) {
+      if (await this.index(memory)) {
+        added++;
+      } else {
+        fail(memory.id, 'vector index rejected the embedding');
+      }
+    }
+    return added;
+  }
+
+  /**
+   * @private
+   */
+  _resetJson(table, id, column) {
+    const empty = (table === 'banks' ? BANK_JSON_COLUMNS : MEMORY_JSON_COLUMNS)[column] === 'array' ? [] : {};
+
+    if (table === 'banks') {
+      const bank = this.storage.getBank(id);
+      this.storage.updateBank(id, { name: bank.name, description: bank.description, [column]: empty });
+    } else {
+      this.storage.updateMemory(id, { [column]: empty });
+    }
+  }
+}
+
+/**
+ * Length of a raw stored embedding: null when there is none, 0 when it
+ * cannot be read
+ */
+function embeddingDimensions(memory) {
+  if (memory.embedding_type === 'blob') {
+    return memory.embedding_bytes % 4 === 0 ? memory.embedding_bytes / 4 : 0;
+  }
+
+  if (memory.embedding_type === 'text') {
+    try {
+      const parsed = JSON.parse(memory.embedding_text);
+      return Array.isArray(parsed) && parsed.every(Number.isFinite) ? parsed.length : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a raw JSON column parses to the expected container. NULL counts as
+ * empty, which every reader already treats as the default.
+ */
+function hasShape(value, shape) {
+  if (value === null || value === undefined) return true;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (shape === 'array') return Array.isArray(parsed);
+  return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+}
+
+module.exports = { ConsistencyChecker, ISSUE_TYPES };
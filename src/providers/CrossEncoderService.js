@@ -0,0 +1,202 @@
+/**
+ * CrossEncoderService.js - Local cross-encoder re-ranking using Xenova/transformers.js
+ *
+ * A bi-encoder (EmbeddingService) embeds query and memory separately, so
+ * its similarity is cheap but noisy. A cross-encoder reads each
+ * query/memory pair together and scores how well the memory answers the
+ * query; recall uses it to re-order its top candidates.
+ *
+ * Model: Xenova/ms-marco-MiniLM-L-6-v2 (default)
+ * Size: ~23MB (downloaded on first use)
+ *
+ * The model is loaded lazily, on the first score() call, so servers that
+ * never re-rank do not pay for it.
+ *
+ * Usage:
+ *   const reranker = new CrossEncoderService({ model: 'Xenova/ms-marco-MiniLM-L-6-v2' });
+ *   const scores = await reranker.score('auth bug', ['Token refresh fails after 1h', 'Button colors']);
+ *   // [0.91, 0.02] - relevance between 0 and 1 per text
+ */
+
+const { EventEmitter } = require('events');
+
+const BATCH_SIZE = 16;
+
+class CrossEncoderService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      model: options.model || 'Xenova/ms-marco-MiniLM-L-6-v2',
+      cacheDir: options.cacheDir || null,
+      quantized: options.quantized !== false, // Use quantized by default (smaller/faster)
+      maxLength: options.maxLength || 512
+    };
+
+    this.tokenizer = null;
+    this.model = null;
+    this.initialized = false;
+    this.initializing = null;   // Promise of the load in progress
+
+    this.stats = {
+      pairsScored: 0,
+      averageTimeMs: 0,
+      initTimeMs: 0,
+      calls: 0
+    };
+  }
+
+  /**
+   * Load the tokenizer and model (downloads them on first run)
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    if (!this.initializing) {
+      this.initializing = this._load().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Relevance of each text to the query
+   * @param {string} query - Search query
+   * @param {string[]} texts - Candidate texts
+   * @returns {Promise<number[]>} - Scores between 0 and 1, in input order
+   */
+  async score(query, texts) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return [];
+    }
+
+    const startTime = Date.now();
+    const scores = [];
+
+    try {
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const batch = texts.slice(i, i + BATCH_SIZE);
+        const inputs = this.tokenizer(new Array(batch.length).fill(query), {
+          text_pair: batch,
+          padding: true,
+          truncation: true,
+          max_length: this.config.maxLength
+        });
+        const { logits } = await this.model(inputs);
+        scores.push(...relevanceScores(logits));
+      }
+    } catch (error) {
+      console.error(`[CrossEncoderService] Scoring failed:`, error.message);
+      throw error;
+    }
+
+    // Update stats
+    const timeMs = Date.now() - startTime;
+    this.stats.calls++;
+    this.stats.pairsScored += texts.length;
+    this.stats.averageTimeMs = (
+      (this.stats.averageTimeMs * (this.stats.calls - 1) + timeMs) / this.stats.calls
+    );
+
+    return scores;
+  }
+
+  /**
+   * Get service statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      initialized: this.initialized,
+      model: this.config.model
+    };
+  }
+
+  /**
+   * Check if the model is loaded
+   */
+  isReady() {
+    return this.initialized;
+  }
+
+  /**
+   * Get model info
+   */
+  getModelInfo() {
+    return {
+      model: this.config.model,
+      quantized: this.config.quantized,
+      initialized: this.initialized
+    };
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  async _load() {
+    const startTime = Date.now();
+
+    try {
+      console.log(`[CrossEncoderService] Loading model: ${this.config.model}`);
+
+      // Dynamic import for ES module
+      const { AutoTokenizer, AutoModelForSequenceClassification, env } = await import('@xenova/transformers');
+
+      // Configure cache directory if specified
+      if (this.config.cacheDir) {
+        env.cacheDir = this.config.cacheDir;
+      }
+
+      this.tokenizer = await AutoTokenizer.from_pretrained(this.config.model);
+      this.model = await AutoModelForSequenceClassification.from_pretrained(
+        this.config.model,
+        { quantized: this.config.quantized }
+      );
+
+      this.stats.initTimeMs = Date.now() - startTime;
+      this.initialized = true;
+
+      console.log(`[CrossEncoderService] Model loaded in ${this.stats.initTimeMs}ms`);
+      this.emit('initialized', { timeMs: this.stats.initTimeMs });
+
+      return true;
+    } catch (error) {
+      console.error(`[CrossEncoderService] Failed to load model:`, error.message);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Per-pair relevance from classifier logits: the sigmoid of a single
+ * relevance logit, or the softmax probability of the last ("relevant") label
+ */
+function relevanceScores(logits) {
+  const [rows, labels] = logits.dims;
+  const data = logits.data;
+  const scores = [];
+
+  for (let row = 0; row < rows; row++) {
+    const values = Array.from(data.slice(row * labels, (row + 1) * labels));
+    if (labels === 1) {
+      scores.push(1 / (1 + Math.exp(-values[0])));
+    } else {
+      const max = Math.max(...values);
+      const exps = values.map(v => Math.exp(v - max));
+      scores.push(exps[exps.length - 1] / exps.reduce((sum, v) => sum + v, 0));
+    }
+  }
+  return scores;
+}
+
+module.exports = { CrossEncoderService };
@@ -0,0 +1,521 @@
+/**
+ * HnswIndex.js - Pure-JavaScript HNSW approximate nearest neighbour graph
+ *
+ * Hierarchical Navigable Small World graph (Malkov & Yashunin, 2016) over
+ * unit-length vectors, so cosine similarity is a dot product. No native or
+ * WASM dependencies.
+ *
+ * Vectors are held in the form chosen by a codec (see Quantization.js):
+ * full Float32Arrays by default, or int8 / product-quantized codes.
+ *
+ * Parameters:
+ * - M:              Links per node on upper layers (2*M on layer 0)
+ * - efConstruction: Candidate list size while inserting (build quality)
+ * - efSearch:       Candidate list size while searching (recall vs speed)
+ * - codec:          Vector codec (default: Float32Codec)
+ *
+ * Deletes are tombstones: the node stays in the graph for navigation but is
+ * never returned. Owners should rebuild (compact() or a fresh graph) once
+ * tombstones make up a large share of the nodes.
+ *
+ * Usage:
+ *   const graph = new HnswIndex({ M: 16, efConstruction: 100, efSearch: 50 });
+ *   graph.add('mem-123', unitVector);
+ *   graph.remove('mem-123');
+ *   const results = graph.search(unitQuery, 10);
+ */
+
+const { Float32Codec } = require('./Quantization');
+
+class HnswIndex {
+  constructor(options = {}) {
+    this.config = {
+      M: options.M || 16,
+      efConstruction: options.efConstruction || 100,
+      efSearch: options.efSearch || 50
+    };
+
+    this.codec = options.codec || null;
+
+    this.maxLinks0 = this.config.M * 2;
+    this.levelMult = 1 / Math.log(Math.max(this.config.M, 2));
+
+    this._reset();
+  }
+
+  /**
+   * Number of live (non-deleted) vectors
+   */
+  get size() {
+    return this.nodeById.size;
+  }
+
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  /**
+   * Insert a vector; an existing id is replaced
+   * @param {string} id - Memory ID
+   * @param {*} vector - Vector in the codec's stored form (a unit-length
+   *   Float32Array by default)
+   * @param {Float32Array} query - Full-precision vector to route the insert
+   *   with (default: the decoded stored vector)
+   */
+  add(id, vector, query = null) {
+    if (!this.codec) this.codec = new Float32Codec({ dimensions: vector.length });
+
+    if (this.nodeById.has(id)) {
+      this._markDeleted(this.nodeById.get(id));
+    }
+
+    const node = this.ids.length;
+    this.ids.push(id);
+    this.vectors.push(vector);
+    this.deleted.push(0);
+    this.nodeById.set(id, node);
+
+    this._insert(node, this.codec.prepareQuery(query || this.codec.decode(vector)));
+  }
+
+  /**
+   * Remove a vector
+   * @param {string} id - Memory ID
+   * @returns {boolean} - False if the id was not present
+   */
+  remove(id) {
+    const node = this.nodeById.get(id);
+    if (node === undefined) return false;
+
+    this._markDeleted(node);
+    return true;
+  }
+
+  /**
+   * Swap the stored vector of a live node, e.g. for a private copy before
+   * the caller reuses the original's memory
+   * @returns {boolean} - False if the id was not present
+   */
+  setVector(id, vector) {
+    const node = this.nodeById.get(id);
+    if (node === undefined) return false;
+
+    this.vectors[node] = vector;
+    return true;
+  }
+
+  /**
+   * Approximate k nearest neighbours
+   * @param {Float32Array} query - Unit-length query vector
+   * @param {number} k - Number of results
+   * @param {number} ef - Candidate list size (default: efSearch)
+   * @param {Function} filter - Optional (id) => boolean; rejected nodes are
+   *   traversed like tombstones but never returned
+   * @returns {Array<{id: string, score: number}>} - Most similar first
+   */
+  search(query, k, ef = this.config.efSearch, filter = null) {
+    if (this.entryPoint < 0 || this.size === 0) return [];
+
+    const prepared = this.codec.prepareQuery(query);
+
+    let ep = this.entryPoint;
+    for (let level = this.maxLevel; level > 0; level--) {
+      ep = this._greedyClosest(prepared, ep, level);
+    }
+
+    return this._searchLayer(prepared, [ep], Math.max(ef, k), 0, filter)
+      .slice(0, k)
+      .map(({ node, dist }) => ({ id: this.ids[node], score: 1 - dist }));
+  }
+
+  /**
+   * Drop every vector
+   */
+  clear() {
+    this._reset();
+  }
+
+  /**
+   * Rebuild the graph from live vectors, discarding tombstones
+   */
+  compact() {
+    const live = [];
+    for (const [id, node] of this.nodeById) {
+      live.push([id, this.vectors[node]]);
+    }
+
+    this._reset();
+    for (const [id, vector] of live) {
+      this.add(id, vector);
+    }
+  }
+
+  /**
+   * Re-encode every node, live or tombstoned, with another codec. Links are
+   * kept as they are.
+   * @param {Object} codec - Target codec
+   * @param {Function} convert - (storedVector) => vector in the new codec's form
+   */
+  recode(codec, convert) {
+    for (let node = 0; node < this.vectors.length; node++) {
+      this.vectors[node] = convert(this.vectors[node]);
+    }
+    this.codec = codec;
+  }
+
+  /**
+   * Total links across all layers (for memory estimates)
+   */
+  linkCount() {
+    let count = 0;
+    for (const layers of this.links) {
+      for (const layer of layers) count += layer.length;
+    }
+    return count;
+  }
+
+  /**
+   * Graph internals for persistence. Arrays are shared, not copied; a node's
+   * links are indexed by layer.
+   * @returns {Object} - { ids, vectors, links, deleted, entryPoint, maxLevel }
+   */
+  exportGraph() {
+    return {
+      ids: this.ids,
+      vectors: this.vectors,
+      links: this.links,
+      deleted: this.deleted,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel
+    };
+  }
+
+  /**
+   * Recreate a graph from exportGraph() output without re-inserting
+   * @param {Object} options - Same as the constructor
+   * @param {Object} data - { ids, vectors, links, deleted, entryPoint, maxLevel }
+   */
+  static fromGraph(options, data) {
+    const graph = new HnswIndex(options);
+
+    graph.ids = data.ids;
+    graph.vectors = data.vectors;
+    graph.links = data.links;
+    graph.deleted = data.deleted;
+    graph.entryPoint = data.entryPoint;
+    graph.maxLevel = data.maxLevel;
+
+    for (let node = 0; node < graph.ids.length; node++) {
+      if (graph.deleted[node]) {
+        graph.deletedCount++;
+      } else {
+        graph.nodeById.set(graph.ids[node], node);
+      }
+    }
+
+    return graph;
+  }
+
+  /**
+   * Share of nodes that are tombstones
+   */
+  deletedRatio() {
+    return this.ids.length === 0 ? 0 : this.deletedCount / this.ids.length;
+  }
+
+  getStats() {
+    return {
+      M: this.config.M,
+      efConstruction: this.config.efConstruction,
+      efSearch: this.config.efSearch,
+      nodes: this.ids.length,
+      deleted: this.deletedCount,
+      maxLevel: this.maxLevel
+    };
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  _reset() {
+    this.ids = [];          // node -> memory id
+    this.vectors = [];      // node -> Float32Array
+    this.links = [];        // node -> [layer] -> node[]
+    this.deleted = [];      // node -> 0|1
+    this.nodeById = new Map();
+    this.deletedCount = 0;
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.visited = new Uint32Array(0);
+    this.visitTag = 0;
+  }
+
+  /**
+   * @private
+   */
+  _insert(node, query) {
+    const vector = this.vectors[node];
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMult);
+
+    this.links[node] = [];
+    for (let l = 0; l <= level; l++) this.links[node].push([]);
+
+    if (this.entryPoint < 0) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let ep = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      ep = this._greedyClosest(query, ep, l);
+    }
+
+    let entryPoints = [ep];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      let candidates = this._searchLayer(query, entryPoints, this.config.efConstruction, l);
+      if (candidates.length === 0) {
+        // Only tombstones nearby; link through the entry points anyway
+        candidates = entryPoints.map(n => ({ node: n, dist: this.codec.distance(vector, this.vectors[n]) }));
+      }
+
+      const maxLinks = l === 0 ? this.maxLinks0 : this.config.M;
+      const neighbors = this._selectNeighbors(candidates, this.config.M);
+      this.links[node][l] = neighbors;
+
+      for (const neighbor of neighbors) {
+        const neighborLinks = this.links[neighbor][l];
+        neighborLinks.push(node);
+
+        if (neighborLinks.length > maxLinks) {
+          const base = this.vectors[neighbor];
+          const scored = neighborLinks
+            .map(n => ({ node: n, dist: this.codec.distance(base, this.vectors[n]) }))
+            .sort((a, b) => a.dist - b.dist);
+          this.links[neighbor][l] = this._selectNeighbors(scored, maxLinks);
+        }
+      }
+
+      entryPoints = candidates.map(c => c.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates closer to the base than
+   * to any already selected neighbour, then fill up with the pruned ones.
+   * @param {Array<{node, dist}>} candidates - Sorted by distance ascending
+   * @private
+   */
+  _selectNeighbors(candidates, m) {
+    if (candidates.length <= m) return candidates.map(c => c.node);
+
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= m) break;
+
+      const vector = this.vectors[candidate.node];
+      let keep = true;
+      for (const chosen of selected) {
+        if (this.codec.distance(vector, this.vectors[chosen]) < candidate.dist) {
+          keep = false;
+          break;
+        }
+      }
+
+      (keep ? selected : pruned).push(candidate.node);
+    }
+
+    for (let i = 0; i < pruned.length && selected.length < m; i++) {
+      selected.push(pruned[i]);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Walk one layer towards the query, one closest node at a time
+   * @param {*} query - Query prepared by the codec
+   * @private
+   */
+  _greedyClosest(query, ep, level) {
+    let current = ep;
+    let currentDist = this.codec.queryDistance(query, this.vectors[current]);
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const neighbor of this.links[current][level] || []) {
+        const dist = this.codec.queryDistance(query, this.vectors[neighbor]);
+        if (dist < currentDist) {
+          current = neighbor;
+          currentDist = dist;
+          changed = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Best-first search of one layer. Tombstoned nodes, and nodes the filter
+   * rejects, are traversed but never returned.
+   * @param {*} query - Query prepared by the codec
+   * @returns {Array<{node, dist}>} - Up to ef live nodes, closest first
+   * @private
+   */
+  _searchLayer(query, entryPoints, ef, level, filter = null) {
+    const tag = this._nextVisitTag();
+    const candidates = new MinHeap();
+    const results = new MinHeap();   // keyed by -dist, so the top is the furthest
+
+    for (const ep of entryPoints) {
+      if (this.visited[ep] === tag) continue;
+      this.visited[ep] = tag;
+
+      const dist = this.codec.queryDistance(query, this.vectors[ep]);
+      candidates.push(dist, ep);
+      if (this._returnable(ep, filter)) results.push(-dist, ep);
+    }
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const dist = candidates.peekKey();
+      const current = candidates.pop();
+
+      if (results.size >= ef && dist > -results.peekKey()) break;
+
+      for (const neighbor of this.links[current][level] || []) {
+        if (this.visited[neighbor] === tag) continue;
+        this.visited[neighbor] = tag;
+
+        const neighborDist = this.codec.queryDistance(query, this.vectors[neighbor]);
+        if (results.size < ef || neighborDist < -results.peekKey()) {
+          candidates.push(neighborDist, neighbor);
+
+          if (this._returnable(neighbor, filter)) {
+            results.push(-neighborDist, neighbor);
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    const found = [];
+    while (results.size > 0) {
+      const dist = -results.peekKey();
+      found.push({ node: results.pop(), dist });
+    }
+    return found.reverse();
+  }
+
+  /**
+   * @private
+   */
+  _returnable(node, filter) {
+    return !this.deleted[node] && (!filter || filter(this.ids[node]));
+  }
+
+  /**
+   * Generation counter for the visited array, so it never needs clearing
+   * @private
+   */
+  _nextVisitTag() {
+    if (this.visited.length < this.ids.length) {
+      const grown = new Uint32Array(Math.max(1024, this.ids.length * 2));
+      grown.set(this.visited);
+      this.visited = grown;
+    }
+
+    this.visitTag++;
+    if (this.visitTag === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitTag = 1;
+    }
+    return this.visitTag;
+  }
+
+  /**
+   * @private
+   */
+  _markDeleted(node) {
+    if (this.deleted[node]) return;
+
+    this.deleted[node] = 1;
+    this.deletedCount++;
+    this.nodeById.delete(this.ids[node]);
+  }
+}
+
+/**
+ * Binary min-heap of (key, value) pairs
+ */
+class MinHeap {
+  constructor() {
+    this.keys = [];
+    this.values = [];
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  peekKey() {
+    return this.keys[0];
+  }
+
+  push(key, value) {
+    const keys = this.keys;
+    const values = this.values;
+    let i = keys.length;
+    keys.push(key);
+    values.push(value);
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      keys[i] = keys[parent];
+      values[i] = values[parent];
+      i = parent;
+    }
+    keys[i] = key;
+    values[i] = value;
+  }
+
+  pop() {
+    const keys = this.keys;
+    const values = this.values;
+    const top = values[0];
+    const lastKey = keys.pop();
+    const lastValue = values.pop();
+
+    if (keys.length > 0) {
+      let i = 0;
+      const n = keys.length;
+      while (true) {
+        let child = 2 * i + 1;
+        if (child >= n) break;
+        if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+        if (keys[child] >= lastKey) break;
+        keys[i] = keys[child];
+        values[i] = values[child];
+        i = child;
+      }
+      keys[i] = lastKey;
+      values[i] = lastValue;
+    }
+
+    return top;
+  }
+}
+
+module.exports = { HnswIndex };
@@ -0,0 +1,301 @@
+/**
+ * KeywordIndex.js - In-memory BM25 inverted index over memory text
+ *
+ * Complements VectorIndex: small embedding models blur exact identifiers
+ * (class names, error codes, selectors), while term matching does not. Each
+ * memory's content, entities and facts are tokenized into one document, and
+ * search ranks documents with Okapi BM25.
+ *
+ * Like VectorIndex, the index is partitioned by bank (term statistics are
+ * per bank) and each document carries the same filterable fields, so
+ * filters (see utils/filters.js) apply while ranking.
+ *
+ * Tokens are lowercased. Identifiers are indexed whole and split, so
+ * "PaymentService.charge" matches "paymentservice.charge", "payment",
+ * "service" and "charge", and "ERR_CONN_RESET" matches itself and "conn".
+ *
+ * Usage:
+ *   const index = new KeywordIndex({ k1: 1.2, b: 0.75 });
+ *   index.addDocument('mem-123', { bankId: 'my-bank', text: 'ERR_CONN_RESET on checkout', tags: ['api'] });
+ *   const results = index.search('ERR_CONN_RESET', 10, { bankId: 'my-bank' });  // [{ id, score }]
+ */
+
+const { compileMemoryFilter } = require('../utils/filters');
+
+class KeywordIndex {
+  constructor(options = {}) {
+    this.config = {
+      k1: options.k1 ?? 1.2,
+      b: options.b ?? 0.75
+    };
+
+    this.partitions = new Map();   // bank_id -> { postings: Map(term -> Map(id -> tf)), lengths: Map(id -> length), totalLength }
+    this.docs = new Map();         // memory_id -> { terms, meta: { bankId, type, storyId, tags, ... } }
+
+    this.stats = {
+      searches: 0
+    };
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Index (or re-index) a memory's text
+   * @param {string} id - Memory ID
+   * @param {Object} doc - { text, bankId, type, storyId, tags, source, stage, createdAt, metadata }
+   */
+  addDocument(id, { text, ...meta }) {
+    this.removeDocument(id);
+    const bankId = meta.bankId;
+
+    const tokens = tokenize(text);
+    const counts = new Map();
+    for (const token of tokens) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+
+    const partition = this._getPartition(bankId);
+    for (const [term, tf] of counts) {
+      let posting = partition.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        partition.postings.set(term, posting);
+      }
+      posting.set(id, tf);
+    }
+    partition.lengths.set(id, tokens.length);
+    partition.totalLength += tokens.length;
+
+    this.docs.set(id, {
+      terms: [...counts.keys()],
+      meta: {
+        ...meta,
+        tags: Array.isArray(meta.tags) ? meta.tags : [],
+        metadata: meta.metadata && typeof meta.metadata === 'object' ? meta.metadata : {}
+      }
+    });
+  }
+
+  /**
+   * Change the filterable fields of a document; a bank change moves it
+   * @param {string} id - Memory ID
+   * @param {Object} meta - Any of the filterable fields given to addDocument
+   */
+  updateMetadata(id, meta) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+
+    // Term frequencies are not kept per document; a bank change rebuilds
+    // them from the postings
+    const text = meta.bankId !== undefined && meta.bankId !== doc.meta.bankId
+      ? this._reconstruct(id, doc)
+      : null;
+    const updated = { ...doc.meta };
+    for (const [key, value] of Object.entries(meta)) {
+      if (value !== undefined) updated[key] = value;
+    }
+
+    if (text !== null) {
+      this.addDocument(id, { ...updated, text });
+    } else {
+      this.docs.set(id, { terms: doc.terms, meta: updated });
+    }
+    return true;
+  }
+
+  /**
+   * Every indexed memory ID
+   */
+  ids() {
+    return [...this.docs.keys()];
+  }
+
+  removeDocument(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+
+    const { bankId } = doc.meta;
+    const partition = this.partitions.get(bankId);
+    for (const term of doc.terms) {
+      const posting = partition.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) partition.postings.delete(term);
+    }
+    partition.totalLength -= partition.lengths.get(id);
+    partition.lengths.delete(id);
+    if (partition.lengths.size === 0) this.partitions.delete(bankId);
+
+    this.docs.delete(id);
+    return true;
+  }
+
+  clear() {
+    this.partitions.clear();
+    this.docs.clear();
+  }
+
+  /**
+   * Rank documents by BM25
+   * @param {string} query - Free text
+   * @param {number} k - Number of results
+   * @param {Object} options - {
+   *   bankId:  search only this bank (default: all banks),
+   *   filters: storage-form filter a result must match (see utils/filters.js)
+   * }
+   * @returns {Array<{id: string, score: number}>} - Raw BM25 scores, best first
+   */
+  search(query, k = 10, options = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const filter = this._compileFilter(options.filters);
+    const partitions = options.bankId != null
+      ? [this.partitions.get(options.bankId)].filter(Boolean)
+      : [...this.partitions.values()];
+
+    const { k1, b } = this.config;
+    const scores = new Map();
+
+    for (const partition of partitions) {
+      const count = partition.lengths.size;
+      const avgLength = partition.totalLength / count || 1;
+
+      for (const term of terms) {
+        const posting = partition.postings.get(term);
+        if (!posting) continue;
+
+        const idf = inverseDocumentFrequency(count, posting.size);
+        for (const [id, tf] of posting) {
+          if (filter && !filter(id)) continue;
+
+          const norm = k1 * (1 - b + b * partition.lengths.get(id) / avgLength);
+          scores.set(id, (scores.get(id) || 0) + idf * (tf * (k1 + 1)) / (tf + norm));
+        }
+      }
+    }
+
+    this.stats.searches++;
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  /**
+   * BM25 contribution of each query term a document contains
+   * @param {string} query - Free text
+   * @param {string} id - Memory ID
+   * @returns {Array<{term: string, tf: number, score: number}>} - Empty when
+   *   nothing matches or the memory is not indexed
+   */
+  explain(query, id) {
+    const doc = this.docs.get(id);
+    if (!doc) return [];
+
+    const { k1, b } = this.config;
+    const partition = this.partitions.get(doc.meta.bankId);
+    const avgLength = partition.totalLength / partition.lengths.size || 1;
+    const norm = k1 * (1 - b + b * partition.lengths.get(id) / avgLength);
+
+    const matches = [];
+    for (const term of new Set(tokenize(query))) {
+      const posting = partition.postings.get(term);
+      const tf = posting?.get(id);
+      if (!tf) continue;
+
+      const idf = inverseDocumentFrequency(partition.lengths.size, posting.size);
+      matches.push({ term, tf, score: idf * (tf * (k1 + 1)) / (tf + norm) });
+    }
+    return matches;
+  }
+
+  getStats() {
+    let terms = 0;
+    for (const partition of this.partitions.values()) {
+      terms += partition.postings.size;
+    }
+
+    return {
+      documents: this.docs.size,
+      partitions: this.partitions.size,
+      terms,
+      searches: this.stats.searches,
+      k1: this.config.k1,
+      b: this.config.b
+    };
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  _getPartition(bankId) {
+    let partition = this.partitions.get(bankId);
+    if (!partition) {
+      partition = { postings: new Map(), lengths: new Map(), totalLength: 0 };
+      this.partitions.set(bankId, partition);
+    }
+    return partition;
+  }
+
+  /**
+   * Token stream with the same term frequencies as the indexed text
+   * @private
+   */
+  _reconstruct(id, doc) {
+    const partition = this.partitions.get(doc.meta.bankId);
+    const tokens = [];
+    for (const term of doc.terms) {
+      const tf = partition.postings.get(term).get(id);
+      for (let i = 0; i < tf; i++) tokens.push(term);
+    }
+    return tokens.join(' ');
+  }
+
+  /**
+   * Predicate over memory ids for the search filters, or null for none
+   * @private
+   */
+  _compileFilter(filters = {}) {
+    const matches = compileMemoryFilter(filters);
+    if (!matches) return null;
+
+    return (id) => matches(this.docs.get(id).meta);
+  }
+}
+
+/**
+ * BM25 idf of a term found in df of count documents
+ */
+function inverseDocumentFrequency(count, df) {
+  return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Lowercased terms of a text. Words joined by . _ - : or / are kept whole
+ * and also split on those characters and on camelCase boundaries.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Terms of two or more characters, in order
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  const tokens = [];
+  for (const [word] of String(text).matchAll(/[\p{L}\p{N}]+(?:[._\-:/][\p{L}\p{N}]+)*/gu)) {
+    const parts = word.split(/[._\-:/]|(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u);
+
+    push(tokens, word);
+    if (parts.length > 1) {
+      for (const part of parts) push(tokens, part);
+    }
+  }
+  return tokens;
+}
+
+function push(tokens, term) {
+  if (term.length >= 2) tokens.push(term.toLowerCase());
+}
+
+module.exports = { KeywordIndex, tokenize };
@@ -0,0 +1,412 @@
+/**
+ * Quantization.js - Vector codecs for the in-memory vector index
+ *
+ * A codec decides how HnswIndex and VectorIndex hold each unit vector and
+ * how distances are computed on it:
+ * - Float32Codec:     Full precision Float32Array (4 bytes per dimension)
+ * - Int8Codec:        Int8Array plus one scale per vector (~1 byte per dimension)
+ * - ProductQuantizer: One byte per subvector, indexing a trained codebook
+ *                     (e.g. 48 bytes for 384 dimensions)
+ *
+ * Quantized distances are approximate; callers rescore the top candidates
+ * against full-precision embeddings.
+ *
+ * All codecs share one interface:
+ *   encode(unitVector) -> stored      decode(stored) -> Float32Array
+ *   prepareQuery(unitQuery) -> query  queryDistance(query, stored) -> 1 - cosine
+ *   distance(storedA, storedB)        serialize(stored) / deserialize(bytes, offset)
+ *
+ * Usage:
+ *   const pq = new ProductQuantizer({ dimensions: 384, subvectors: 48 });
+ *   await pq.train(sampleVectors);
+ *   const codes = pq.encode(unitVector);
+ *   const distance = pq.queryDistance(pq.prepareQuery(unitQuery), codes);
+ */
+
+const QUANTIZATIONS = ['none', 'int8', 'pq'];
+
+class Float32Codec {
+  constructor({ dimensions }) {
+    this.type = 'float32';
+    this.dimensions = dimensions;
+    this.bytesPerVector = dimensions * 4;
+    this.storedBytes = this.bytesPerVector;
+  }
+
+  encode(vector) {
+    return vector;
+  }
+
+  decode(stored) {
+    return stored;
+  }
+
+  prepareQuery(query) {
+    return query;
+  }
+
+  queryDistance(query, stored) {
+    return this.distance(query, stored);
+  }
+
+  distance(a, b) {
+    // Unrolled by four; this loop dominates both build and search time
+    const n = a.length;
+    const tail = n % 4;
+    let d0 = 0, d1 = 0, d2 = 0, d3 = 0;
+    for (let i = 0; i < n - tail; i += 4) {
+      d0 += a[i] * b[i];
+      d1 += a[i + 1] * b[i + 1];
+      d2 += a[i + 2] * b[i + 2];
+      d3 += a[i + 3] * b[i + 3];
+    }
+    for (let i = n - tail; i < n; i++) {
+      d0 += a[i] * b[i];
+    }
+    return 1 - (d0 + d1 + d2 + d3);
+  }
+
+  serialize(stored) {
+    return stored;
+  }
+
+  deserialize(bytes, offset) {
+    return new Float32Array(bytes.buffer, bytes.byteOffset + offset, this.dimensions);
+  }
+
+  describe() {
+    return { type: this.type };
+  }
+
+  exportState() {
+    return null;
+  }
+}
+
+/**
+ * Symmetric scalar quantization: each vector keeps its largest component's
+ * magnitude as a scale and maps components to -127..127.
+ */
+class Int8Codec {
+  constructor({ dimensions }) {
+    this.type = 'int8';
+    this.dimensions = dimensions;
+    this.bytesPerVector = dimensions + 4;
+    // Codes, padding to 4 bytes, then the Float32 scale
+    this.storedBytes = align4(dimensions) + 4;
+    this.scratch = Buffer.alloc(this.storedBytes);
+  }
+
+  encode(vector) {
+    let max = 0;
+    for (let i = 0; i < vector.length; i++) {
+      const abs = Math.abs(vector[i]);
+      if (abs > max) max = abs;
+    }
+
+    const scale = max / 127;
+    const codes = new Int8Array(vector.length);
+    if (scale > 0) {
+      for (let i = 0; i < vector.length; i++) {
+        codes[i] = Math.round(vector[i] / scale);
+      }
+    }
+
+    return { codes, scale };
+  }
+
+  decode(stored) {
+    const vector = new Float32Array(stored.codes.length);
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] = stored.codes[i] * stored.scale;
+    }
+    return vector;
+  }
+
+  prepareQuery(query) {
+    return query;
+  }
+
+  queryDistance(query, stored) {
+    const codes = stored.codes;
+    let sum = 0;
+    for (let i = 0; i < codes.length; i++) {
+      sum += query[i] * codes[i];
+    }
+    return 1 - sum * stored.scale;
+  }
+
+  distance(a, b) {
+    const x = a.codes;
+    const y = b.codes;
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) {
+      sum += x[i] * y[i];
+    }
+    return 1 - sum * a.scale * b.scale;
+  }
+
+  serialize(stored) {
+    this.scratch.fill(0);
+    this.scratch.set(new Uint8Array(stored.codes.buffer, stored.codes.byteOffset, this.dimensions));
+    this.scratch.writeFloatLE(stored.scale, this.storedBytes - 4);
+    return this.scratch;
+  }
+
+  deserialize(bytes, offset) {
+    const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+      codes: new Int8Array(bytes.buffer, bytes.byteOffset + offset, this.dimensions),
+      scale: buffer.readFloatLE(offset + this.storedBytes - 4)
+    };
+  }
+
+  describe() {
+    return { type: this.type };
+  }
+
+  exportState() {
+    return null;
+  }
+}
+
+/**
+ * Product quantization: vectors are split into `subvectors` equal slices and
+ * each slice is replaced by the index of its nearest of 256 centroids,
+ * learned per slice with k-means. Query distances use a per-query lookup
+ * table (asymmetric distance), so the query itself is never quantized.
+ */
+class ProductQuantizer {
+  constructor({ dimensions, subvectors, centroids = 256, codebook = null }) {
+    if (!subvectors || dimensions % subvectors !== 0) {
+      throw new Error(`pqSubvectors (${subvectors}) must divide dimensions (${dimensions})`);
+    }
+    if (centroids > 256) {
+      throw new Error('Product quantization supports at most 256 centroids');
+    }
+
+    this.type = 'pq';
+    this.dimensions = dimensions;
+    this.subvectors = subvectors;
+    this.centroids = centroids;
+    this.subDimensions = dimensions / subvectors;
+    this.bytesPerVector = subvectors;
+    this.storedBytes = align4(subvectors);
+    this.scratch = Buffer.alloc(this.storedBytes);
+
+    // [subvector][centroid][component]
+    this.codebook = codebook;
+  }
+
+  get trained() {
+    return this.codebook !== null;
+  }
+
+  /**
+   * Learn the codebook with k-means per subvector, yielding between
+   * subvectors so a large training run does not block the event loop
+   * @param {Float32Array[]} vectors - Unit-length training vectors (at least `centroids`)
+   * @param {Object} options - { iterations }
+   */
+  async train(vectors, { iterations = 10 } = {}) {
+    if (vectors.length < this.centroids) {
+      throw new Error(`Need at least ${this.centroids} vectors to train, got ${vectors.length}`);
+    }
+
+    const { subvectors, centroids, subDimensions } = this;
+    const codebook = new Float32Array(subvectors * centroids * subDimensions);
+    const assignments = new Uint16Array(vectors.length);
+    const sums = new Float64Array(centroids * subDimensions);
+    const counts = new Uint32Array(centroids);
+
+    for (let s = 0; s < subvectors; s++) {
+      const start = s * subDimensions;
+      const base = s * centroids * subDimensions;
+
+      // Initialise from distinct random training vectors
+      const picks = sampleIndexes(vectors.length, centroids);
+      for (let c = 0; c < centroids; c++) {
+        codebook.set(vectors[picks[c]].subarray(start, start + subDimensions), base + c * subDimensions);
+      }
+
+      for (let iteration = 0; iteration < iterations; iteration++) {
+        for (let v = 0; v < vectors.length; v++) {
+          assignments[v] = this._nearestCentroid(codebook, base, vectors[v], start);
+        }
+
+        sums.fill(0);
+        counts.fill(0);
+        for (let v = 0; v < vectors.length; v++) {
+          const c = assignments[v];
+          counts[c]++;
+          for (let d = 0; d < subDimensions; d++) {
+            sums[c * subDimensions + d] += vectors[v][start + d];
+          }
+        }
+
+        for (let c = 0; c < centroids; c++) {
+          // Empty clusters restart from a random training vector
+          if (counts[c] === 0) {
+            const v = Math.floor(Math.random() * vectors.length);
+            codebook.set(vectors[v].subarray(start, start + subDimensions), base + c * subDimensions);
+            continue;
+          }
+          for (let d = 0; d < subDimensions; d++) {
+            codebook[base + c * subDimensions + d] = sums[c * subDimensions + d] / counts[c];
+          }
+        }
+      }
+
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    this.codebook = codebook;
+  }
+
+  encode(vector) {
+    const codes = new Uint8Array(this.subvectors);
+    for (let s = 0; s < this.subvectors; s++) {
+      codes[s] = this._nearestCentroid(this.codebook, s * this.centroids * this.subDimensions, vector, s * this.subDimensions);
+    }
+    return codes;
+  }
+
+  decode(codes) {
+    const vector = new Float32Array(this.dimensions);
+    for (let s = 0; s < this.subvectors; s++) {
+      const offset = (s * this.centroids + codes[s]) * this.subDimensions;
+      vector.set(this.codebook.subarray(offset, offset + this.subDimensions), s * this.subDimensions);
+    }
+    return vector;
+  }
+
+  /**
+   * Dot products of each query slice with every centroid of that slice
+   */
+  prepareQuery(query) {
+    const { subvectors, centroids, subDimensions, codebook } = this;
+    const table = new Float32Array(subvectors * centroids);
+
+    for (let s = 0; s < subvectors; s++) {
+      const start = s * subDimensions;
+      for (let c = 0; c < centroids; c++) {
+        const offset = (s * centroids + c) * subDimensions;
+        let dot = 0;
+        for (let d = 0; d < subDimensions; d++) {
+          dot += query[start + d] * codebook[offset + d];
+        }
+        table[s * centroids + c] = dot;
+      }
+    }
+
+    return table;
+  }
+
+  queryDistance(table, codes) {
+    const centroids = this.centroids;
+    let dot = 0;
+    for (let s = 0; s < codes.length; s++) {
+      dot += table[s * centroids + codes[s]];
+    }
+    return 1 - dot;
+  }
+
+  distance(a, b) {
+    const { centroids, subDimensions, codebook } = this;
+    let dot = 0;
+    for (let s = 0; s < a.length; s++) {
+      const x = (s * centroids + a[s]) * subDimensions;
+      const y = (s * centroids + b[s]) * subDimensions;
+      for (let d = 0; d < subDimensions; d++) {
+        dot += codebook[x + d] * codebook[y + d];
+      }
+    }
+    return 1 - dot;
+  }
+
+  serialize(codes) {
+    if (this.storedBytes === this.subvectors) return codes;
+    this.scratch.set(codes);
+    return this.scratch;
+  }
+
+  deserialize(bytes, offset) {
+    return new Uint8Array(bytes.buffer, bytes.byteOffset + offset, this.subvectors);
+  }
+
+  describe() {
+    return { type: this.type, subvectors: this.subvectors, centroids: this.centroids };
+  }
+
+  /**
+   * The trained codebook, for persistence
+   */
+  exportState() {
+    return this.codebook;
+  }
+
+  /**
+   * @private
+   */
+  _nearestCentroid(codebook, base, vector, start) {
+    const subDimensions = this.subDimensions;
+    let best = 0;
+    let bestDist = Infinity;
+
+    for (let c = 0; c < this.centroids; c++) {
+      const offset = base + c * subDimensions;
+      let dist = 0;
+      for (let d = 0; d < subDimensions; d++) {
+        const diff = vector[start + d] - codebook[offset + d];
+        dist += diff * diff;
+      }
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = c;
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * Recreate a codec from its describe() output and exportState() data
+ * @param {Object} description - { type, ... }
+ * @param {number} dimensions - Vector dimensions
+ * @param {Float32Array|null} state - Codebook for pq
+ */
+function createCodec(description, dimensions, state = null) {
+  switch (description.type) {
+    case 'float32':
+      return new Float32Codec({ dimensions });
+    case 'int8':
+      return new Int8Codec({ dimensions });
+    case 'pq':
+      return new ProductQuantizer({
+        dimensions,
+        subvectors: description.subvectors,
+        centroids: description.centroids,
+        codebook: state
+      });
+    default:
+      throw new Error(`Unknown vector codec: ${description.type}`);
+  }
+}
+
+function align4(n) {
+  return Math.ceil(n / 4) * 4;
+}
+
+/**
+ * k distinct random integers below n
+ */
+function sampleIndexes(n, k) {
+  const picked = new Set();
+  while (picked.size < k) {
+    picked.add(Math.floor(Math.random() * n));
+  }
+  return [...picked];
+}
+
+module.exports = { Float32Codec, Int8Codec, ProductQuantizer, createCodec, QUANTIZATIONS };
@@ -0,0 +1,167 @@
+/**
+ * QueryExpander.js - LLM query expansion for recall
+ *
+ * Short queries like "auth bug" embed poorly. Two expansion modes ask the
+ * LLM for more text to embed next to the query:
+ * - 'hyde':       a hypothetical memory that would answer the query
+ *                 (Hypothetical Document Embeddings)
+ * - 'paraphrase': several rewordings of the query
+ *
+ * Expansions are cached per mode and query string (LRU with a TTL), so
+ * repeated recalls skip the LLM call. Concurrent requests for the same
+ * query share one call, and failed calls are not cached.
+ *
+ * Usage:
+ *   const expander = new QueryExpander({ complete: (prompt, system) => llm.complete(prompt, system) });
+ *   const { queries, cached } = await expander.expand('auth bug', 'hyde');
+ */
+
+const EXPANSION_MODES = ['hyde', 'paraphrase'];
+
+const SYSTEM_PROMPTS = {
+  hyde: 'You write short notes for a software team\'s memory store.',
+  paraphrase: 'You rewrite search queries for a semantic search engine.'
+};
+
+class QueryExpander {
+  constructor(options = {}) {
+    if (typeof options.complete !== 'function') {
+      throw new Error('QueryExpander requires a complete(prompt, systemPrompt) function');
+    }
+
+    this.complete = options.complete;
+    this.config = {
+      paraphrases: options.paraphrases ?? 3,
+      cacheSize: options.cacheSize ?? 500,
+      cacheTtlMs: options.cacheTtlMs ?? 60 * 60 * 1000
+    };
+
+    this.cache = new Map();   // `${mode}:${query}` -> { promise, expiresAt }, oldest first
+
+    this.stats = {
+      expansions: 0,
+      cacheHits: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Expansion texts for a query
+   * @param {string} query - Recall query
+   * @param {string} mode - 'hyde' | 'paraphrase'
+   * @returns {Promise<{queries: string[], cached: boolean}>} - Rejects when
+   *   the LLM call fails
+   */
+  async expand(query, mode) {
+    if (!EXPANSION_MODES.includes(mode)) {
+      throw new Error(`Unknown expansion mode: ${mode}`);
+    }
+
+    const key = `${mode}:${query}`;
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Refresh its LRU position
+      this.cache.delete(key);
+      this.cache.set(key, entry);
+      this.stats.cacheHits++;
+      return { queries: await entry.promise, cached: true };
+    }
+
+    const promise = this._generate(query, mode);
+    this._remember(key, { promise, expiresAt: Date.now() + this.config.cacheTtlMs });
+
+    try {
+      const queries = await promise;
+      this.stats.expansions++;
+      return { queries, cached: false };
+    } catch (err) {
+      this.stats.errors++;
+      if (this.cache.get(key)?.promise === promise) this.cache.delete(key);
+      throw err;
+    }
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cached: this.cache.size,
+      cacheSize: this.config.cacheSize,
+      paraphrases: this.config.paraphrases
+    };
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  async _generate(query, mode) {
+    const response = await this.complete(this._prompt(query, mode), SYSTEM_PROMPTS[mode]);
+    const queries = mode === 'hyde'
+      ? [response.trim()].filter(Boolean)
+      : parseParaphrases(response, query, this.config.paraphrases);
+
+    if (queries.length === 0) {
+      throw new Error(`LLM returned no ${mode} expansion`);
+    }
+    return queries;
+  }
+
+  /**
+   * @private
+   */
+  _prompt(query, mode) {
+    if (mode === 'hyde') {
+      return `Write a short note (2-3 sentences) that would be the best answer to this search query, as if it were stored in the team's memory. Use concrete, specific wording.
+
+Query: "${query}"
+
+Respond with the note only:`;
+    }
+
+    return `Rewrite this search query ${this.config.paraphrases} different ways, keeping its meaning. Spell out abbreviations and use likely synonyms.
+
+Query: "${query}"
+
+Respond with one rewrite per line and nothing else:`;
+  }
+
+  /**
+   * Insert an entry, evicting the least recently used ones over capacity
+   * @private
+   */
+  _remember(key, entry) {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    while (this.cache.size > this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Distinct paraphrase lines, without list markers, quotes or the query itself
+ */
+function parseParaphrases(response, query, limit) {
+  const seen = new Set([query.trim().toLowerCase()]);
+  const paraphrases = [];
+
+  for (const line of response.split('\n')) {
+    const text = line
+      .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+      .replace(/^["']|["']$/g, '')
+      .trim();
+    if (!text || seen.has(text.toLowerCase())) continue;
+
+    seen.add(text.toLowerCase());
+    paraphrases.push(text);
+    if (paraphrases.length === limit) break;
+  }
+  return paraphrases;
+}
+
+module.exports = { QueryExpander, EXPANSION_MODES };
@@ -0,0 +1,174 @@
+/**
+ * SearchWorkerPool.js - worker_threads pool for parallel brute-force scans
+ *
+ * A scan list (SharedArrayBuffer-backed Int32Array of store slots) is split
+ * into one contiguous range per worker. Every worker scores its range
+ * straight from the SharedVectorStore's memory and returns its local top-k,
+ * and the main thread merges them. The event loop only posts messages and
+ * merges, so other requests keep being served while a scan runs.
+ *
+ * Workers learn about a store (codec and chunks) lazily: the first job for
+ * a store resets the worker, and chunks added since its last job travel
+ * with the next one.
+ *
+ * A worker that crashes fails its pending jobs and is replaced.
+ *
+ * Usage:
+ *   const pool = new SearchWorkerPool({ size: 2 });
+ *   const top = await pool.search(store, unitQuery, slots, 10);  // [{ index, score }]
+ *   await pool.close();
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'searchWorker.js');
+
+class SearchWorkerPool {
+  constructor({ size = 2 } = {}) {
+    this.workers = [];
+    this.nextJobId = 1;
+    this.closed = false;
+
+    for (let i = 0; i < size; i++) {
+      this.workers.push(this._spawn());
+    }
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  /**
+   * Top-k over the slots of a scan list, in parallel
+   * @param {SharedVectorStore} store - Store the slots belong to
+   * @param {Float32Array} query - Unit-length query vector
+   * @param {Int32Array} slots - Slots to scan (backed by a SharedArrayBuffer)
+   * @param {number} k - Number of results
+   * @returns {Promise<Array<{index: number, score: number}>>} - Positions in
+   *   slots, most similar first
+   */
+  async search(store, query, slots, k) {
+    if (this.closed) throw new Error('Search worker pool is closed');
+
+    const share = Math.ceil(slots.length / this.workers.length);
+    const jobs = [];
+
+    for (let i = 0; i < this.workers.length; i++) {
+      const start = i * share;
+      const end = Math.min(slots.length, start + share);
+      if (start >= end) break;
+
+      jobs.push(this._run(this.workers[i], store, { query, slots, start, end, k }));
+    }
+
+    const parts = await Promise.all(jobs);
+
+    const merged = [];
+    for (const { indexes, scores } of parts) {
+      for (let n = 0; n < indexes.length; n++) {
+        merged.push({ index: indexes[n], score: scores[n] });
+      }
+    }
+    merged.sort((a, b) => b.score - a.score);
+    return merged.slice(0, k);
+  }
+
+  /**
+   * Stop every worker and fail pending jobs
+   */
+  async close() {
+    this.closed = true;
+    const workers = this.workers;
+    this.workers = [];
+
+    for (const entry of workers) {
+      this._failPending(entry, new Error('Search worker pool is closed'));
+    }
+    await Promise.all(workers.map(entry => entry.worker.terminate()));
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  _spawn() {
+    const worker = new Worker(WORKER_SCRIPT);
+    const entry = { worker, store: null, chunks: 0, pending: new Map() };
+
+    worker.on('message', ({ jobId, error, ...result }) => {
+      const job = entry.pending.get(jobId);
+      if (!job) return;
+
+      entry.pending.delete(jobId);
+      if (entry.pending.size === 0) worker.unref();
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+    });
+
+    const replace = (error) => {
+      this._failPending(entry, error);
+      const index = this.workers.indexOf(entry);
+      if (index === -1 || this.closed) return;
+
+      console.error('[SearchWorkerPool] Search worker failed, restarting:', error.message);
+      this.workers[index] = this._spawn();
+    };
+    worker.on('error', replace);
+    worker.on('exit', (code) => replace(new Error(`Search worker exited with code ${code}`)));
+
+    // Idle workers must not keep the process alive; busy ones must
+    worker.unref();
+    return entry;
+  }
+
+  /**
+   * Post one job, first bringing the worker up to date with the store
+   * @private
+   */
+  _run(entry, store, job) {
+    const jobId = this.nextJobId++;
+    const message = { type: 'search', jobId, ...job };
+
+    if (entry.store !== store) {
+      const state = store.codec.exportState();
+      entry.worker.postMessage({
+        type: 'reset',
+        codec: store.codec.describe(),
+        codecState: state,
+        dimensions: store.codec.dimensions,
+        chunkSlots: store.chunkSlots,
+        stride: store.stride,
+        chunks: store.chunks
+      });
+      entry.store = store;
+      entry.chunks = store.chunks.length;
+    } else if (entry.chunks < store.chunks.length) {
+      message.chunks = store.chunks.slice(entry.chunks);
+      entry.chunks = store.chunks.length;
+    }
+
+    return new Promise((resolve, reject) => {
+      if (entry.pending.size === 0) entry.worker.ref();
+      entry.pending.set(jobId, { resolve, reject });
+      entry.worker.postMessage(message);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _failPending(entry, error) {
+    for (const job of entry.pending.values()) {
+      job.reject(error);
+    }
+    entry.pending.clear();
+    entry.worker.unref();
+  }
+}
+
+module.exports = { SearchWorkerPool };
@@ -0,0 +1,123 @@
+/**
+ * SharedVectorStore.js - Encoded vectors in SharedArrayBuffer memory
+ *
+ * Each vector gets a fixed-size slot holding its codec's serialized form
+ * (see Quantization.js). Slots live in chunks of chunkSlots; a chunk is
+ * never moved or resized, so views handed out stay valid and search workers
+ * can read the same memory without copies. New chunks are added as the
+ * store grows, and freed slots are reused.
+ *
+ * A slot is rewritten as soon as it is reused, so callers that keep a
+ * vector after freeing its id (e.g. an HNSW tombstone) hold a copy() instead.
+ *
+ * Usage:
+ *   const store = new SharedVectorStore({ codec });
+ *   const view = store.put('mem-123', codec.encode(unitVector));
+ *   const slot = store.slotOf('mem-123');
+ *   store.delete('mem-123');
+ */
+
+class SharedVectorStore {
+  constructor({ codec, chunkSlots = 1024 }) {
+    this.codec = codec;
+    this.chunkSlots = chunkSlots;
+    this.stride = codec.storedBytes;
+
+    this.chunks = [];            // SharedArrayBuffer per chunkSlots slots
+    this.chunkBytes = [];        // Uint8Array over each chunk
+    this.slotById = new Map();   // memory_id -> slot
+    this.free = [];
+    this.nextSlot = 0;
+  }
+
+  get size() {
+    return this.slotById.size;
+  }
+
+  /**
+   * Bytes allocated across all chunks
+   */
+  get byteLength() {
+    return this.chunks.length * this.chunkSlots * this.stride;
+  }
+
+  slotOf(id) {
+    return this.slotById.get(id);
+  }
+
+  /**
+   * Store a vector for an id, releasing any slot the id already had
+   * @param {string} id - Memory ID
+   * @param {*} stored - Vector in the codec's stored form
+   * @returns {*} - The same vector as a view into shared memory
+   */
+  put(id, stored) {
+    const serialized = this.codec.serialize(stored);
+    const bytes = new Uint8Array(serialized.buffer, serialized.byteOffset, this.stride);
+
+    this.delete(id);
+    const slot = this.free.length > 0 ? this.free.pop() : this._allocate();
+    const { chunk, offset } = this._locate(slot);
+    this.chunkBytes[chunk].set(bytes, offset);
+    this.slotById.set(id, slot);
+
+    return this.codec.deserialize(this.chunkBytes[chunk], offset);
+  }
+
+  /**
+   * Release an id's slot for reuse
+   */
+  delete(id) {
+    const slot = this.slotById.get(id);
+    if (slot === undefined) return false;
+
+    this.slotById.delete(id);
+    this.free.push(slot);
+    return true;
+  }
+
+  /**
+   * A private (non-shared) copy of an id's vector
+   */
+  copy(id) {
+    const { chunk, offset } = this._locate(this.slotById.get(id));
+    return detach(this.codec, this.chunkBytes[chunk], offset);
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  _allocate() {
+    const slot = this.nextSlot++;
+    if (slot >= this.chunks.length * this.chunkSlots) {
+      const buffer = new SharedArrayBuffer(this.chunkSlots * this.stride);
+      this.chunks.push(buffer);
+      this.chunkBytes.push(new Uint8Array(buffer));
+    }
+    return slot;
+  }
+
+  /**
+   * @private
+   */
+  _locate(slot) {
+    return {
+      chunk: Math.floor(slot / this.chunkSlots),
+      offset: (slot % this.chunkSlots) * this.stride
+    };
+  }
+}
+
+/**
+ * Copy one serialized vector out of a larger buffer into its own memory
+ * @param {Object} codec - Codec the bytes were serialized with
+ * @param {Uint8Array} bytes - Buffer holding the vector
+ * @param {number} offset - Byte offset of the vector
+ */
+function detach(codec, bytes, offset) {
+  return codec.deserialize(new Uint8Array(bytes.subarray(offset, offset + codec.storedBytes)), 0);
+}
+
+module.exports = { SharedVectorStore, detach };
@@ -1,17 +1,75 @@
 /**
  * VectorIndex.js - In-memory vector index for fast similarity search
  *
- * Uses optimized in-memory brute-force search with Float32Arrays.
- * For ~20K vectors, search is O(n) but very fast due to optimized memory layout.
+ * Two search modes:
+ * - hnsw (default): Approximate nearest neighbours over a pure-JS HNSW graph
+ *   (see HnswIndex.js), roughly O(log n) per query
+ * - exact: Brute-force cosine similarity over every vector, O(n)
+ *
+ * The index is partitioned by bank: each bank_id gets its own vectors and
+ * HNSW graph, so a search scoped to one bank never walks another bank's
+ * neighbours. Each vector carries its memory's type, story_id, tags, source,
+ * stage, created_at and metadata, and search filters on them (see
+ * utils/filters.js) while walking the graph, so top-k comes back as k
+ * matching results instead of k candidates to filter afterwards.
+ *
+ * Vectors are unit-normalized, so cosine similarity is a dot product. Small
+ * partitions (exactThreshold or fewer vectors) are always searched exactly,
+ * and search(..., { exact: true }) forces it.
+ *
+ * Vectors are held as Float32Arrays unless quantization is set (see
+ * Quantization.js):
+ * - int8: scalar quantization, about 4x smaller
+ * - pq:   product quantization, pqSubvectors bytes per vector; vectors stay
+ *         at full precision until pqTrainingSize exist, then the codebook is
+ *         trained in the background and every vector is re-encoded
+ * Quantized searches fetch k * rescoreFactor candidates and rescore them
+ * against full-precision embeddings from options.loadEmbeddings(ids).
+ *
+ * Live vectors sit in a SharedVectorStore (SharedArrayBuffer chunks) that
+ * the partitions and graphs reference. With workers > 0, brute-force scans
+ * of workerThreshold or more vectors are split across a SearchWorkerPool
+ * reading that memory directly, so a long scan no longer blocks the event
+ * loop; HNSW walks stay on the main thread. A vector replaced while a scan
+ * is running may be scored on either version.
+ *
+ * Removed vectors stay in the HNSW graph as tombstones; once they exceed
+ * compactRatio of a partition's graph, a fresh graph is rebuilt in the
+ * background and swapped in.
+ *
+ * saveSnapshot() writes the whole index (vectors, metadata and HNSW links)
+ * to one binary file with a SHA-256 trailer; loadSnapshot() reads it back
+ * without re-inserting anything. The caller records a high-water mark with
+ * the snapshot and replays changes made after it.
  *
  * Usage:
- *   const index = new VectorIndex({ dimensions: 384 });
+ *   const index = new VectorIndex({ dimensions: 384, mode: 'hnsw', M: 16, quantization: 'int8', workers: 2, loadEmbeddings });
  *   await index.initialize();
- *   await index.addVector('mem-123', embedding);
- *   const results = await index.search(queryEmbedding, 10);
+ *   await index.addVector('mem-123', embedding, { bankId: 'my-bank', type: 'WORLD', tags: ['api'] });
+ *   const results = await index.search(queryEmbedding, 10, { bankId: 'my-bank', filters: { tags: ['api'] } });
+ *   index.saveSnapshot('./data/vector-index.bin', { highWater: 42 });
+ *   await index.close();
  */
 
+const fs = require('fs');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { HnswIndex } = require('./HnswIndex');
+const { Float32Codec, Int8Codec, ProductQuantizer, createCodec, QUANTIZATIONS } = require('./Quantization');
+const { SharedVectorStore, detach } = require('./SharedVectorStore');
+const { SearchWorkerPool } = require('./SearchWorkerPool');
+const { compileMemoryFilter } = require('../utils/filters');
+
+const MODES = ['hnsw', 'exact'];
+
+// Snapshot layout: magic, format version, header length (uint32 LE), JSON
+// header, padding to 4 bytes, the codec state (pq codebook), per partition
+// its encoded vectors then Int32 links, and a SHA-256 digest of everything
+// before it
+const SNAPSHOT_MAGIC = 'HSVI';
+const SNAPSHOT_VERSION = 3;
+const SNAPSHOT_PREFIX_BYTES = 12;
+const DIGEST_BYTES = 32;
 
 class VectorIndex extends EventEmitter {
   constructor(options = {}) {
@@ -20,18 +78,54 @@ class VectorIndex extends EventEmitter {
     this.config = {
       dimensions: options.dimensions || 384,
       maxElements: options.maxElements || 100000,
-      ...options
+      mode: options.mode || 'hnsw',
+      M: options.M || 16,
+      efConstruction: options.efConstruction || 100,
+      efSearch: options.efSearch || 50,
+      exactThreshold: options.exactThreshold ?? 1000,
+      compactRatio: options.compactRatio ?? 0.25,
+      quantization: options.quantization || 'none',
+      pqSubvectors: options.pqSubvectors || Math.max(1, Math.floor((options.dimensions || 384) / 8)),
+      pqTrainingSize: options.pqTrainingSize || 5000,
+      rescoreFactor: options.rescoreFactor || 4,
+      workers: options.workers ?? 0,
+      workerThreshold: options.workerThreshold ?? 2000
     };
 
+    if (!MODES.includes(this.config.mode)) {
+      throw new Error(`Unknown vector index mode: ${this.config.mode} (available: ${MODES.join(', ')})`);
+    }
+
+    if (!QUANTIZATIONS.includes(this.config.quantization)) {
+      throw new Error(`Unknown vector quantization: ${this.config.quantization} (available: ${QUANTIZATIONS.join(', ')})`);
+    }
+
+    // (ids) => [{ id, embedding }] full-precision source for rescoring
+    this.loadEmbeddings = options.loadEmbeddings || null;
+
+    const { dimensions, quantization } = this.config;
+    this.codec = quantization === 'int8' ? new Int8Codec({ dimensions }) : new Float32Codec({ dimensions });
+    this.quantizer = quantization === 'pq'
+      ? new ProductQuantizer({ dimensions, subvectors: this.config.pqSubvectors })
+      : null;
+    this.training = false;
+    this.store = new SharedVectorStore({ codec: this.codec });
+    this.pool = null;
+
     // In-memory storage using Maps for O(1) lookup
-    this.idToVector = new Map();     // memory_id -> Float32Array
+    this.partitions = new Map();     // bank_id -> { bankId, vectors: Map(id -> encoded unit vector), graph, nextGraph, scan }
+    this.idToMeta = new Map();       // memory_id -> { bankId, type, storyId, tags, source, stage, createdAt, metadata }
     this.initialized = false;
     this.initializing = false;
 
     this.stats = {
       vectorCount: 0,
       searches: 0,
-      avgSearchTimeMs: 0
+      exactSearches: 0,
+      rescoredSearches: 0,
+      parallelSearches: 0,
+      avgSearchTimeMs: 0,
+      compactions: 0
     };
   }
 
@@ -50,12 +144,16 @@ class VectorIndex extends EventEmitter {
     this.initializing = true;
 
     try {
-      console.log('[VectorIndex] Initializing in-memory vector index...');
+      console.log(`[VectorIndex] Initializing in-memory vector index (mode=${this.config.mode})...`);
+
+      if (this.config.workers > 0) {
+        this.pool = new SearchWorkerPool({ size: this.config.workers });
+      }
 
       this.initialized = true;
       this.initializing = false;
 
-      console.log(`[VectorIndex] Index ready (dimensions=${this.config.dimensions})`);
+      console.log(`[VectorIndex] Index ready (dimensions=${this.config.dimensions}, workers=${this.config.workers})`);
       this.emit('initialized');
 
       return true;
@@ -68,27 +166,27 @@ class VectorIndex extends EventEmitter {
   }
 
   /**
-   * Add a vector to the index
+   * Add a vector to the index, replacing any existing vector for the id
    * @param {string} id - Memory ID
-   * @param {number[]} embedding - Vector embedding
+   * @param {number[]|Float32Array} embedding - Vector embedding
+   * @param {Object} meta - { bankId, type, storyId, tags, source, stage, createdAt, metadata }
+   *   used to partition and filter
    */
-  async addVector(id, embedding) {
+  async addVector(id, embedding, meta = {}) {
     if (!this.initialized) {
       console.warn('[VectorIndex] Index not initialized, skipping add');
       return false;
     }
 
-    try {
-      // Store as Float32Array for memory efficiency and faster cosine calculation
-      const vector = Array.isArray(embedding) ? new Float32Array(embedding) : embedding;
-
-      // Update or add
-      const isNew = !this.idToVector.has(id);
-      this.idToVector.set(id, vector);
+    if (!embedding || embedding.length !== this.config.dimensions) {
+      console.warn(`[VectorIndex] Skipping ${id}: expected ${this.config.dimensions} dimensions, got ${embedding?.length || 0}`);
+      return false;
+    }
 
-      if (isNew) {
-        this.stats.vectorCount++;
-      }
+    try {
+      const vector = normalize(embedding);
+      this._place(id, this.codec.encode(vector), toMetadata(meta), vector);
+      this._maybeTrain();
 
       return true;
     } catch (error) {
@@ -97,6 +195,25 @@ class VectorIndex extends EventEmitter {
     }
   }
 
+  /**
+   * Change the filterable fields of an indexed vector without re-inserting it
+   * @param {string} id - Memory ID
+   * @param {Object} meta - Any of { bankId, type, storyId, tags, source, stage, createdAt, metadata }
+   */
+  async updateMetadata(id, meta) {
+    const current = this.idToMeta.get(id);
+    if (!current) return false;
+
+    const metadata = toMetadata({ ...current, ...meta });
+    if (metadata.bankId !== current.bankId) {
+      this._place(id, this.store.copy(id), metadata);
+      return true;
+    }
+
+    this.idToMeta.set(id, metadata);
+    return true;
+  }
+
   /**
    * Remove a vector from the index
    * @param {string} id - Memory ID
@@ -104,11 +221,14 @@ class VectorIndex extends EventEmitter {
   async removeVector(id) {
     if (!this.initialized) return false;
 
-    if (!this.idToVector.has(id)) return false;
+    const meta = this.idToMeta.get(id);
+    if (!meta) return false;
 
     try {
-      this.idToVector.delete(id);
+      this._removeFromPartition(meta.bankId, id);
+      this.idToMeta.delete(id);
       this.stats.vectorCount--;
+
       return true;
     } catch (error) {
       console.error(`[VectorIndex] Failed to remove vector ${id}:`, error.message);
@@ -117,35 +237,54 @@ class VectorIndex extends EventEmitter {
   }
 
   /**
-   * Calculate cosine similarity between two vectors
-   * @private
+   * Remove every vector (e.g. before rebuilding from a restored database)
    */
-  _cosineSimilarity(a, b) {
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
+  clear() {
+    // Rebuilds in flight notice their partition is gone and stop
+    this.partitions = new Map();
+    this.idToMeta.clear();
+    this.store = new SharedVectorStore({ codec: this.codec });
+    this.stats.vectorCount = 0;
+  }
 
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
+  /**
+   * Stop the search workers
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.close();
+      this.pool = null;
     }
+  }
 
-    normA = Math.sqrt(normA);
-    normB = Math.sqrt(normB);
-
-    if (normA === 0 || normB === 0) return 0;
+  /**
+   * Whether a vector is indexed for the id
+   */
+  has(id) {
+    return this.idToMeta.has(id);
+  }
 
-    return dotProduct / (normA * normB);
+  /**
+   * Every indexed memory ID
+   */
+  ids() {
+    return [...this.idToMeta.keys()];
   }
 
   /**
-   * Search for nearest neighbors using brute-force cosine similarity
+   * Search for nearest neighbors by cosine similarity
    * @param {number[]} queryEmbedding - Query vector
    * @param {number} k - Number of results
-   * @returns {Array<{id: string, score: number}>} - Nearest neighbors sorted by similarity
+   * @param {Object} options - {
+   *   bankId:   search only this bank's partition (default: all banks),
+   *   filters:  storage-form filter a result must match (see utils/filters.js),
+   *   exact:    force brute force,
+   *   efSearch: override HNSW ef
+   * }
+   * @returns {Array<{id: string, score: number}>} - Nearest neighbors sorted by
+   *   similarity (full precision when quantized results were rescored)
    */
-  async search(queryEmbedding, k = 10) {
+  async search(queryEmbedding, k = 10, options = {}) {
     if (!this.initialized) {
       return null;
     }
@@ -153,25 +292,51 @@ class VectorIndex extends EventEmitter {
     const startTime = Date.now();
 
     try {
-      const queryVector = Array.isArray(queryEmbedding)
-        ? new Float32Array(queryEmbedding)
-        : queryEmbedding;
+      const queryVector = normalize(queryEmbedding);
+      const filter = this._compileFilter(options.filters);
+
+      const partitions = options.bankId != null
+        ? [this.partitions.get(options.bankId)].filter(Boolean)
+        : [...this.partitions.values()];
 
-      // Calculate similarity for all vectors
-      const similarities = [];
+      // Quantized scores are approximate; over-fetch, then rescore
+      const rescore = this.codec.type !== 'float32' && !!this.loadEmbeddings;
+      const candidates = rescore ? k * this.config.rescoreFactor : k;
 
-      for (const [id, vector] of this.idToVector) {
-        const score = this._cosineSimilarity(queryVector, vector);
-        similarities.push({ id, score });
+      let results = [];
+      const exactPartitions = [];
+      for (const partition of partitions) {
+        if (partition.graph && !options.exact && partition.vectors.size > this.config.exactThreshold) {
+          const found = partition.graph.search(queryVector, candidates, options.efSearch || this.config.efSearch, filter);
+          // A filtered walk that comes back short (the filter matches few
+          // vectors) is redone exactly, so a match is never missed
+          if (!filter || found.length >= candidates) {
+            results = results.concat(found);
+            continue;
+          }
+        }
+        exactPartitions.push(partition);
       }
 
-      // Sort by similarity (descending) and take top k
-      similarities.sort((a, b) => b.score - a.score);
-      const results = similarities.slice(0, k);
+      const exact = exactPartitions.length > 0;
+      if (exact) {
+        results = results.concat(await this._exactSearch(exactPartitions, queryVector, candidates, filter));
+      }
+
+      if (partitions.length > 1) {
+        results.sort((a, b) => b.score - a.score);
+        results = results.slice(0, candidates);
+      }
+
+      if (rescore && results.length > 0) {
+        results = await this._rescore(queryVector, results, k);
+      }
 
       // Update stats
       const elapsed = Date.now() - startTime;
       this.stats.searches++;
+      if (exact) this.stats.exactSearches++;
+      if (rescore) this.stats.rescoredSearches++;
       this.stats.avgSearchTimeMs = (
         (this.stats.avgSearchTimeMs * (this.stats.searches - 1) + elapsed) /
         this.stats.searches
@@ -186,7 +351,8 @@ class VectorIndex extends EventEmitter {
 
   /**
    * Build index from existing memories
-   * @param {Array<{id: string, embedding: number[]}>} memories - Memories with embeddings
+   * @param {Array<Object>} memories - Memory records with id, bank_id, type,
+   *   story_id, tags, source, stage, metadata, created_at and embedding
    */
   async buildFromMemories(memories) {
     if (!this.initialized) {
@@ -199,28 +365,252 @@ class VectorIndex extends EventEmitter {
     let added = 0;
     for (const mem of memories) {
       if (mem.embedding && mem.embedding.length === this.config.dimensions) {
-        await this.addVector(mem.id, mem.embedding);
+        await this.addVector(mem.id, mem.embedding, {
+          bankId: mem.bank_id,
+          type: mem.type,
+          storyId: mem.story_id,
+          tags: mem.tags,
+          source: mem.source,
+          stage: mem.stage,
+          createdAt: mem.created_at,
+          metadata: mem.metadata
+        });
         added++;
+
+        // HNSW inserts are CPU-bound; let other work run on large builds
+        if (added % 1000 === 0) await yieldToEventLoop();
       }
     }
 
     const elapsed = Date.now() - startTime;
-    console.log(`[VectorIndex] Built index with ${added} vectors in ${elapsed}ms`);
+    console.log(`[VectorIndex] Built index with ${added} vectors in ${elapsed}ms (${this.partitions.size} banks)`);
 
     return true;
   }
 
+  /**
+   * Write the index to a binary snapshot (atomically, via a temp file)
+   * @param {string} filePath - Snapshot path
+   * @param {Object} options - { highWater: storage change sequence the index is current to }
+   * @returns {Object} - { vectorCount, bytes }
+   */
+  saveSnapshot(filePath, { highWater = 0 } = {}) {
+    const startTime = Date.now();
+    const codec = this.codec;
+    const state = codec.exportState();
+
+    const header = {
+      dimensions: this.config.dimensions,
+      mode: this.config.mode,
+      M: this.config.M,
+      quantization: this.config.quantization,
+      codec: codec.describe(),
+      codecStateLength: state ? state.length : 0,
+      highWater,
+      savedAt: new Date().toISOString(),
+      partitions: []
+    };
+    const sections = [];
+
+    for (const partition of this.partitions.values()) {
+      const graph = partition.graph ? partition.graph.exportGraph() : null;
+      const ids = graph ? graph.ids : [...partition.vectors.keys()];
+      const links = graph ? encodeLinks(graph.links) : new Int32Array(0);
+
+      header.partitions.push({
+        bankId: partition.bankId,
+        ids,
+        // null marks an HNSW tombstone, kept only for navigation
+        meta: ids.map((id, node) => {
+          if (graph && graph.deleted[node]) return null;
+          const { type, storyId, tags, source, stage, createdAt, metadata } = this.idToMeta.get(id);
+          return [type, storyId, tags, source, stage, createdAt, metadata];
+        }),
+        entryPoint: graph ? graph.entryPoint : -1,
+        maxLevel: graph ? graph.maxLevel : -1,
+        linkLength: links.length
+      });
+      sections.push({ vectors: graph ? graph.vectors : [...partition.vectors.values()], links });
+    }
+
+    const headerBytes = Buffer.from(JSON.stringify(header));
+    const prefix = Buffer.alloc(SNAPSHOT_PREFIX_BYTES);
+    prefix.write(SNAPSHOT_MAGIC, 0, 'latin1');
+    prefix.writeUInt32LE(SNAPSHOT_VERSION, 4);
+    prefix.writeUInt32LE(headerBytes.length, 8);
+
+    const tmpPath = `${filePath}.tmp`;
+    const writer = new ChunkedWriter(tmpPath);
+    let bytes;
+    try {
+      writer.write(prefix);
+      writer.write(headerBytes);
+      writer.write(Buffer.alloc(align4(SNAPSHOT_PREFIX_BYTES + headerBytes.length) - SNAPSHOT_PREFIX_BYTES - headerBytes.length));
+      if (state) writer.write(state);
+
+      for (const { vectors, links } of sections) {
+        for (const vector of vectors) writer.write(codec.serialize(vector));
+        writer.write(links);
+      }
+
+      bytes = writer.finish();
+    } catch (error) {
+      writer.abort();
+      fs.rmSync(tmpPath, { force: true });
+      throw error;
+    }
+    fs.renameSync(tmpPath, filePath);
+
+    console.log(`[VectorIndex] Saved snapshot with ${this.stats.vectorCount} vectors (${bytes} bytes) in ${Date.now() - startTime}ms`);
+    return { vectorCount: this.stats.vectorCount, bytes };
+  }
+
+  /**
+   * Replace the index contents with a snapshot written by saveSnapshot()
+   * @param {string} filePath - Snapshot path
+   * @returns {Object|null} - { highWater, savedAt, vectorCount }, or null when
+   *   the file is missing, corrupt or was written with other settings
+   */
+  loadSnapshot(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+
+    const startTime = Date.now();
+
+    let snapshot;
+    try {
+      snapshot = readSnapshot(filePath, this.config.dimensions);
+    } catch (error) {
+      console.warn(`[VectorIndex] Ignoring snapshot ${filePath}: ${error.message}`);
+      return null;
+    }
+
+    const { header, body } = snapshot;
+    const mismatch = this._snapshotMismatch(header);
+    if (mismatch) {
+      console.warn(`[VectorIndex] Ignoring snapshot ${filePath}: written with ${mismatch}`);
+      return null;
+    }
+
+    // Vectors and the codebook are copied out so the file buffer can be dropped
+    const stateBytes = header.codecStateLength * 4;
+    const codec = createCodec(header.codec, this.config.dimensions,
+      stateBytes > 0 ? new Float32Array(body.buffer, body.byteOffset, header.codecStateLength).slice() : null);
+
+    const expected = header.partitions.reduce(
+      (sum, p) => sum + p.ids.length * codec.storedBytes + p.linkLength * 4, stateBytes);
+    if (body.byteLength !== expected) {
+      console.warn(`[VectorIndex] Ignoring snapshot ${filePath}: body is ${body.byteLength} bytes, expected ${expected}`);
+      return null;
+    }
+
+    this.codec = codec;
+    if (codec.type === 'pq') this.quantizer = codec;
+    this.clear();
+
+    const ints = new Int32Array(body.buffer, body.byteOffset, body.byteLength / 4);
+    let offset = stateBytes;
+
+    for (const saved of header.partitions) {
+      const vectors = new Array(saved.ids.length);
+      for (let node = 0; node < saved.ids.length; node++) {
+        vectors[node] = saved.meta[node]
+          ? this.store.put(saved.ids[node], codec.deserialize(body, offset))
+          : detach(codec, body, offset);
+        offset += codec.storedBytes;
+      }
+
+      const links = decodeLinks(ints.subarray(offset / 4, offset / 4 + saved.linkLength), saved.ids.length);
+      offset += saved.linkLength * 4;
+
+      const partition = this._getPartition(saved.bankId);
+      saved.ids.forEach((id, node) => {
+        const meta = saved.meta[node];
+        if (!meta) return;
+
+        partition.vectors.set(id, vectors[node]);
+        const [type, storyId, tags, source, stage, createdAt, metadata] = meta;
+        this.idToMeta.set(id, toMetadata({ bankId: saved.bankId, type, storyId, tags, source, stage, createdAt, metadata }));
+      });
+
+      if (partition.graph) {
+        partition.graph = HnswIndex.fromGraph(this._graphOptions(), {
+          ids: saved.ids,
+          vectors,
+          links,
+          deleted: saved.meta.map(meta => (meta ? 0 : 1)),
+          entryPoint: saved.entryPoint,
+          maxLevel: saved.maxLevel
+        });
+      }
+    }
+
+    this.stats.vectorCount = this.idToMeta.size;
+    this._maybeTrain();
+
+    console.log(`[VectorIndex] Loaded snapshot with ${this.stats.vectorCount} vectors from ${header.savedAt} in ${Date.now() - startTime}ms`);
+    return { highWater: header.highWater, savedAt: header.savedAt, vectorCount: this.stats.vectorCount };
+  }
+
   /**
    * Get index statistics
    */
   getStats() {
+    const partitions = [...this.partitions.values()];
+
+    let nodes = 0;
+    let links = 0;
+    let hnsw = null;
+    if (this.config.mode === 'hnsw') {
+      hnsw = {
+        M: this.config.M,
+        efConstruction: this.config.efConstruction,
+        efSearch: this.config.efSearch,
+        nodes: 0,
+        deleted: 0,
+        maxLevel: -1,
+        compactions: this.stats.compactions,
+        compacting: partitions.filter(p => p.nextGraph).length
+      };
+      for (const { graph } of partitions) {
+        const graphStats = graph.getStats();
+        hnsw.nodes += graphStats.nodes;
+        hnsw.deleted += graphStats.deleted;
+        hnsw.maxLevel = Math.max(hnsw.maxLevel, graphStats.maxLevel);
+        links += graph.linkCount();
+      }
+      nodes = hnsw.nodes;
+    } else {
+      nodes = this.stats.vectorCount;
+    }
+
+    // Payload sizes; JS object overhead comes on top
+    const codebook = this.codec.exportState();
+    const memory = {
+      bytesPerVector: this.codec.bytesPerVector,
+      vectorBytes: nodes * this.codec.bytesPerVector,
+      linkBytes: links * 4,
+      codebookBytes: codebook ? codebook.byteLength : 0
+    };
+    memory.totalBytes = memory.vectorBytes + memory.linkBytes + memory.codebookBytes;
+
     return {
       initialized: this.initialized,
+      mode: this.config.mode,
+      quantization: this.config.quantization,
+      codec: this.codec.type,
+      ...(this.quantizer && { pqTrained: this.quantizer.trained, pqTraining: this.training }),
       vectorCount: this.stats.vectorCount,
+      partitions: partitions.length,
       searches: this.stats.searches,
+      exactSearches: this.stats.exactSearches,
+      rescoredSearches: this.stats.rescoredSearches,
+      parallelSearches: this.stats.parallelSearches,
+      workers: this.pool ? this.pool.size : 0,
       avgSearchTimeMs: Math.round(this.stats.avgSearchTimeMs * 100) / 100,
       dimensions: this.config.dimensions,
-      maxElements: this.config.maxElements
+      maxElements: this.config.maxElements,
+      memory,
+      hnsw
     };
   }
 
@@ -230,6 +620,545 @@ class VectorIndex extends EventEmitter {
   isReady() {
     return this.initialized;
   }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * HNSW graph for hnsw mode, null for exact mode
+   * @private
+   */
+  _createGraph() {
+    if (this.config.mode !== 'hnsw') return null;
+
+    return new HnswIndex(this._graphOptions());
+  }
+
+  /**
+   * @private
+   */
+  _graphOptions() {
+    return {
+      M: this.config.M,
+      efConstruction: this.config.efConstruction,
+      efSearch: this.config.efSearch,
+      codec: this.codec
+    };
+  }
+
+  /**
+   * Put an encoded vector in its bank's partition, replacing any vector
+   * already indexed for the id (in whichever partition it was)
+   * @param {Float32Array} query - Full-precision vector to route the HNSW insert
+   * @private
+   */
+  _place(id, vector, metadata, query = null) {
+    const previous = this.idToMeta.get(id);
+    if (previous) {
+      this._removeFromPartition(previous.bankId, id);
+    }
+
+    const partition = this._getPartition(metadata.bankId);
+    const stored = this.store.put(id, vector);
+    partition.vectors.set(id, stored);
+    partition.scan = null;
+    this.idToMeta.set(id, metadata);
+
+    if (partition.graph) {
+      partition.graph.add(id, stored, query);
+      if (partition.nextGraph) partition.nextGraph.add(id, stored, query);
+    }
+
+    if (!previous) {
+      this.stats.vectorCount++;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getPartition(bankId) {
+    let partition = this.partitions.get(bankId);
+    if (!partition) {
+      partition = { bankId, vectors: new Map(), graph: this._createGraph(), nextGraph: null, scan: null };
+      this.partitions.set(bankId, partition);
+    }
+    return partition;
+  }
+
+  /**
+   * Drop a vector from its partition, and the partition once it is empty
+   * @private
+   */
+  _removeFromPartition(bankId, id) {
+    const partition = this.partitions.get(bankId);
+    if (!partition) return;
+
+    partition.vectors.delete(id);
+    partition.scan = null;
+    if (partition.vectors.size === 0) {
+      this.partitions.delete(bankId);
+    } else if (partition.graph) {
+      // Tombstones keep a private copy; the shared slot is reused
+      const copy = this.store.copy(id);
+      for (const graph of [partition.graph, partition.nextGraph]) {
+        if (graph && graph.setVector(id, copy)) graph.remove(id);
+      }
+      this._maybeCompact(partition);
+    }
+
+    this.store.delete(id);
+  }
+
+  /**
+   * Predicate over memory ids for the search filters, or null for none
+   * @private
+   */
+  _compileFilter(filters = {}) {
+    const matches = compileMemoryFilter(filters);
+    if (!matches) return null;
+
+    return (id) => {
+      const meta = this.idToMeta.get(id);
+      return !!meta && matches(meta);
+    };
+  }
+
+  /**
+   * Brute-force top-k over every vector of the given partitions, on the
+   * worker pool when the scan is large enough
+   * @private
+   */
+  async _exactSearch(partitions, queryVector, k, filter) {
+    const total = partitions.reduce((sum, partition) => sum + partition.vectors.size, 0);
+    if (this.pool && total >= this.config.workerThreshold) {
+      try {
+        return await this._parallelSearch(partitions, queryVector, k, filter);
+      } catch (error) {
+        console.warn('[VectorIndex] Parallel search failed, scanning on the main thread:', error.message);
+      }
+    }
+
+    const codec = this.codec;
+    const query = codec.prepareQuery(queryVector);
+    const similarities = [];
+
+    for (const partition of partitions) {
+      for (const [id, vector] of partition.vectors) {
+        if (filter && !filter(id)) continue;
+        similarities.push({ id, score: 1 - codec.queryDistance(query, vector) });
+      }
+    }
+
+    // Sort by similarity (descending) and take top k
+    similarities.sort((a, b) => b.score - a.score);
+    return similarities.slice(0, k);
+  }
+
+  /**
+   * @private
+   */
+  async _parallelSearch(partitions, queryVector, k, filter) {
+    // Unfiltered scan lists are cached until the partition changes
+    const lists = partitions.map(partition => (
+      filter ? this._scanList(partition, filter) : (partition.scan ||= this._scanList(partition))
+    ));
+
+    let { slots, ids } = lists[0];
+    if (lists.length > 1) {
+      ids = lists.flatMap(list => list.ids);
+      slots = new Int32Array(new SharedArrayBuffer(ids.length * 4));
+      let offset = 0;
+      for (const list of lists) {
+        slots.set(list.slots, offset);
+        offset += list.slots.length;
+      }
+    }
+
+    const top = await this.pool.search(this.store, queryVector, slots, k);
+    this.stats.parallelSearches++;
+
+    // Positions map back through the ids captured with the list, so a slot
+    // reused meanwhile cannot be reported under another memory
+    return top.map(({ index, score }) => ({ id: ids[index], score }));
+  }
+
+  /**
+   * Shared-memory slots (and their ids) of a partition's vectors that pass
+   * the filter
+   * @private
+   */
+  _scanList(partition, filter = null) {
+    const ids = [];
+    for (const id of partition.vectors.keys()) {
+      if (!filter || filter(id)) ids.push(id);
+    }
+
+    const slots = new Int32Array(new SharedArrayBuffer(ids.length * 4));
+    for (let i = 0; i < ids.length; i++) {
+      slots[i] = this.store.slotOf(ids[i]);
+    }
+
+    return { slots, ids };
+  }
+
+  /**
+   * Start a background rebuild once tombstones pile up
+   * @private
+   */
+  _maybeCompact(partition) {
+    if (partition.nextGraph) return;
+    if (partition.graph.deletedCount < 64 || partition.graph.deletedRatio() <= this.config.compactRatio) return;
+
+    this._compact(partition).catch(error => {
+      partition.nextGraph = null;
+      console.error(`[VectorIndex] Compaction of ${partition.bankId} failed:`, error.message);
+    });
+  }
+
+  /**
+   * Rebuild a partition's graph from live vectors without blocking the event
+   * loop. Adds and removes that arrive meanwhile are applied to both graphs.
+   * @private
+   */
+  async _compact(partition) {
+    const next = this._createGraph();
+    partition.nextGraph = next;
+
+    // Dropped by clear(), emptied out or re-encoded while the rebuild was running
+    const abandoned = () => this.partitions.get(partition.bankId) !== partition || partition.nextGraph !== next;
+
+    const startTime = Date.now();
+    const entries = [...partition.vectors];
+
+    for (let i = 0; i < entries.length; i++) {
+      if (abandoned()) return;
+
+      const [id, vector] = entries[i];
+      // Skip vectors removed or replaced since the rebuild started
+      if (partition.vectors.get(id) === vector && !next.has(id)) {
+        next.add(id, vector);
+      }
+
+      if (i % 500 === 499) await yieldToEventLoop();
+    }
+
+    if (abandoned()) return;
+
+    partition.graph = next;
+    partition.nextGraph = null;
+    this.stats.compactions++;
+    console.log(`[VectorIndex] Compacted HNSW graph of ${partition.bankId} to ${next.size} vectors in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Replace approximate scores with full-precision ones and keep the top k.
+   * Candidates whose embedding cannot be loaded keep their approximate score.
+   * @private
+   */
+  async _rescore(queryVector, candidates, k) {
+    let rows;
+    try {
+      rows = await this.loadEmbeddings(candidates.map(c => c.id));
+    } catch (error) {
+      console.warn('[VectorIndex] Rescoring failed, using approximate scores:', error.message);
+      return candidates.slice(0, k);
+    }
+
+    const scores = new Map();
+    for (const row of rows) {
+      if (row.embedding && row.embedding.length === this.config.dimensions) {
+        scores.set(row.id, dot(queryVector, normalize(row.embedding)));
+      }
+    }
+
+    return candidates
+      .map(c => ({ id: c.id, score: scores.has(c.id) ? scores.get(c.id) : c.score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  /**
+   * Train the product quantizer in the background once enough vectors exist
+   * @private
+   */
+  _maybeTrain() {
+    if (!this.quantizer || this.quantizer.trained || this.training) return;
+    if (this.stats.vectorCount < Math.max(this.config.pqTrainingSize, this.quantizer.centroids)) return;
+
+    this.training = true;
+    this._trainQuantizer()
+      .catch(error => console.error('[VectorIndex] Product quantizer training failed:', error.message))
+      .finally(() => { this.training = false; });
+  }
+
+  /**
+   * @private
+   */
+  async _trainQuantizer() {
+    const startTime = Date.now();
+
+    // Uniform sample of live vectors (still full precision until the switch)
+    const sample = [];
+    let seen = 0;
+    for (const partition of this.partitions.values()) {
+      for (const vector of partition.vectors.values()) {
+        seen++;
+        if (sample.length < this.config.pqTrainingSize) {
+          sample.push(vector);
+        } else {
+          const j = Math.floor(Math.random() * seen);
+          if (j < sample.length) sample[j] = vector;
+        }
+      }
+    }
+
+    const quantizer = this.quantizer;
+    await quantizer.train(sample);
+
+    // A snapshot loaded meanwhile may have brought its own codebook
+    if (this.quantizer !== quantizer) return;
+    this._switchCodec(quantizer);
+
+    console.log(`[VectorIndex] Trained product quantizer on ${sample.length} vectors and re-encoded ${this.stats.vectorCount} in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Re-encode every stored vector, graph nodes included, with a new codec
+   * into a new shared store. Live vectors are shared between a partition's
+   * map and its graph, so each is converted once; tombstones get private
+   * copies.
+   * @private
+   */
+  _switchCodec(codec) {
+    const previous = this.codec;
+    const store = new SharedVectorStore({ codec });
+
+    for (const partition of this.partitions.values()) {
+      const converted = new Map();
+      for (const [id, vector] of partition.vectors) {
+        const encoded = store.put(id, codec.encode(previous.decode(vector)));
+        converted.set(vector, encoded);
+        partition.vectors.set(id, encoded);
+      }
+
+      // A rebuild in flight holds old vectors; it restarts on the next removal
+      partition.nextGraph = null;
+      partition.scan = null;
+      if (partition.graph) {
+        partition.graph.recode(codec, vector => converted.get(vector) || codec.encode(previous.decode(vector)));
+      }
+    }
+
+    this.codec = codec;
+    this.store = store;
+  }
+
+  /**
+   * Why a snapshot cannot be loaded with the current settings, or null
+   * @private
+   */
+  _snapshotMismatch(header) {
+    if (header.mode !== this.config.mode || header.M !== this.config.M) {
+      return `mode=${header.mode} M=${header.M}`;
+    }
+    if (header.quantization !== this.config.quantization) {
+      return `quantization=${header.quantization}`;
+    }
+    if (header.codec.type === 'pq' && header.codec.subvectors !== this.config.pqSubvectors) {
+      return `pqSubvectors=${header.codec.subvectors}`;
+    }
+    return null;
+  }
+}
+
+/**
+ * Normalize the filterable fields of a vector
+ */
+function toMetadata(meta) {
+  return {
+    bankId: meta.bankId ?? null,
+    type: meta.type ?? null,
+    storyId: meta.storyId ?? null,
+    tags: Array.isArray(meta.tags) ? meta.tags : [],
+    source: meta.source ?? null,
+    stage: meta.stage ?? null,
+    createdAt: meta.createdAt ?? null,
+    metadata: meta.metadata && typeof meta.metadata === 'object' ? meta.metadata : {}
+  };
+}
+
+/**
+ * Copy a vector as a unit-length Float32Array (zero vectors stay zero)
+ */
+function normalize(embedding) {
+  const vector = Float32Array.from(embedding);
+
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= norm;
+    }
+  }
+
+  return vector;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function align4(n) {
+  return Math.ceil(n / 4) * 4;
+}
+
+/**
+ * Flatten HNSW links: per node its layer count, then per layer the link
+ * count followed by the linked nodes
+ */
+function encodeLinks(links) {
+  let length = 0;
+  for (const layers of links) {
+    length += 1;
+    for (const layer of layers) length += 1 + layer.length;
+  }
+
+  const encoded = new Int32Array(length);
+  let i = 0;
+  for (const layers of links) {
+    encoded[i++] = layers.length;
+    for (const layer of layers) {
+      encoded[i++] = layer.length;
+      encoded.set(layer, i);
+      i += layer.length;
+    }
+  }
+  return encoded;
+}
+
+function decodeLinks(encoded, nodes) {
+  const links = new Array(nodes);
+  let i = 0;
+  for (let node = 0; node < nodes; node++) {
+    const layers = new Array(encoded[i++]);
+    for (let l = 0; l < layers.length; l++) {
+      const count = encoded[i++];
+      layers[l] = Array.from(encoded.subarray(i, i + count));
+      i += count;
+    }
+    links[node] = layers;
+  }
+  return links;
+}
+
+/**
+ * Read and verify a snapshot file
+ * @returns {Object} - { header, body } with body 4-byte aligned
+ */
+function readSnapshot(filePath, dimensions) {
+  const file = fs.readFileSync(filePath);
+
+  if (file.length < SNAPSHOT_PREFIX_BYTES + DIGEST_BYTES || file.toString('latin1', 0, 4) !== SNAPSHOT_MAGIC) {
+    throw new Error('not a vector index snapshot');
+  }
+
+  const version = file.readUInt32LE(4);
+  if (version !== SNAPSHOT_VERSION) {
+    throw new Error(`unsupported snapshot version ${version}`);
+  }
+
+  const end = file.length - DIGEST_BYTES;
+  const digest = crypto.createHash('sha256').update(file.subarray(0, end)).digest();
+  if (!digest.equals(file.subarray(end))) {
+    throw new Error('checksum mismatch');
+  }
+
+  const headerLength = file.readUInt32LE(8);
+  const header = JSON.parse(file.toString('utf8', SNAPSHOT_PREFIX_BYTES, SNAPSHOT_PREFIX_BYTES + headerLength));
+
+  if (header.dimensions !== dimensions) {
+    throw new Error(`written with ${header.dimensions} dimensions, expected ${dimensions}`);
+  }
+
+  let body = file.subarray(align4(SNAPSHOT_PREFIX_BYTES + headerLength), end);
+
+  // Typed array views need a 4-byte aligned offset
+  if (body.byteOffset % 4 !== 0) body = new Uint8Array(body);
+
+  return { header, body };
+}
+
+/**
+ * Buffered file writer that hashes what it writes and appends the digest
+ */
+class ChunkedWriter {
+  constructor(filePath, chunkSize = 4 * 1024 * 1024) {
+    this.fd = fs.openSync(filePath, 'w');
+    this.hash = crypto.createHash('sha256');
+    this.buffer = Buffer.allocUnsafe(chunkSize);
+    this.used = 0;
+    this.bytes = 0;
+  }
+
+  /**
+   * @param {ArrayBufferView} view - Bytes to append
+   */
+  write(view) {
+    const bytes = Buffer.from(view.buffer, view.byteOffset, view.byteLength);
+
+    if (this.used + bytes.length > this.buffer.length) this._flush();
+
+    if (bytes.length > this.buffer.length) {
+      this._emit(bytes);
+    } else {
+      bytes.copy(this.buffer, this.used);
+      this.used += bytes.length;
+    }
+  }
+
+  /**
+   * Append the digest, sync and close
+   * @returns {number} - Bytes written
+   */
+  finish() {
+    this._flush();
+
+    const digest = this.hash.digest();
+    fs.writeSync(this.fd, digest);
+    this.bytes += digest.length;
+
+    fs.fsyncSync(this.fd);
+    fs.closeSync(this.fd);
+    return this.bytes;
+  }
+
+  abort() {
+    fs.closeSync(this.fd);
+  }
+
+  _flush() {
+    if (this.used === 0) return;
+    this._emit(this.buffer.subarray(0, this.used));
+    this.used = 0;
+  }
+
+  _emit(bytes) {
+    this.hash.update(bytes);
+    fs.writeSync(this.fd, bytes);
+    this.bytes += bytes.length;
+  }
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
 }
 
-module.exports = { VectorIndex };
+module.exports = { VectorIndex, MODES };
@@ -0,0 +1,108 @@
+/**
+ * searchWorker.js - Worker thread entry for parallel brute-force scans
+ *
+ * Started by SearchWorkerPool. Reads vectors straight from the
+ * SharedVectorStore's SharedArrayBuffer chunks and scores its share of a
+ * scan list against the query, returning its local top-k.
+ *
+ * Messages in:
+ *   { type: 'reset', codec, codecState, dimensions, chunkSlots, stride, chunks }
+ *   { type: 'search', jobId, query, slots, start, end, k, chunks? }
+ * Messages out:
+ *   { jobId, indexes, scores }  (indexes into slots, best first)
+ *   { jobId, error }
+ */
+
+const { parentPort } = require('worker_threads');
+const { createCodec } = require('./Quantization');
+
+let codec = null;
+let chunkSlots = 0;
+let stride = 0;
+let chunkBytes = [];
+let chunkFloats = [];
+
+parentPort.on('message', (message) => {
+  if (message.type === 'reset') {
+    codec = createCodec(message.codec, message.dimensions, message.codecState);
+    chunkSlots = message.chunkSlots;
+    stride = message.stride;
+    chunkBytes = [];
+    chunkFloats = [];
+    addChunks(message.chunks);
+    return;
+  }
+
+  if (message.type === 'search') {
+    try {
+      if (message.chunks) addChunks(message.chunks);
+      parentPort.postMessage({ jobId: message.jobId, ...scan(message) });
+    } catch (error) {
+      parentPort.postMessage({ jobId: message.jobId, error: error.message });
+    }
+  }
+});
+
+function addChunks(chunks) {
+  for (const buffer of chunks) {
+    chunkBytes.push(new Uint8Array(buffer));
+    chunkFloats.push(new Float32Array(buffer));
+  }
+}
+
+/**
+ * Score slots[start..end) and keep the k best
+ */
+function scan({ query, slots, start, end, k }) {
+  const prepared = codec.prepareQuery(query);
+  const float32 = codec.type === 'float32';
+  const dimensions = query.length;
+
+  const indexes = [];
+  const scores = [];
+  let worst = 0;   // position of the lowest score kept once k are held
+
+  for (let i = start; i < end; i++) {
+    const slot = slots[i];
+    const chunk = Math.floor(slot / chunkSlots);
+    const offset = (slot % chunkSlots) * stride;
+
+    let score;
+    if (float32) {
+      // Plain loop over the chunk instead of a view per vector
+      const floats = chunkFloats[chunk];
+      const base = offset / 4;
+      let sum = 0;
+      for (let d = 0; d < dimensions; d++) {
+        sum += query[d] * floats[base + d];
+      }
+      score = sum;
+    } else {
+      score = 1 - codec.queryDistance(prepared, codec.deserialize(chunkBytes[chunk], offset));
+    }
+
+    if (indexes.length < k) {
+      indexes.push(i);
+      scores.push(score);
+      if (indexes.length === k) worst = lowest(scores);
+    } else if (score > scores[worst]) {
+      indexes[worst] = i;
+      scores[worst] = score;
+      worst = lowest(scores);
+    }
+  }
+
+  const order = indexes.map((_, n) => n).sort((a, b) => scores[b] - scores[a]);
+  return {
+    indexes: order.map(n => indexes[n]),
+    scores: order.map(n => scores[n])
+  };
+}
+
+function lowest(scores) {
+  let position = 0;
+  for (let n = 1; n < scores.length; n++) {
+    if (scores[n] < scores[position]) position = n;
+  }
+  return position;
+}
@@ -8,15 +8,25 @@
  * - lowest_confidence: Remove lowest confidence memories first
  * - expired: Remove memories past their TTL
  * - least_accessed: Remove least recently accessed memories
+ * - over_limit: Remove oldest memories beyond the bank's maxMemories
+ *
+ * Removed memories go to the trash and are purged for good by purgeTrash()
+ * once they are older than the purge window.
+ *
+ * All reads and deletes go through a StorageAdapter. Callers are responsible
+ * for removing the returned memory IDs from the vector index.
  */
 
+const STRATEGIES = ['oldest_first', 'lowest_confidence', 'expired', 'least_accessed', 'over_limit'];
+
 class RetentionManager {
-  constructor(db, config = {}) {
-    this.db = db;
+  constructor(storage, config = {}) {
+    this.storage = storage;
     this.config = {
       defaultTtlDays: config.defaultTtlDays || 0, // 0 = no expiration
       defaultStrategy: config.defaultStrategy || 'expired',
       maxMemoriesPerBank: config.maxMemoriesPerBank || 10000,
+      trashPurgeAfterDays: config.trashPurgeAfterDays ?? 30, // 0 = keep until purged manually
       ...config
     };
   }
@@ -67,17 +77,10 @@ class RetentionManager {
    * @private
    */
   async _cleanupOldest(bankId, limit, dryRun) {
-    const memories = this.db.prepare(`
-      SELECT id, created_at FROM memories
-      WHERE bank_id = ?
-      ORDER BY created_at ASC
-      LIMIT ?
-    `).all(bankId, limit);
+    const memories = this.storage.listMemories(bankId, { orderBy: 'oldest', limit });
 
     if (!dryRun && memories.length > 0) {
-      const ids = memories.map(m => m.id);
-      const placeholders = ids.map(() => '?').join(',');
-      this.db.prepare(`DELETE FROM memories WHERE id IN (${placeholders})`).run(...ids);
+      this.storage.trashMemories(memories.map(m => m.id));
     }
 
     return {
@@ -93,17 +96,10 @@ class RetentionManager {
    * @private
    */
   async _cleanupLowConfidence(bankId, limit, dryRun) {
-    const memories = this.db.prepare(`
-      SELECT id, confidence FROM memories
-      WHERE bank_id = ?
-      ORDER BY confidence ASC
-      LIMIT ?
-    `).all(bankId, limit);
+    const memories = this.storage.listMemories(bankId, { orderBy: 'confidence', limit });
 
     if (!dryRun && memories.length > 0) {
-      const ids = memories.map(m => m.id);
-      const placeholders = ids.map(() => '?').join(',');
-      this.db.prepare(`DELETE FROM memories WHERE id IN (${placeholders})`).run(...ids);
+      this.storage.trashMemories(memories.map(m => m.id));
     }
 
     return {
@@ -121,17 +117,10 @@ class RetentionManager {
   async _cleanupExpired(bankId, dryRun) {
     const now = new Date().toISOString();
 
-    const memories = this.db.prepare(`
-      SELECT id, expires_at FROM memories
-      WHERE bank_id = ?
-        AND expires_at IS NOT NULL
-        AND expires_at < ?
-    `).all(bankId, now);
+    const memories = this.storage.listMemories(bankId, { expiredBefore: now, orderBy: 'oldest' });
 
     if (!dryRun && memories.length > 0) {
-      const ids = memories.map(m => m.id);
-      const placeholders = ids.map(() => '?').join(',');
-      this.db.prepare(`DELETE FROM memories WHERE id IN (${placeholders})`).run(...ids);
+      this.storage.trashMemories(memories.map(m => m.id));
     }
 
     return {
@@ -147,17 +136,10 @@ class RetentionManager {
    * @private
    */
   async _cleanupLeastAccessed(bankId, limit, dryRun) {
-    const memories = this.db.prepare(`
-      SELECT id, last_accessed_at, access_count FROM memories
-      WHERE bank_id = ?
-      ORDER BY COALESCE(last_accessed_at, created_at) ASC, access_count ASC
-      LIMIT ?
-    `).all(bankId, limit);
+    const memories = this.storage.listMemories(bankId, { orderBy: 'least_accessed', limit });
 
     if (!dryRun && memories.length > 0) {
-      const ids = memories.map(m => m.id);
-      const placeholders = ids.map(() => '?').join(',');
-      this.db.prepare(`DELETE FROM memories WHERE id IN (${placeholders})`).run(...ids);
+      this.storage.trashMemories(memories.map(m => m.id));
     }
 
     return {
@@ -178,12 +160,10 @@ class RetentionManager {
    */
   async _cleanupOverLimit(bankId, dryRun) {
     // Get bank config for limit
-    const bank = this.db.prepare('SELECT config FROM banks WHERE id = ?').get(bankId);
-    const bankConfig = JSON.parse(bank?.config || '{}');
-    const maxMemories = bankConfig.maxMemories || this.config.maxMemoriesPerBank;
+    const maxMemories = this._getMaxMemories(bankId);
 
     // Count current memories
-    const { count } = this.db.prepare('SELECT COUNT(*) as count FROM memories WHERE bank_id = ?').get(bankId);
+    const count = this.storage.countMemories(bankId);
 
     if (count <= maxMemories) {
       return {
@@ -198,17 +178,10 @@ class RetentionManager {
     const toRemove = count - maxMemories;
 
     // Get oldest memories to remove
-    const memories = this.db.prepare(`
-      SELECT id, created_at FROM memories
-      WHERE bank_id = ?
-      ORDER BY created_at ASC
-      LIMIT ?
-    `).all(bankId, toRemove);
+    const memories = this.storage.listMemories(bankId, { orderBy: 'oldest', limit: toRemove });
 
     if (!dryRun && memories.length > 0) {
-      const ids = memories.map(m => m.id);
-      const placeholders = ids.map(() => '?').join(',');
-      this.db.prepare(`DELETE FROM memories WHERE id IN (${placeholders})`).run(...ids);
+      this.storage.trashMemories(memories.map(m => m.id));
     }
 
     return {
@@ -220,18 +193,31 @@ class RetentionManager {
     };
   }
 
+  /**
+   * Permanently remove trashed banks and memories older than the purge window
+   * @param {Object} options - { olderThanDays: override the configured window }
+   * @returns {Object} - Purge results
+   */
+  purgeTrash(options = {}) {
+    const olderThanDays = options.olderThanDays ?? this.config.trashPurgeAfterDays;
+    const before = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const { banks, memories } = this.storage.purgeTrash(before);
+
+    if (banks.length > 0 || memories > 0) {
+      console.log(`[RetentionManager] Purged ${banks.length} banks and ${memories} memories from trash`);
+    }
+
+    return { purgedBanks: banks, purgedMemories: memories, before };
+  }
+
   /**
    * Update access tracking for a memory
    * @param {string} memoryId - Memory ID
    */
   trackAccess(memoryId) {
     try {
-      this.db.prepare(`
-        UPDATE memories
-        SET last_accessed_at = datetime('now'),
-            access_count = COALESCE(access_count, 0) + 1
-        WHERE id = ?
-      `).run(memoryId);
+      this.storage.trackAccess(memoryId);
     } catch (error) {
       console.error(`[RetentionManager] Failed to track access for ${memoryId}:`, error.message);
     }
@@ -247,9 +233,7 @@ class RetentionManager {
       ? new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
       : null;
 
-    this.db.prepare(`
-      UPDATE memories SET expires_at = ? WHERE id = ?
-    `).run(expiresAt, memoryId);
+    this.storage.updateMemory(memoryId, { expires_at: expiresAt });
   }
 
   /**
@@ -257,30 +241,29 @@ class RetentionManager {
    * @param {string} bankId - Bank ID
    */
   getStats(bankId) {
-    const total = this.db.prepare('SELECT COUNT(*) as count FROM memories WHERE bank_id = ?').get(bankId);
-    const expired = this.db.prepare(`
-      SELECT COUNT(*) as count FROM memories
-      WHERE bank_id = ? AND expires_at IS NOT NULL AND expires_at < datetime('now')
-    `).get(bankId);
-    const withTTL = this.db.prepare(`
-      SELECT COUNT(*) as count FROM memories
-      WHERE bank_id = ? AND expires_at IS NOT NULL
-    `).get(bankId);
-
-    // Get bank config for limit
-    const bank = this.db.prepare('SELECT config FROM banks WHERE id = ?').get(bankId);
-    const bankConfig = JSON.parse(bank?.config || '{}');
-    const maxMemories = bankConfig.maxMemories || this.config.maxMemoriesPerBank;
+    const total = this.storage.countMemories(bankId);
+    const expired = this.storage.countMemories(bankId, { expiredBefore: new Date().toISOString() });
+    const withTTL = this.storage.countMemories(bankId, { hasExpiry: true });
+    const maxMemories = this._getMaxMemories(bankId);
 
     return {
       bankId,
-      totalMemories: total.count,
+      totalMemories: total,
       maxMemories,
-      memoriesWithTTL: withTTL.count,
-      expiredMemories: expired.count,
-      atCapacity: total.count >= maxMemories
+      memoriesWithTTL: withTTL,
+      expiredMemories: expired,
+      atCapacity: total >= maxMemories
     };
   }
+
+  /**
+   * Bank-specific memory limit, falling back to the global default
+   * @private
+   */
+  _getMaxMemories(bankId) {
+    const bank = this.storage.getBank(bankId);
+    return bank?.config?.maxMemories || this.config.maxMemoriesPerBank;
+  }
 }
 
-module.exports = { RetentionManager };
+module.exports = { RetentionManager, STRATEGIES };
@@ -5,8 +5,13 @@
  * A standalone semantic memory storage and retrieval service.
  * - Local embeddings (Xenova/transformers.js)
  * - HNSW vector index for O(log n) search
+ * - BM25 keyword index fused with vector scores (hybrid recall)
  * - Bank-level and action-level context for LLM extraction
  * - Query context with enhanced embedding and entity boost
+ * - LLM query expansion (HyDE, paraphrases) for short queries
+ * - Optional local cross-encoder re-ranking of recall's top results
+ * - Parent banks that recall and reflect fall through to
+ * - Cursor pagination for memory listing and recall
  *
  * Endpoints:
  * - GET  /health                    - Health check
@@ -14,28 +19,55 @@
  * - GET  /banks                     - List all memory banks
  * - POST /banks                     - Create memory bank (with context)
  * - GET  /banks/:id                 - Get memory bank details
- * - DELETE /banks/:id               - Delete memory bank
+ * - DELETE /banks/:id               - Move memory bank to trash (?permanent=true to erase)
+ * - POST /banks/:id/restore         - Restore a trashed bank
  * - POST /banks/:id/memories        - Store memory (with actionContext)
  * - POST /banks/:id/memories/batch  - Batch store memories
  * - GET  /banks/:id/memories        - List memories
+ * - GET  /banks/:id/memories/:memId - Get a single memory
+ * - PUT|PATCH /banks/:id/memories/:memId - Update a memory (re-embeds on content change)
+ * - DELETE /banks/:id/memories/:memId - Move a memory to trash (?permanent=true to erase)
+ * - GET  /banks/:id/trash           - List trashed memories
+ * - POST /banks/:id/trash/restore   - Restore trashed memories
+ * - GET  /banks/:id/memories/:memId/history - List prior revisions
+ * - POST /banks/:id/memories/:memId/history/:rev/restore - Roll back to a revision
  * - POST /banks/:id/recall          - Search memories (with queryContext)
+ * - POST /recall                    - Search several banks (bankIds or bankPattern)
  * - POST /banks/:id/reflect         - Generate insights
  * - GET  /banks/:id/export          - Export bank data
  * - POST /banks/:id/import          - Import bank data
  * - POST /banks/:id/cleanup         - Run retention cleanup
+ * - GET  /trash                     - List trashed banks
+ * - POST /trash/purge               - Permanently remove old trash
+ * - GET  /admin/schema              - Schema migration status
+ * - POST /admin/snapshots           - Write a database snapshot
+ * - GET  /admin/snapshots           - List snapshots
+ * - POST /admin/snapshots/:name/restore - Restore a snapshot
+ * - POST /admin/snapshots/prune     - Delete old snapshots
+ * - POST /admin/verify              - Check database/index consistency (repair: true fixes)
  */
 
 const express = require('express');
-const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const yaml = require('js-yaml');
 
 // Internal providers
 const { EmbeddingService } = require('./providers/EmbeddingService');
+const { CrossEncoderService } = require('./providers/CrossEncoderService');
 const { LLMProvider } = require('./providers/LLMProvider');
 const { VectorIndex } = require('./providers/VectorIndex');
+const { KeywordIndex } = require('./providers/KeywordIndex');
+const { QueryExpander, EXPANSION_MODES } = require('./providers/QueryExpander');
 const { cosineSimilarity } = require('./utils/cosine');
+const { maximalMarginalRelevance, DEFAULT_MMR_LAMBDA } = require('./utils/mmr');
+const { fuseScores, normalizeKeywordScores, FUSION_METHODS } = require('./utils/fusion');
+const { validateTemporalSettings, resolveTemporalSettings, recencyScore, temporalFactor, sqlTimestamp } = require('./utils/temporal');
+const { parseMemoryFilter, compileMemoryFilter, failedFilterFields } = require('./utils/filters');
+const { encodeCursor, decodeCursor, ResultSnapshots } = require('./utils/pagination');
+const { createStorageAdapter, SnapshotManager } = require('./storage');
+const { RetentionManager, STRATEGIES: CLEANUP_STRATEGIES } = require('./retention/RetentionManager');
+const { ConsistencyChecker } = require('./integrity/ConsistencyChecker');
 
 const app = express();
 app.use(express.json({ limit: '50mb' }));
@@ -43,7 +75,7 @@ app.use(express.json({ limit: '50mb' }));
 // Enable CORS
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -80,8 +112,28 @@ if (!fs.existsSync(DATA_DIR)) {
 // Database path
 const DB_PATH = path.join(DATA_DIR, 'hindsight.db');
 
-// Global instances
-let db = null;
+// Persisted vector index, for warm starts (config.vectorIndex.persist)
+const VECTOR_INDEX_PATH = path.join(DATA_DIR, 'vector-index.bin');
+const persistVectorIndex = config.vectorIndex?.persist ?? true;
+
+// Storage backend (config.storage.type); all persistence goes through it
+const storage = createStorageAdapter(config.storage?.type, {
+  dbPath: DB_PATH,
+  debounceMs: config.storage?.flush_debounce_ms,
+  maxDelayMs: config.storage?.flush_max_delay_ms
+});
+
+const snapshotManager = new SnapshotManager(storage, {
+  dir: path.join(DATA_DIR, 'snapshots'),
+  retainCount: config.snapshots?.retain_count ?? 10
+});
+
+const retentionManager = new RetentionManager(storage, {
+  defaultTtlDays: config.retention?.default_ttl_days ?? config.retention?.defaultTtlDays ?? 0,
+  defaultStrategy: config.retention?.default_strategy || config.retention?.defaultStrategy || 'expired',
+  maxMemoriesPerBank: config.retention?.auto_cleanup?.max_memories_per_bank || 10000,
+  trashPurgeAfterDays: config.retention?.trash?.purge_after_days ?? 30
+});
 
 // Initialize providers
 const embeddingService = new EmbeddingService({
@@ -90,6 +142,17 @@ const embeddingService = new EmbeddingService({
   quantized: config.embeddings?.quantized
 });
 
+// Cross-encoder for re-ranking recall's top candidates; loaded on first use
+const rerankerConfig = {
+  enabled: config.reranker?.enabled ?? false,
+  topN: config.reranker?.top_n ?? 20
+};
+const crossEncoder = new CrossEncoderService({
+  model: config.reranker?.model,
+  quantized: config.reranker?.quantized,
+  cacheDir: config.embeddings?.cache_dir
+});
+
 // LLM Provider config - supports persistent, cli, and api modes
 const llmMode = config.llm?.mode || 'persistent';
 const llmConfig = {
@@ -105,90 +168,191 @@ let llmReady = llmMode !== 'persistent'; // CLI and API are always ready
 
 const vectorIndex = new VectorIndex({
   dimensions: config.embeddings?.dimensions || 384,
-  maxElements: config.vectorIndex?.maxElements || 100000
+  maxElements: config.vectorIndex?.maxElements || 100000,
+  mode: config.vectorIndex?.mode || 'hnsw',
+  M: config.vectorIndex?.M,
+  efConstruction: config.vectorIndex?.efConstruction,
+  efSearch: config.vectorIndex?.efSearch,
+  exactThreshold: config.vectorIndex?.exactThreshold,
+  quantization: config.vectorIndex?.quantization,
+  pqSubvectors: config.vectorIndex?.pqSubvectors,
+  pqTrainingSize: config.vectorIndex?.pqTrainingSize,
+  rescoreFactor: config.vectorIndex?.rescoreFactor,
+  workers: config.vectorIndex?.workers ?? 2,
+  workerThreshold: config.vectorIndex?.workerThreshold,
+  // Full-precision embeddings for rescoring quantized candidates
+  loadEmbeddings: ids => storage.listEmbeddings({ ids })
+});
+
+// BM25 over content, entities and facts; fused with vector scores in recall
+const keywordStrategy = config.retrieval?.strategies?.keyword || {};
+const keywordIndex = new KeywordIndex({
+  k1: keywordStrategy.k1,
+  b: keywordStrategy.b
+});
+
+const fusionConfig = {
+  method: keywordStrategy.enabled === false ? 'none' : (config.retrieval?.fusion || 'weighted'),
+  weights: {
+    semantic: config.retrieval?.strategies?.semantic?.weight ?? 1.0,
+    keyword: keywordStrategy.weight ?? 0.6
+  },
+  rrfK: config.retrieval?.rrf_k ?? 60
+};
+
+// LLM query expansion for recall (expand: 'hyde' | 'paraphrase'), cached per query
+const expansionConfig = config.retrieval?.expansion || {};
+const queryExpander = new QueryExpander({
+  complete: (prompt, systemPrompt) => getLLMCompletion(prompt, systemPrompt),
+  paraphrases: expansionConfig.paraphrases,
+  cacheSize: expansionConfig.cache_size,
+  cacheTtlMs: expansionConfig.cache_ttl_minutes !== undefined ? expansionConfig.cache_ttl_minutes * 60 * 1000 : undefined
+});
+
+// Ranked lists of paginated recalls, so later pages come from the same ranking
+const paginationConfig = config.retrieval?.pagination || {};
+const recallSnapshots = new ResultSnapshots({
+  ttlMs: (paginationConfig.snapshot_ttl_minutes ?? 10) * 60 * 1000,
+  maxEntries: paginationConfig.max_snapshots,
+  maxResults: paginationConfig.max_snapshot_results
 });
+// Candidates each bank contributes to a paginated recall's ranking
+const recallSnapshotDepth = paginationConfig.max_results ?? 500;
+
+// Recency decay; banks (config.temporal) and requests (temporal) override it
+const temporalStrategy = config.retrieval?.strategies?.temporal || {};
+const temporalDefaults = {
+  enabled: temporalStrategy.enabled ?? true,
+  weight: temporalStrategy.weight ?? 0.4,
+  decayFactor: temporalStrategy.decay_factor ?? 0.95,
+  accessWeight: temporalStrategy.access_weight ?? 0
+};
+
+// Parent banks (bank config.parentBankIds) that recall and reflect fall through to
+const inheritanceConfig = {
+  levelWeight: config.retrieval?.inheritance?.level_weight ?? 0.8,
+  maxDepth: config.retrieval?.inheritance?.max_depth ?? 5
+};
 
 let embeddingsReady = false;
 let vectorIndexReady = false;
+let vectorIndexStartup = null;   // How the index was last loaded: warm start or rebuild
+
+const consistencyChecker = new ConsistencyChecker(storage, vectorIndex, keywordIndex, {
+  dimensions: config.embeddings?.dimensions || 384,
+  embed: texts => getEmbeddings(texts),
+  index: memory => indexMemory(memory)
+});
 
 // ═══════════════════════════════════════════════════════════════
-// DATABASE HELPERS
+// HELPER FUNCTIONS
 // ═══════════════════════════════════════════════════════════════
 
-function dbAll(sql, params = []) {
-  try {
-    const stmt = db.prepare(sql);
-    if (params.length > 0) stmt.bind(params);
-    const results = [];
-    while (stmt.step()) results.push(stmt.getAsObject());
-    stmt.free();
-    return results;
-  } catch (err) {
-    console.error('[DB] Query error:', sql, err.message);
-    throw err;
-  }
+async function getEmbeddings(texts) {
+  const input = Array.isArray(texts) ? texts : [texts];
+  return await embeddingService.embedBatch(input);
 }
 
-function dbGet(sql, params = []) {
-  const results = dbAll(sql, params);
-  return results.length > 0 ? results[0] : null;
+async function getLLMCompletion(prompt, systemPrompt = null) {
+  return await llmProvider.complete(prompt, systemPrompt);
 }
 
-function dbRun(sql, params = []) {
-  try {
-    db.run(sql, params);
-    saveDatabase();
-  } catch (err) {
-    console.error('[DB] Run error:', sql, err.message);
-    throw err;
+/**
+ * A bank and its live ancestors (config.parentBankIds), nearest first. Each
+ * level up multiplies the weight by the bank's config.parentWeight (default
+ * retrieval.inheritance.level_weight); a bank reachable along several paths
+ * keeps its shallowest level. Trashed or missing parents are skipped.
+ * @param {string} bankId - Bank to start from
+ * @param {Object} options - { maxDepth }
+ * @returns {Array<{id: string, depth: number, weight: number, bank: Object|null}>}
+ */
+function resolveBankLineage(bankId, { maxDepth = inheritanceConfig.maxDepth } = {}) {
+  const root = storage.getBank(bankId);
+  const lineage = [{ id: bankId, depth: 0, weight: 1, bank: root }];
+  if (!root) return lineage;
+
+  const levelWeight = root.config.parentWeight ?? inheritanceConfig.levelWeight;
+  const seen = new Set([bankId]);
+
+  for (let i = 0; i < lineage.length; i++) {
+    const { depth, bank } = lineage[i];
+    if (depth >= maxDepth) continue;
+
+    for (const parentId of bank.config.parentBankIds || []) {
+      if (seen.has(parentId)) continue;
+      seen.add(parentId);
+
+      const parent = storage.getBank(parentId);
+      if (parent) {
+        lineage.push({ id: parentId, depth: depth + 1, weight: Math.pow(levelWeight, depth + 1), bank: parent });
+      }
+    }
   }
+  return lineage;
 }
 
-function dbExec(sql) {
-  try {
-    db.exec(sql);
-    saveDatabase();
-  } catch (err) {
-    console.error('[DB] Exec error:', err.message);
-    throw err;
-  }
+/**
+ * Domain contexts of a bank's lineage for extraction: the farthest
+ * ancestors' first, the bank's own last
+ */
+function lineageContexts(bankId) {
+  return resolveBankLineage(bankId)
+    .reverse()
+    .map(({ bank }) => bank?.config.context)
+    .filter(Boolean);
 }
 
-function saveDatabase() {
-  try {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_PATH, buffer);
-  } catch (err) {
-    console.error('[DB] Save error:', err.message);
+/**
+ * Why a bank's parentBankIds or parentWeight config is unusable, or null
+ * @param {string} bankId - Bank being created or updated
+ * @param {Object} bankConfig - Requested bank config
+ * @returns {string|null}
+ */
+function validateBankInheritance(bankId, bankConfig = {}) {
+  const { parentBankIds, parentWeight } = bankConfig || {};
+
+  if (parentWeight !== undefined && (typeof parentWeight !== 'number' || parentWeight < 0 || parentWeight > 1)) {
+    return 'config.parentWeight must be a number between 0 and 1';
   }
-}
+  if (parentBankIds === undefined) return null;
 
-// ═══════════════════════════════════════════════════════════════
-// HELPER FUNCTIONS
-// ═══════════════════════════════════════════════════════════════
+  if (!Array.isArray(parentBankIds) || !parentBankIds.every(id => typeof id === 'string')) {
+    return 'config.parentBankIds must be an array of bank ids';
+  }
+  if (parentBankIds.includes(bankId)) {
+    return 'config.parentBankIds cannot include the bank itself';
+  }
 
-async function getEmbeddings(texts) {
-  const input = Array.isArray(texts) ? texts : [texts];
-  return await embeddingService.embedBatch(input);
-}
+  const missing = parentBankIds.find(id => !storage.getBank(id));
+  if (missing) {
+    return `config.parentBankIds: bank not found: ${missing}`;
+  }
 
-async function getLLMCompletion(prompt, systemPrompt = null) {
-  return await llmProvider.complete(prompt, systemPrompt);
+  // A parent that already inherits from this bank would close a cycle
+  const cyclic = parentBankIds.find(id =>
+    resolveBankLineage(id, { maxDepth: Infinity }).some(ancestor => ancestor.id === bankId));
+  if (cyclic) {
+    return `config.parentBankIds: ${cyclic} already inherits from ${bankId}`;
+  }
+  return null;
 }
 
 /**
  * Extract entities and facts with context awareness
  * @param {string} content - Memory content
- * @param {string} bankContext - Domain context from bank (optional)
+ * @param {string|string[]} bankContext - Domain context from bank (optional);
+ *   for a bank with parents, the lineage's contexts, broadest first
  * @param {string} actionContext - Task context from request (optional)
  */
 async function extractEntitiesAndFacts(content, bankContext = null, actionContext = null) {
   // Build context-aware system prompt
   let systemPrompt = `You are an entity and fact extractor.`;
 
-  if (bankContext) {
-    systemPrompt += `\n\nDOMAIN CONTEXT: ${bankContext}`;
+  const domainContexts = [].concat(bankContext || []).filter(Boolean);
+  if (domainContexts.length === 1) {
+    systemPrompt += `\n\nDOMAIN CONTEXT: ${domainContexts[0]}`;
+  } else if (domainContexts.length > 1) {
+    systemPrompt += `\n\nDOMAIN CONTEXT (broadest first, most specific last):\n${domainContexts.map(c => `- ${c}`).join('\n')}`;
   }
 
   if (actionContext) {
@@ -262,32 +426,195 @@ function extractKeywordsFromContext(context) {
  * Calculate entity boost score
  */
 function calculateEntityBoost(memoryEntities, contextKeywords, boostWeight = 0.05) {
-  if (!contextKeywords || contextKeywords.length === 0) return 0;
-  if (!memoryEntities || memoryEntities.length === 0) return 0;
+  return matchEntityKeywords(memoryEntities, contextKeywords).length * boostWeight;
+}
+
+/**
+ * Context keywords that match one of a memory's entities
+ */
+function matchEntityKeywords(memoryEntities, contextKeywords) {
+  if (!contextKeywords || contextKeywords.length === 0) return [];
+  if (!memoryEntities || memoryEntities.length === 0) return [];
 
-  let matchCount = 0;
   const memEntitiesLower = memoryEntities.map(e => e.toLowerCase());
 
-  for (const keyword of contextKeywords) {
-    for (const entity of memEntitiesLower) {
-      if (entity.includes(keyword) || keyword.includes(entity)) {
-        matchCount++;
-        break;  // Count each keyword match once
+  // Each keyword counts once, however many entities it matches
+  return contextKeywords.filter(keyword =>
+    memEntitiesLower.some(entity => entity.includes(keyword) || keyword.includes(entity))
+  );
+}
+
+function generateMemoryId() {
+  return `mem-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function ttlToExpiresAt(ttlDays) {
+  return ttlDays && ttlDays > 0
+    ? new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+}
+
+/**
+ * Embed a list of texts. A failing batch is retried one text at a time, and
+ * failures come back as Error entries so the caller knows which item broke.
+ */
+async function embedBatchItems(texts) {
+  if (texts.length === 0) return [];
+
+  try {
+    return await getEmbeddings(texts);
+  } catch (err) {
+    console.warn('[Hindsight] Batch embedding failed, retrying per item:', err.message);
+  }
+
+  const embeddings = [];
+  for (const text of texts) {
+    try {
+      const [embedding] = await getEmbeddings(text);
+      embeddings.push(embedding);
+    } catch (err) {
+      embeddings.push(err);
+    }
+  }
+  return embeddings;
+}
+
+/**
+ * Insert a batch all-or-nothing. Rows go in inside one transaction; vectors
+ * are added after commit and, if any fails, every row and vector from the
+ * batch is removed again. Marks each result stored on success.
+ */
+async function storeBatchAtomic(records) {
+  storage.transaction(() => {
+    for (const { result, record } of records) {
+      try {
+        storage.insertMemory(record);
+      } catch (err) {
+        err.batchItem = { index: result.index, id: record.id, phase: 'insert', error: err.message };
+        throw err;
       }
     }
+  });
+
+  const added = [];
+  for (const { result, record } of records) {
+    if (await indexMemory(record)) {
+      added.push(record.id);
+      continue;
+    }
+
+    // indexMemory added the failing record's keyword document before its vector
+    for (const id of [...added, record.id]) {
+      await unindexMemory(id);
+    }
+    storage.deleteMemories(records.map(r => r.record.id));
+
+    const err = new Error(`Failed to add vector for ${record.id}`);
+    err.batchItem = { index: result.index, id: record.id, phase: 'index', error: err.message };
+    throw err;
+  }
+
+  records.forEach(({ result }) => { result.stored = true; });
+}
+
+/**
+ * Load a memory only if it belongs to the given bank
+ */
+function getBankMemory(bankId, memoryId) {
+  const memory = storage.getMemory(memoryId);
+  return memory && memory.bank_id === bankId && !memory.deleted_at ? memory : null;
+}
+
+/**
+ * Fields of a memory record the vector and keyword indexes partition and
+ * filter on
+ */
+function vectorMetadata(memory) {
+  return {
+    bankId: memory.bank_id,
+    type: memory.type,
+    storyId: memory.story_id,
+    tags: memory.tags,
+    source: memory.source,
+    stage: memory.stage,
+    createdAt: memory.created_at,
+    metadata: memory.metadata
+  };
+}
+
+/**
+ * Add (or replace) a memory record's vector in its bank's partition, and its
+ * text in the keyword index when the record carries content
+ */
+function indexMemory(memory) {
+  if (memory.content !== undefined) indexKeywords(memory);
+  return vectorIndex.addVector(memory.id, memory.embedding, vectorMetadata(memory));
+}
+
+/**
+ * Add (or replace) a memory record's content, entities and facts in the
+ * keyword index
+ */
+function indexKeywords(memory) {
+  keywordIndex.addDocument(memory.id, {
+    ...vectorMetadata(memory),
+    text: [memory.content, ...(memory.entities || []), ...(memory.facts || [])].join('\n')
+  });
+}
+
+/**
+ * Remove a memory from the vector and keyword indexes
+ */
+function unindexMemory(memoryId) {
+  keywordIndex.removeDocument(memoryId);
+  return vectorIndex.removeVector(memoryId);
+}
+
+/**
+ * Re-add restored memories to the vector and keyword indexes
+ */
+async function reindexMemories(bankId, ids) {
+  for (const memory of storage.getMemoriesByIds(bankId, ids)) {
+    if (memory.embedding.length > 0) {
+      await indexMemory(memory);
+    } else {
+      indexKeywords(memory);
+    }
   }
+}
+
+/**
+ * Who is making a change: body.actor, the X-Actor header, or 'api'
+ */
+function getActor(req) {
+  return req.body?.actor || req.get('X-Actor') || 'api';
+}
 
-  return matchCount * boostWeight;
+/**
+ * Revision record holding a memory's current state
+ */
+function toRevision(memory, actor) {
+  return {
+    memory_id: memory.id,
+    bank_id: memory.bank_id,
+    content: memory.content,
+    type: memory.type,
+    confidence: memory.confidence,
+    source: memory.source,
+    tags: memory.tags,
+    story_id: memory.story_id,
+    stage: memory.stage,
+    embedding: memory.embedding,
+    entities: memory.entities,
+    facts: memory.facts,
+    metadata: memory.metadata,
+    actor
+  };
 }
 
 function trackAccess(memoryId) {
   try {
-    dbRun(`
-      UPDATE memories
-      SET last_accessed_at = datetime('now'),
-          access_count = COALESCE(access_count, 0) + 1
-      WHERE id = ?
-    `, [memoryId]);
+    storage.trackAccess(memoryId);
   } catch (err) {
     console.error(`[Hindsight] Failed to track access for ${memoryId}:`, err.message);
   }
@@ -312,42 +639,39 @@ app.get('/health', (req, res) => {
         ready: llmReady,
         ...llmProvider.getInfo()
       },
-      vectorIndex: vectorIndex.getStats()
+      vectorIndex: { ...vectorIndex.getStats(), startup: vectorIndexStartup },
+      keywordIndex: keywordIndex.getStats(),
+      reranker: {
+        enabled: rerankerConfig.enabled,
+        topN: rerankerConfig.topN,
+        ...crossEncoder.getModelInfo()
+      }
     }
   });
 });
 
 // Global statistics
 app.get('/stats', (req, res) => {
-  const bankCount = dbGet('SELECT COUNT(*) as count FROM banks');
-  const memoryCount = dbGet('SELECT COUNT(*) as count FROM memories');
-  const typeStats = dbAll('SELECT type, COUNT(*) as count FROM memories GROUP BY type');
-
   res.json({
-    banks: bankCount?.count || 0,
-    memories: memoryCount?.count || 0,
-    types: Object.fromEntries(typeStats.map(t => [t.type, t.count])),
+    banks: storage.countBanks(),
+    memories: storage.countMemories(),
+    types: storage.countByType(),
     embeddings: embeddingService.getStats(),
     llm: llmProvider.getStats(),
-    vectorIndex: vectorIndex.getStats()
+    vectorIndex: vectorIndex.getStats(),
+    keywordIndex: keywordIndex.getStats(),
+    queryExpansion: queryExpander.getStats(),
+    reranker: crossEncoder.getStats(),
+    storage: storage.getStats()
   });
 });
 
 // List all banks
 app.get('/banks', (req, res) => {
-  const banks = dbAll(`
-    SELECT b.*, COUNT(m.id) as memory_count
-    FROM banks b
-    LEFT JOIN memories m ON b.id = m.bank_id
-    GROUP BY b.id
-    ORDER BY b.created_at DESC
-  `);
+  const banks = storage.listBanks();
 
   res.json({
-    banks: banks.map(b => ({
-      ...b,
-      config: JSON.parse(b.config || '{}')
-    })),
+    banks,
     total: banks.length
   });
 });
@@ -360,8 +684,25 @@ app.post('/banks', (req, res) => {
     return res.status(400).json({ error: 'id and name are required' });
   }
 
+  const temporalError = bankConfig?.temporal !== undefined && validateTemporalSettings(bankConfig.temporal);
+  if (temporalError) {
+    return res.status(400).json({ error: `config.${temporalError}` });
+  }
+
+  const inheritanceError = validateBankInheritance(id, bankConfig);
+  if (inheritanceError) {
+    return res.status(400).json({ error: inheritanceError });
+  }
+
   try {
-    const existing = dbGet('SELECT id FROM banks WHERE id = ?', [id]);
+    const existing = storage.getBank(id, { includeDeleted: true });
+    if (existing?.deleted_at) {
+      return res.status(409).json({
+        error: `Bank ${id} is in the trash; restore it or delete it permanently first`,
+        trashed: true,
+        deletedAt: existing.deleted_at
+      });
+    }
     if (existing) {
       return res.json({ id, name, description, exists: true });
     }
@@ -372,10 +713,7 @@ app.post('/banks', (req, res) => {
       context: context || bankConfig?.context || null
     };
 
-    dbRun(`
-      INSERT INTO banks (id, name, description, config)
-      VALUES (?, ?, ?, ?)
-    `, [id, name, description || '', JSON.stringify(finalConfig)]);
+    storage.createBank({ id, name, description, config: finalConfig });
 
     console.log(`[Hindsight] Created bank: ${id}${context ? ' (with context)' : ''}`);
     res.status(201).json({ id, name, description, context, created: true });
@@ -386,24 +724,17 @@ app.post('/banks', (req, res) => {
 
 // Get memory bank
 app.get('/banks/:id', (req, res) => {
-  const bank = dbGet('SELECT * FROM banks WHERE id = ?', [req.params.id]);
+  const bank = storage.getBank(req.params.id);
 
   if (!bank) {
     return res.status(404).json({ error: 'Bank not found' });
   }
 
-  const memoryCount = dbGet('SELECT COUNT(*) as count FROM memories WHERE bank_id = ?', [req.params.id]);
-  const typeCounts = dbAll('SELECT type, COUNT(*) as count FROM memories WHERE bank_id = ? GROUP BY type', [req.params.id]);
-
-  const types = Object.fromEntries(typeCounts.map(t => [t.type, t.count]));
-  const bankConfig = JSON.parse(bank.config || '{}');
-
   res.json({
     ...bank,
-    config: bankConfig,
-    context: bankConfig.context || null,
-    memory_count: memoryCount?.count || 0,
-    types
+    context: bank.config.context || null,
+    memory_count: storage.countMemories(req.params.id),
+    types: storage.countByType(req.params.id)
   });
 });
 
@@ -412,28 +743,34 @@ app.put('/banks/:id', (req, res) => {
   const bankId = req.params.id;
   const { name, description, context, config: newConfig } = req.body;
 
-  const bank = dbGet('SELECT * FROM banks WHERE id = ?', [bankId]);
+  const bank = storage.getBank(bankId);
   if (!bank) {
     return res.status(404).json({ error: 'Bank not found' });
   }
 
+  const temporalError = newConfig?.temporal !== undefined && validateTemporalSettings(newConfig.temporal);
+  if (temporalError) {
+    return res.status(400).json({ error: `config.${temporalError}` });
+  }
+
+  const inheritanceError = validateBankInheritance(bankId, newConfig);
+  if (inheritanceError) {
+    return res.status(400).json({ error: inheritanceError });
+  }
+
   try {
-    const existingConfig = JSON.parse(bank.config || '{}');
+    const existingConfig = bank.config;
     const finalConfig = {
       ...existingConfig,
       ...newConfig,
       context: context !== undefined ? context : existingConfig.context
     };
 
-    dbRun(`
-      UPDATE banks SET name = ?, description = ?, config = ?
-      WHERE id = ?
-    `, [
-      name || bank.name,
-      description !== undefined ? description : bank.description,
-      JSON.stringify(finalConfig),
-      bankId
-    ]);
+    storage.updateBank(bankId, {
+      name: name || bank.name,
+      description: description !== undefined ? description : bank.description,
+      config: finalConfig
+    });
 
     console.log(`[Hindsight] Updated bank: ${bankId}`);
     res.json({ id: bankId, updated: true });
@@ -445,28 +782,48 @@ app.put('/banks/:id', (req, res) => {
 // Delete memory bank
 app.delete('/banks/:id', (req, res) => {
   const bankId = req.params.id;
+  const permanent = req.query.permanent === 'true';
 
-  const bank = dbGet('SELECT id FROM banks WHERE id = ?', [bankId]);
+  // A trashed bank can only be deleted permanently
+  const bank = storage.getBank(bankId, { includeDeleted: permanent });
   if (!bank) {
     return res.status(404).json({ error: 'Bank not found' });
   }
 
   try {
-    // Get memory IDs to remove from vector index
-    const memories = dbAll('SELECT id FROM memories WHERE bank_id = ?', [bankId]);
+    const removedIds = permanent ? storage.deleteBank(bankId) : storage.trashBank(bankId);
 
-    // Remove from vector index
-    for (const mem of memories) {
-      vectorIndex.removeVector(mem.id);
+    // Remove from the vector and keyword indexes
+    for (const memoryId of removedIds) {
+      unindexMemory(memoryId);
     }
 
-    const memoryCount = memories.length;
-    dbRun('DELETE FROM memories WHERE bank_id = ?', [bankId]);
-    dbRun('DELETE FROM banks WHERE id = ?', [bankId]);
+    const memoryCount = removedIds.length;
+
+    console.log(`[Hindsight] ${permanent ? 'Deleted' : 'Trashed'} bank: ${bankId} (${memoryCount} memories)`);
+    res.json({ deleted: true, trashed: !permanent, bankId, memoriesRemoved: memoryCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Restore a trashed bank along with the memories trashed with it
+app.post('/banks/:id/restore', async (req, res) => {
+  const bankId = req.params.id;
+
+  const bank = storage.getBank(bankId, { includeDeleted: true });
+  if (!bank || !bank.deleted_at) {
+    return res.status(404).json({ error: 'Bank not found in trash' });
+  }
+
+  try {
+    const restoredIds = storage.restoreBank(bankId);
+    await reindexMemories(bankId, restoredIds);
 
-    console.log(`[Hindsight] Deleted bank: ${bankId} (${memoryCount} memories)`);
-    res.json({ deleted: true, bankId, memoriesRemoved: memoryCount });
+    console.log(`[Hindsight] Restored bank: ${bankId} (${restoredIds.length} memories)`);
+    res.json({ restored: true, bankId, memoriesRestored: restoredIds.length });
   } catch (err) {
+    console.error('[Hindsight] Restore error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
@@ -484,15 +841,14 @@ app.post('/banks/:id/memories', async (req, res) => {
     return res.status(400).json({ error: 'content is required' });
   }
 
-  const bank = dbGet('SELECT * FROM banks WHERE id = ?', [bankId]);
+  const bank = storage.getBank(bankId);
   if (!bank) {
     return res.status(404).json({ error: 'Bank not found' });
   }
 
   try {
-    // Get bank context
-    const bankConfig = JSON.parse(bank.config || '{}');
-    const bankContext = bankConfig.context || null;
+    // Get bank context, with the parent banks' contexts
+    const bankContext = lineageContexts(bankId);
 
     console.log(`[Hindsight] Generating embedding for memory...`);
     const [embedding] = await getEmbeddings(content);
@@ -500,34 +856,30 @@ app.post('/banks/:id/memories', async (req, res) => {
     // Extract with both bank and action context
     const { entities, facts } = await extractEntitiesAndFacts(content, bankContext, actionContext);
 
-    const memoryId = id || `mem-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const memoryId = id || generateMemoryId();
+    const expiresAt = ttlToExpiresAt(ttlDays);
 
-    const expiresAt = ttlDays && ttlDays > 0
-      ? new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
-      : null;
-
-    dbRun(`
-      INSERT INTO memories (id, bank_id, content, type, confidence, source, tags, story_id, stage, embedding, entities, facts, metadata, expires_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      memoryId,
-      bankId,
+    const record = {
+      id: memoryId,
+      bank_id: bankId,
       content,
-      type || 'EXPERIENCE',
-      confidence || 1.0,
-      source || 'agent',
-      JSON.stringify(tags || []),
-      storyId || null,
-      stage || null,
-      JSON.stringify(embedding),
-      JSON.stringify(entities),
-      JSON.stringify(facts),
-      JSON.stringify(metadata || {}),
-      expiresAt
-    ]);
+      type: type || 'EXPERIENCE',
+      confidence: confidence || 1.0,
+      source: source || 'agent',
+      tags: tags || [],
+      story_id: storyId || null,
+      stage: stage || null,
+      embedding,
+      entities,
+      facts,
+      metadata: metadata || {},
+      expires_at: expiresAt,
+      created_at: sqlTimestamp()
+    };
+    storage.insertMemory(record);
 
     // Add to vector index
-    await vectorIndex.addVector(memoryId, embedding);
+    await indexMemory(record);
 
     console.log(`[Hindsight] Stored memory: ${memoryId} (${entities.length} entities, ${facts.length} facts)`);
     res.status(201).json({ id: memoryId, stored: true, entities, facts });
@@ -538,80 +890,145 @@ app.post('/banks/:id/memories', async (req, res) => {
 });
 
 // Batch store memories
+//   atomic: true  - all-or-nothing; any failure rolls back the DB and vector index
+//   atomic: false - store what succeeds and report per-item errors (default)
 app.post('/banks/:id/memories/batch', async (req, res) => {
   const bankId = req.params.id;
-  const { memories: inputMemories, skipExtraction = false, actionContext } = req.body;
+  const { memories: inputMemories, skipExtraction = false, actionContext, atomic = false } = req.body;
 
   if (!inputMemories || !Array.isArray(inputMemories)) {
     return res.status(400).json({ error: 'memories array is required' });
   }
 
-  const bank = dbGet('SELECT * FROM banks WHERE id = ?', [bankId]);
+  const bank = storage.getBank(bankId);
   if (!bank) {
     return res.status(404).json({ error: 'Bank not found' });
   }
 
+  // Per-item outcome, indexed like inputMemories
+  const results = inputMemories.map((mem, index) => ({
+    index,
+    id: mem?.id || generateMemoryId(),
+    stored: false
+  }));
+
+  const fail = (index, message) => {
+    results[index].error = message;
+  };
+
+  inputMemories.forEach((mem, i) => {
+    if (!mem || !mem.content) fail(i, 'content is required');
+  });
+
+  if (atomic) {
+    const invalid = results.find(r => r.error);
+    if (invalid) {
+      return res.status(400).json({ error: invalid.error, atomic, rolledBack: true, failed: invalid });
+    }
+  }
+
   try {
-    const bankConfig = JSON.parse(bank.config || '{}');
-    const bankContext = bankConfig.context || null;
+    const bankContext = lineageContexts(bankId);
+
+    console.log(`[Hindsight] Batch storing ${inputMemories.length} memories (atomic=${!!atomic})...`);
 
-    console.log(`[Hindsight] Batch storing ${inputMemories.length} memories...`);
+    // Phase 1: embeddings and extraction (async, nothing written yet)
+    const pending = results.filter(r => !r.error);
+    const embeddings = await embedBatchItems(pending.map(r => inputMemories[r.index].content));
 
-    const contents = inputMemories.map(m => m.content);
-    const embeddings = await getEmbeddings(contents);
+    // Atomic batches stop at the first item that cannot be prepared
+    const prepareFailed = (result, phase, err) => {
+      const message = `${phase === 'embedding' ? 'Embedding' : 'Extraction'} failed: ${err.message}`;
+      if (atomic) {
+        const batchError = new Error(message);
+        batchError.batchItem = { index: result.index, id: result.id, phase, error: message };
+        throw batchError;
+      }
+      fail(result.index, message);
+    };
 
-    const results = [];
+    const records = [];
+    for (let i = 0; i < pending.length; i++) {
+      const result = pending[i];
+      const mem = inputMemories[result.index];
 
-    for (let i = 0; i < inputMemories.length; i++) {
-      const mem = inputMemories[i];
-      const embedding = embeddings[i];
+      if (embeddings[i] instanceof Error) {
+        prepareFailed(result, 'embedding', embeddings[i]);
+        continue;
+      }
 
       let entities = [], facts = [];
       if (!skipExtraction) {
-        const extracted = await extractEntitiesAndFacts(
-          mem.content,
-          bankContext,
-          mem.actionContext || actionContext
-        );
-        entities = extracted.entities;
-        facts = extracted.facts;
+        try {
+          const extracted = await extractEntitiesAndFacts(
+            mem.content,
+            bankContext,
+            mem.actionContext || actionContext
+          );
+          entities = extracted.entities;
+          facts = extracted.facts;
+        } catch (err) {
+          prepareFailed(result, 'extraction', err);
+          continue;
+        }
       }
 
-      const memoryId = mem.id || `mem-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      const expiresAt = mem.ttlDays && mem.ttlDays > 0
-        ? new Date(Date.now() + mem.ttlDays * 24 * 60 * 60 * 1000).toISOString()
-        : null;
+      records.push({
+        result,
+        record: {
+          id: result.id,
+          bank_id: bankId,
+          content: mem.content,
+          type: mem.type || 'EXPERIENCE',
+          confidence: mem.confidence || 1.0,
+          source: mem.source || 'agent',
+          tags: mem.tags || [],
+          story_id: mem.storyId || null,
+          stage: mem.stage || null,
+          embedding: embeddings[i],
+          entities,
+          facts,
+          metadata: mem.metadata || {},
+          expires_at: ttlToExpiresAt(mem.ttlDays),
+          created_at: sqlTimestamp()
+        }
+      });
+    }
 
-      dbRun(`
-        INSERT INTO memories (id, bank_id, content, type, confidence, source, tags, story_id, stage, embedding, entities, facts, metadata, expires_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        memoryId,
-        bankId,
-        mem.content,
-        mem.type || 'EXPERIENCE',
-        mem.confidence || 1.0,
-        mem.source || 'agent',
-        JSON.stringify(mem.tags || []),
-        mem.storyId || null,
-        mem.stage || null,
-        JSON.stringify(embedding),
-        JSON.stringify(entities),
-        JSON.stringify(facts),
-        JSON.stringify(mem.metadata || {}),
-        expiresAt
-      ]);
-
-      // Add to vector index
-      await vectorIndex.addVector(memoryId, embedding);
-
-      results.push({ id: memoryId, stored: true });
+    // Phase 2: writes
+    if (atomic) {
+      await storeBatchAtomic(records);
+    } else {
+      for (const { result, record } of records) {
+        try {
+          storage.insertMemory(record);
+        } catch (err) {
+          fail(result.index, err.message);
+          continue;
+        }
+
+        if (!(await indexMemory(record))) {
+          await unindexMemory(record.id);
+          storage.deleteMemories([record.id]);
+          fail(result.index, 'Failed to add vector to index');
+          continue;
+        }
+
+        result.stored = true;
+      }
     }
 
-    console.log(`[Hindsight] Batch stored ${results.length} memories`);
-    res.status(201).json({ stored: results.length, memories: results });
+    const stored = results.filter(r => r.stored).length;
+    const failed = results.length - stored;
+
+    console.log(`[Hindsight] Batch stored ${stored} memories${failed ? ` (${failed} failed)` : ''}`);
+    res.status(failed > 0 ? 207 : 201).json({ stored, failed, atomic, memories: results });
   } catch (err) {
     console.error('[Hindsight] Batch store error:', err.message);
+
+    if (atomic) {
+      return res.status(500).json({ error: err.message, atomic, rolledBack: true, failed: err.batchItem });
+    }
     res.status(500).json({ error: err.message });
   }
 });
@@ -619,191 +1036,925 @@ app.post('/banks/:id/memories/batch', async (req, res) => {
 // List memories in bank
 app.get('/banks/:id/memories', (req, res) => {
   const bankId = req.params.id;
-  const limit = parseInt(req.query.limit) || 100;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
   const offset = parseInt(req.query.offset) || 0;
   const type = req.query.type;
 
-  let sql = `
-    SELECT id, content, type, confidence, source, tags, entities, facts, story_id, stage, access_count, last_accessed_at, expires_at, created_at
-    FROM memories WHERE bank_id = ?
-  `;
-  const params = [bankId];
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  // ?cursor= continues after the last memory of the previous page
+  let after;
+  if (req.query.cursor !== undefined) {
+    if (req.query.offset !== undefined) {
+      return res.status(400).json({ error: 'Use either cursor or offset, not both' });
+    }
+    after = decodeCursor(req.query.cursor);
+    if (!after || typeof after.createdAt !== 'string' || typeof after.id !== 'string') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
 
-  if (type) {
-    sql += ' AND type = ?';
-    params.push(type);
+  // ?filter= takes the same JSON filter object as recall
+  let filterInput;
+  try {
+    filterInput = req.query.filter !== undefined ? JSON.parse(req.query.filter) : {};
+  } catch (err) {
+    return res.status(400).json({ error: 'filter must be a JSON object' });
+  }
+  if (typeof filterInput !== 'object' || filterInput === null || Array.isArray(filterInput)) {
+    return res.status(400).json({ error: 'filter must be a JSON object' });
   }
 
-  sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-  params.push(limit, offset);
+  const { filter: filters, error } = parseMemoryFilter({ ...(type && { types: [type] }), ...filterInput });
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  const memories = dbAll(sql, params);
-  const total = dbGet('SELECT COUNT(*) as count FROM memories WHERE bank_id = ?', [bankId]);
+  // One extra row tells whether another page follows
+  const rows = storage.listMemories(bankId, {
+    ...filters,
+    orderBy: 'newest',
+    limit: limit + 1,
+    offset: after ? 0 : offset,
+    after: after && { createdAt: after.createdAt, id: after.id }
+  });
+  const memories = rows.slice(0, limit);
+  const last = memories[memories.length - 1];
 
   res.json({
-    memories: memories.map(m => ({
-      ...m,
-      tags: JSON.parse(m.tags || '[]'),
-      entities: JSON.parse(m.entities || '[]'),
-      facts: JSON.parse(m.facts || '[]')
-    })),
-    total: total?.count || 0,
+    memories,
+    total: storage.countMemories(bankId, filters),
     limit,
-    offset
+    offset: after ? undefined : offset,
+    nextCursor: rows.length > limit && last ? encodeCursor({ createdAt: last.created_at, id: last.id }) : null
   });
 });
 
-// Search memories (recall) - with queryContext support (Option A + B)
-app.post('/banks/:id/recall', async (req, res) => {
-  const bankId = req.params.id;
+// Get a single memory
+app.get('/banks/:id/memories/:memoryId', (req, res) => {
+  const memory = getBankMemory(req.params.id, req.params.memoryId);
+  if (!memory) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
+
+  const { embedding, ...rest } = memory;
+  res.json(rest);
+});
+
+// Update a memory - content changes regenerate the embedding and extraction
+async function updateMemory(req, res) {
+  const { id: bankId, memoryId } = req.params;
   const {
-    query,
-    queryContext,        // NEW: Task context for enhanced search
-    maxResults = 10,
-    minConfidence = 0.1,
-    types,
-    storyId,
-    entityBoostWeight = 0.05  // NEW: Configurable entity boost
+    content, type, confidence, source, tags,
+    storyId, stage, metadata, ttlDays,
+    actionContext, skipExtraction = false
   } = req.body;
 
-  if (!query) {
-    return res.status(400).json({ error: 'query is required' });
+  const memory = getBankMemory(bankId, memoryId);
+  if (!memory) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
+
+  if (content !== undefined && !content) {
+    return res.status(400).json({ error: 'content cannot be empty' });
   }
 
   try {
-    // Option A: Combine query + context for embedding
-    let searchText = query;
-    if (queryContext) {
-      searchText = `${query} | context: ${queryContext}`;
-      console.log(`[Hindsight] Enhanced search with context: "${queryContext.substring(0, 50)}..."`);
-    }
+    const fields = {};
+    if (type !== undefined) fields.type = type;
+    if (confidence !== undefined) fields.confidence = confidence;
+    if (source !== undefined) fields.source = source;
+    if (tags !== undefined) fields.tags = tags;
+    if (storyId !== undefined) fields.story_id = storyId;
+    if (stage !== undefined) fields.stage = stage;
+    if (metadata !== undefined) fields.metadata = metadata;
+    if (ttlDays !== undefined) fields.expires_at = ttlToExpiresAt(ttlDays);
 
-    console.log(`[Hindsight] Searching for: "${query.substring(0, 50)}..."`);
-    const [queryEmbedding] = await getEmbeddings(searchText);
+    const contentChanged = content !== undefined && content !== memory.content;
 
-    // Option B: Extract keywords for entity boosting
-    const contextKeywords = queryContext ? extractKeywordsFromContext(queryContext) : [];
+    if (contentChanged) {
+      console.log(`[Hindsight] Re-embedding updated memory ${memoryId}...`);
+      const [embedding] = await getEmbeddings(content);
 
-    let results = [];
+      fields.content = content;
+      fields.embedding = embedding;
 
-    // Try vector index first (O(log n))
-    if (vectorIndex.isReady()) {
-      const indexResults = await vectorIndex.search(queryEmbedding, maxResults * 5);  // Get more for filtering
+      if (!skipExtraction) {
+        const { entities, facts } = await extractEntitiesAndFacts(content, lineageContexts(bankId), actionContext);
+        fields.entities = entities;
+        fields.facts = facts;
+      }
+    }
 
-      if (indexResults && indexResults.length > 0) {
-        // Get full memory data for index results
-        const ids = indexResults.map(r => r.id);
-        const placeholders = ids.map(() => '?').join(',');
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
 
-        let sql = `SELECT * FROM memories WHERE bank_id = ? AND id IN (${placeholders})`;
-        const params = [bankId, ...ids];
+    // Keep the prior version when content or confidence changes
+    const confidenceChanged = confidence !== undefined && confidence !== memory.confidence;
+    const revision = storage.transaction(() => {
+      const saved = contentChanged || confidenceChanged
+        ? storage.insertRevision(toRevision(memory, getActor(req)))
+        : null;
+      storage.updateMemory(memoryId, fields);
+      return saved;
+    });
 
-        if (types && types.length > 0) {
-          sql = `SELECT * FROM memories WHERE bank_id = ? AND id IN (${placeholders}) AND type IN (${types.map(() => '?').join(',')})`;
-          params.push(...types);
-        }
+    if (contentChanged) {
+      await indexMemory({ ...memory, ...fields });
+    } else if (['type', 'tags', 'story_id', 'source', 'stage', 'metadata'].some(field => fields[field] !== undefined)) {
+      await vectorIndex.updateMetadata(memoryId, vectorMetadata({ ...memory, ...fields }));
+      keywordIndex.updateMetadata(memoryId, vectorMetadata({ ...memory, ...fields }));
+    }
 
-        if (storyId) {
-          sql += ' AND story_id = ?';
-          params.push(storyId);
-        }
+    console.log(`[Hindsight] Updated memory: ${memoryId}${contentChanged ? ' (re-embedded)' : ''}`);
+    res.json({
+      id: memoryId,
+      updated: true,
+      reembedded: contentChanged,
+      revision,
+      entities: fields.entities,
+      facts: fields.facts
+    });
+  } catch (err) {
+    console.error('[Hindsight] Update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+}
 
-        const memories = dbAll(sql, params);
-
-        // Build score map from index
-        const scoreMap = new Map(indexResults.map(r => [r.id, r.score]));
-
-        results = memories.map(mem => {
-          const vectorScore = scoreMap.get(mem.id) || 0;
-          const entities = JSON.parse(mem.entities || '[]');
-
-          // Option B: Calculate entity boost
-          const entityBoost = calculateEntityBoost(entities, contextKeywords, entityBoostWeight);
-          const finalScore = vectorScore + entityBoost;
-
-          return {
-            id: mem.id,
-            content: mem.content,
-            type: mem.type,
-            confidence: mem.confidence,
-            score: finalScore,
-            vectorScore,
-            entityBoost,
-            tags: JSON.parse(mem.tags || '[]'),
-            entities,
-            facts: JSON.parse(mem.facts || '[]'),
-            storyId: mem.story_id,
-            stage: mem.stage,
-            createdAt: mem.created_at
-          };
-        });
-
-        console.log(`[Hindsight] Vector index search returned ${results.length} results`);
-      }
-    }
+app.put('/banks/:id/memories/:memoryId', updateMemory);
+app.patch('/banks/:id/memories/:memoryId', updateMemory);
 
-    // Fallback to brute-force if index not ready or no results
-    if (results.length === 0) {
-      console.log('[Hindsight] Using brute-force search (index not ready or no results)');
+// List a memory's prior revisions
+app.get('/banks/:id/memories/:memoryId/history', (req, res) => {
+  const { id: bankId, memoryId } = req.params;
 
-      let sql = 'SELECT * FROM memories WHERE bank_id = ?';
-      const params = [bankId];
+  const memory = getBankMemory(bankId, memoryId);
+  if (!memory) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
 
-      if (types && types.length > 0) {
-        sql += ` AND type IN (${types.map(() => '?').join(',')})`;
-        params.push(...types);
-      }
+  const { embedding, ...current } = memory;
+  const revisions = storage.listRevisions(memoryId);
 
-      if (storyId) {
-        sql += ' AND story_id = ?';
-        params.push(storyId);
-      }
+  res.json({ memoryId, bankId, current, revisions, total: revisions.length });
+});
 
-      const memories = dbAll(sql, params);
+// Roll a memory back to a prior revision; the replaced version becomes a revision too
+app.post('/banks/:id/memories/:memoryId/history/:revision/restore', async (req, res) => {
+  const { id: bankId, memoryId } = req.params;
+  const revisionNumber = parseInt(req.params.revision, 10);
 
-      results = memories.map(mem => {
-        const embedding = JSON.parse(mem.embedding || '[]');
-        const vectorScore = cosineSimilarity(queryEmbedding, embedding);
-        const entities = JSON.parse(mem.entities || '[]');
+  const memory = getBankMemory(bankId, memoryId);
+  if (!memory) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
 
-        // Option B: Calculate entity boost
-        const entityBoost = calculateEntityBoost(entities, contextKeywords, entityBoostWeight);
-        const finalScore = vectorScore + entityBoost;
+  const target = storage.getRevision(memoryId, revisionNumber);
+  if (!target) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
 
-        return {
-          id: mem.id,
-          content: mem.content,
-          type: mem.type,
-          confidence: mem.confidence,
-          score: finalScore,
-          vectorScore,
-          entityBoost,
-          tags: JSON.parse(mem.tags || '[]'),
-          entities,
-          facts: JSON.parse(mem.facts || '[]'),
-          storyId: mem.story_id,
-          stage: mem.stage,
-          createdAt: mem.created_at
-        };
-      });
+  try {
+    const fields = {
+      content: target.content,
+      type: target.type,
+      confidence: target.confidence,
+      source: target.source,
+      tags: target.tags,
+      story_id: target.story_id,
+      stage: target.stage,
+      entities: target.entities,
+      facts: target.facts,
+      metadata: target.metadata
+    };
+
+    // A revision taken from a memory that had no embedding gets one now
+    let embedding = target.embedding;
+    if (!embedding || embedding.length === 0) {
+      [embedding] = await getEmbeddings(target.content);
     }
+    fields.embedding = embedding;
 
-    // Filter and sort by final score
-    const finalResults = results
-      .filter(m => m.score >= minConfidence)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, maxResults);
+    const revision = storage.transaction(() => {
+      const saved = storage.insertRevision(toRevision(memory, getActor(req)));
+      storage.updateMemory(memoryId, fields);
+      return saved;
+    });
+
+    await indexMemory({ ...memory, ...fields });
+
+    console.log(`[Hindsight] Restored memory ${memoryId} to revision ${revisionNumber}`);
+    res.json({ id: memoryId, restored: true, restoredRevision: revisionNumber, revision });
+  } catch (err) {
+    console.error('[Hindsight] Restore error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a memory (to the trash unless permanent=true)
+app.delete('/banks/:id/memories/:memoryId', async (req, res) => {
+  const { id: bankId, memoryId } = req.params;
+  const permanent = req.query.permanent === 'true';
+
+  const memory = storage.getMemory(memoryId);
+  if (!memory || memory.bank_id !== bankId || (memory.deleted_at && !permanent)) {
+    return res.status(404).json({ error: 'Memory not found' });
+  }
+
+  try {
+    if (permanent) {
+      storage.deleteMemories([memoryId]);
+    } else {
+      storage.trashMemories([memoryId]);
+    }
+    await unindexMemory(memoryId);
+
+    console.log(`[Hindsight] ${permanent ? 'Deleted' : 'Trashed'} memory: ${memoryId}`);
+    res.json({ deleted: true, trashed: !permanent, memoryId, bankId });
+  } catch (err) {
+    console.error('[Hindsight] Delete error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List a bank's trashed memories
+app.get('/banks/:id/trash', (req, res) => {
+  const bankId = req.params.id;
+  const limit = parseInt(req.query.limit) || 50;
+  const offset = parseInt(req.query.offset) || 0;
+
+  const bank = storage.getBank(bankId);
+  if (!bank) {
+    return res.status(404).json({ error: 'Bank not found' });
+  }
+
+  const memories = storage.listMemories(bankId, { trashed: true, orderBy: 'recently_deleted', limit, offset });
+
+  res.json({
+    memories,
+    total: storage.countMemories(bankId, { trashed: true }),
+    purgeAfterDays: retentionManager.config.trashPurgeAfterDays,
+    limit,
+    offset
+  });
+});
+
+// Restore trashed memories (all of the bank's trash if memoryIds is omitted)
+app.post('/banks/:id/trash/restore', async (req, res) => {
+  const bankId = req.params.id;
+  const { memoryIds } = req.body;
+
+  if (memoryIds !== undefined && !Array.isArray(memoryIds)) {
+    return res.status(400).json({ error: 'memoryIds must be an array' });
+  }
+
+  const bank = storage.getBank(bankId);
+  if (!bank) {
+    return res.status(404).json({ error: 'Bank not found' });
+  }
+
+  try {
+    const restoredIds = storage.restoreMemories(bankId, memoryIds || null);
+    await reindexMemories(bankId, restoredIds);
+
+    console.log(`[Hindsight] Restored ${restoredIds.length} memories in bank ${bankId}`);
+    res.json({ restored: restoredIds.length, memoryIds: restoredIds, bankId });
+  } catch (err) {
+    console.error('[Hindsight] Restore error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Validate the recall request fields shared by bank and multi-bank recall
+ * @param {Object} body - Request body
+ * @returns {{options: Object}|{error: string}}
+ */
+function parseRecallOptions(body) {
+  const {
+    query,
+    queryContext,        // NEW: Task context for enhanced search
+    maxResults = 10,
+    minConfidence = 0.1,
+    types,
+    storyId,
+    tags,                // Memories carrying any of these tags
+    filter = {},         // { tags: { any, all }, source, stage, createdAfter, createdBefore, metadata }
+    entityBoostWeight = 0.05,  // NEW: Configurable entity boost
+    diversity,           // true or { lambda }: re-rank with MMR
+    fusion = fusionConfig.method,  // 'weighted' | 'rrf' | 'none' (vector only)
+    temporal,            // true/false or { weight, decayFactor, accessWeight }
+    expand,              // 'hyde' | 'paraphrase': also search LLM-generated query texts
+    rerank = rerankerConfig.enabled,  // true or { topN }: re-order the top with the cross-encoder
+    paginate = false,    // Keep the full ranking and return a cursor to its next page
+    explain = false      // Score breakdown of every candidate, filtered ones included
+  } = body;
+
+  if (!query) {
+    return { error: 'query is required' };
+  }
+
+  if (tags !== undefined && !Array.isArray(tags)) {
+    return { error: 'tags must be an array' };
+  }
+
+  // Top-level types/storyId/tags are shorthands; filter's fields win
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    return { error: 'filter must be an object' };
+  }
+  const { filter: filters, error: filterError } = parseMemoryFilter({
+    ...(types !== undefined && { types }),
+    ...(storyId !== undefined && { storyId }),
+    ...(tags !== undefined && { tags }),
+    ...filter
+  });
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  let mmr = null;
+  if (diversity !== undefined && diversity !== false) {
+    if (diversity !== true && (typeof diversity !== 'object' || diversity === null || Array.isArray(diversity))) {
+      return { error: 'diversity must be true or an object like { "lambda": 0.7 }' };
+    }
+    mmr = { lambda: diversity.lambda ?? DEFAULT_MMR_LAMBDA };
+    if (typeof mmr.lambda !== 'number' || mmr.lambda < 0 || mmr.lambda > 1) {
+      return { error: 'diversity.lambda must be a number between 0 and 1' };
+    }
+  }
+
+  if (!FUSION_METHODS.includes(fusion)) {
+    return { error: `fusion must be one of: ${FUSION_METHODS.join(', ')}` };
+  }
+
+  if (expand !== undefined && !EXPANSION_MODES.includes(expand)) {
+    return { error: `expand must be one of: ${EXPANSION_MODES.join(', ')}` };
+  }
+
+  let reranking = null;
+  if (rerank !== false) {
+    if (rerank !== true && (typeof rerank !== 'object' || rerank === null || Array.isArray(rerank))) {
+      return { error: 'rerank must be a boolean or an object like { "topN": 20 }' };
+    }
+    reranking = { topN: rerank.topN ?? rerankerConfig.topN };
+    if (!Number.isInteger(reranking.topN) || reranking.topN < 1) {
+      return { error: 'rerank.topN must be a positive integer' };
+    }
+  }
+
+  if (typeof paginate !== 'boolean') {
+    return { error: 'paginate must be a boolean' };
+  }
+
+  if (typeof explain !== 'boolean') {
+    return { error: 'explain must be a boolean' };
+  }
+
+  const temporalError = temporal !== undefined && validateTemporalSettings(temporal);
+  if (temporalError) {
+    return { error: temporalError };
+  }
+
+  return {
+    options: {
+      query, queryContext, maxResults, minConfidence, filters, entityBoostWeight, mmr, fusion, temporal, expand,
+      rerank: reranking, paginate, explain
+    }
+  };
+}
+
+/**
+ * Embed the recall query (and its LLM expansions, if asked) and pick the
+ * entity-boost keywords out of its context. A failed expansion falls back
+ * to the query alone.
+ * @returns {Promise<Object>} - { queryEmbeddings (query first), contextKeywords, expansion }
+ */
+async function prepareRecallQuery({ query, queryContext, expand }) {
+  // Option A: Combine query + context for embedding
+  let searchText = query;
+  if (queryContext) {
+    searchText = `${query} | context: ${queryContext}`;
+    console.log(`[Hindsight] Enhanced search with context: "${queryContext.substring(0, 50)}..."`);
+  }
+
+  let expansion;
+  if (expand) {
+    try {
+      const { queries, cached } = await queryExpander.expand(query, expand);
+      expansion = { mode: expand, queries, cached };
+    } catch (err) {
+      console.error(`[Hindsight] Query expansion (${expand}) failed, searching the query alone:`, err.message);
+      expansion = { mode: expand, queries: [], cached: false, error: err.message };
+    }
+  }
+
+  console.log(`[Hindsight] Searching for: "${query.substring(0, 50)}..."`);
+  const queryEmbeddings = await getEmbeddings([searchText, ...(expansion?.queries || [])]);
+
+  // Option B: Extract keywords for entity boosting
+  const contextKeywords = queryContext ? extractKeywordsFromContext(queryContext) : [];
+
+  return { queryEmbeddings, contextKeywords, expansion };
+}
+
+/**
+ * Best similarity of a memory embedding to any of the query embeddings
+ */
+function querySimilarity(queryEmbeddings, embedding) {
+  return Math.max(...queryEmbeddings.map(queryEmbedding => cosineSimilarity(queryEmbedding, embedding)));
+}
+
+/**
+ * Score one bank's recall candidates: vector and keyword search with the
+ * filters applied, fusion, entity boost and the bank's recency decay
+ * @param {string} bankId - Bank to search
+ * @param {Object} options - Parsed recall options (see parseRecallOptions)
+ * @param {Object} prepared - Result of prepareRecallQuery
+ * @returns {Promise<Object>} - { bankId, results, embeddings, path, decay, now,
+ *   candidateCount, fusedScores, keywordHits }; results are unsorted
+ */
+async function scoreBankCandidates(bankId, options, { queryEmbeddings, contextKeywords }) {
+  const { query, filters, entityBoostWeight, mmr, fusion, temporal, rerank } = options;
+
+  // Re-ranking looks at more than maxResults candidates
+  const maxResults = Math.max(options.maxResults, rerank?.topN || 0);
+
+  const bankTemporal = storage.getBank(bankId)?.config?.temporal;
+  const decay = resolveTemporalSettings(temporalDefaults, bankTemporal, temporal);
+
+  const hybrid = fusion !== 'none';
+
+  // Entity boosts, keyword fusion, recency decay and diversity re-ranking
+  // can reorder results, so fetch extra candidates when they apply
+  const defaultCount = contextKeywords.length > 0 || hybrid || decay || mmr ? maxResults * 5 : maxResults;
+
+  // Paginated recall ranks a deeper pool, so its cursor can page past maxResults
+  const candidateCount = options.paginate ? Math.max(recallSnapshotDepth, defaultCount) : defaultCount;
+
+  // Keyword candidates: exact terms the embedding may blur
+  const keywordHits = hybrid ? keywordIndex.search(query, candidateCount, { bankId, filters }) : [];
+  const keywordScores = normalizeKeywordScores(keywordHits);
+
+  let memories = [];
+  let vectorScores = [];   // per query embedding: Map(id -> score)
+  let path = 'brute-force';
+
+  // Try vector index first (O(log n)) - searches only this bank's partition,
+  // applying the filters during the search. Expanded queries search once
+  // per embedding and the candidate lists are merged.
+  if (vectorIndex.isReady()) {
+    const indexResults = [];
+    for (const queryEmbedding of queryEmbeddings) {
+      indexResults.push(await vectorIndex.search(queryEmbedding, candidateCount, { bankId, filters }) || []);
+    }
+
+    if (indexResults.some(hits => hits.length > 0)) {
+      vectorScores = indexResults.map(hits => new Map(hits.map(r => [r.id, r.score])));
+
+      // Get full memory data for vector and keyword candidates
+      const ids = [...new Set([...vectorScores.flatMap(scores => [...scores.keys()]), ...keywordScores.keys()])];
+      memories = storage.getMemoriesByIds(bankId, ids, filters);
+      path = 'vector-index';
+
+      const found = indexResults.map(hits => hits.length).join('+');
+      console.log(`[Hindsight] Vector index search returned ${found} results, keyword search ${keywordHits.length}`);
+    }
+  }
+
+  // Fallback to brute-force if index not ready or no results
+  if (memories.length === 0) {
+    console.log('[Hindsight] Using brute-force search (index not ready or no results)');
+    memories = storage.listMemories(bankId, { ...filters, includeEmbedding: true });
+    path = 'brute-force';
+  }
+
+  // A memory's vector score is its best over the query and its expansions.
+  // Scores a search did not return (and brute force) are computed directly.
+  const candidates = memories.map(mem => ({
+    id: mem.id,
+    vectorScore: Math.max(...queryEmbeddings.map((queryEmbedding, i) =>
+      vectorScores[i]?.get(mem.id) ?? cosineSimilarity(queryEmbedding, mem.embedding))),
+    keywordScore: keywordScores.get(mem.id) || 0
+  }));
+  const fusedScores = fuseScores(candidates, { ...fusionConfig, method: fusion });
+
+  const embeddings = new Map();   // id -> embedding, for diversity re-ranking
+  const now = Date.now();
+  const results = memories.map((mem, i) => {
+    const { vectorScore, keywordScore } = candidates[i];
+    embeddings.set(mem.id, mem.embedding);
+
+    // Option B: Calculate entity boost
+    const entityBoost = calculateEntityBoost(mem.entities, contextKeywords, entityBoostWeight);
+
+    // Older, unused memories keep a smaller share of their score
+    const recency = decay ? recencyScore(mem, decay, now) : undefined;
+    const finalScore = (fusedScores.get(mem.id) + entityBoost) * (decay ? temporalFactor(recency, decay) : 1);
+
+    return {
+      id: mem.id,
+      bankId: mem.bank_id,
+      content: mem.content,
+      type: mem.type,
+      confidence: mem.confidence,
+      score: finalScore,
+      vectorScore,
+      keywordScore: hybrid ? keywordScore : undefined,
+      entityBoost,
+      recency,
+      tags: mem.tags,
+      entities: mem.entities,
+      facts: mem.facts,
+      storyId: mem.story_id,
+      stage: mem.stage,
+      createdAt: mem.created_at
+    };
+  });
+
+  return { bankId, results, embeddings, path, decay, now, candidateCount, fusedScores, keywordHits };
+}
+
+/**
+ * Score each bank, multiply its scores by its weight, and rank all of them
+ * together
+ * @param {Array<{id: string, weight: number}>} banks - Banks to search
+ * @param {Object} options - Parsed recall options (see parseRecallOptions)
+ * @param {Object} prepared - Result of prepareRecallQuery
+ * @returns {Promise<Object>} - { scoredBanks, ranking: { ranked, finalResults } }
+ */
+async function recallAcrossBanks(banks, options, prepared) {
+  const scoredBanks = [];
+  const results = [];
+  const embeddings = new Map();
+
+  for (const { id, weight } of banks) {
+    const scored = await scoreBankCandidates(id, options, prepared);
+    scored.weight = weight;
+    scoredBanks.push(scored);
+
+    for (const result of scored.results) {
+      result.score *= weight;
+      results.push(result);
+    }
+    for (const [memoryId, embedding] of scored.embeddings) {
+      embeddings.set(memoryId, embedding);
+    }
+  }
+
+  // Paginated recall orders every candidate; later pages come from that list
+  const depth = options.paginate ? Infinity : options.maxResults;
+
+  if (!options.rerank) {
+    return { scoredBanks, ranking: rankRecallResults(results, embeddings, { ...options, maxResults: depth }) };
+  }
+
+  // The cross-encoder re-orders a shortlist of topN; the rest keep their order
+  const ordered = rankRecallResults(results, embeddings, {
+    ...options,
+    maxResults: options.paginate ? Infinity : Math.max(options.maxResults, options.rerank.topN)
+  });
+  return { scoredBanks, ranking: await rerankRecallResults(ordered, options, depth) };
+}
+
+/**
+ * Re-order the top of a ranking with the cross-encoder and cut it to depth
+ * results. A failed re-rank (e.g. the model cannot load) keeps the original
+ * order.
+ * @returns {Promise<Object>} - { ranked, shortlist, finalResults, rerank }
+ */
+async function rerankRecallResults({ ranked, finalResults: ordered }, { query, maxResults, rerank }, depth) {
+  const startTime = Date.now();
+  const info = { model: crossEncoder.config.model, topN: rerank.topN };
+  const shortlist = ordered.slice(0, Math.max(maxResults, rerank.topN));
+  const rest = ordered.slice(shortlist.length);
+
+  try {
+    const scores = await crossEncoder.score(query, shortlist.map(r => r.content));
+    shortlist.forEach((r, i) => { r.rerankScore = scores[i]; });
+
+    const reordered = [...shortlist].sort((a, b) => b.rerankScore - a.rerankScore);
+    console.log(`[Hindsight] Re-ranked ${shortlist.length} candidates in ${Date.now() - startTime}ms`);
+
+    return {
+      ranked,
+      shortlist,
+      finalResults: [...reordered, ...rest].slice(0, depth),
+      rerank: { ...info, timeMs: Date.now() - startTime }
+    };
+  } catch (err) {
+    console.error('[Hindsight] Re-ranking failed, keeping the original order:', err.message);
+    return {
+      ranked,
+      shortlist,
+      finalResults: ordered.slice(0, depth),
+      rerank: { ...info, error: err.message }
+    };
+  }
+}
+
+/**
+ * Drop results under minConfidence, sort by score, then cut to maxResults
+ * (with MMR when diversity is on)
+ * @returns {Object} - { ranked, finalResults }
+ */
+function rankRecallResults(results, embeddings, { minConfidence, maxResults, mmr }) {
+  // Filter and sort by final score
+  const ranked = results
+    .filter(m => m.score >= minConfidence)
+    .sort((a, b) => b.score - a.score);
+
+  // MMR trades some relevance for covering different aspects of the query
+  const finalResults = mmr
+    ? maximalMarginalRelevance(ranked, embeddings, { lambda: mmr.lambda, k: maxResults })
+    : ranked.slice(0, maxResults);
+
+  return { ranked, finalResults };
+}
+
+/**
+ * Score breakdown of every recall candidate of one bank and why it did or
+ * did not come back: returned, belowMinConfidence, beyondMaxResults,
+ * notSelectedByDiversity, droppedByRerank (shortlisted but re-ranked below
+ * maxResults), onLaterPage (paginated recall), or filtered (memories the filter kept out of the
+ * searches, found by searching again without it). ranked and finalResults
+ * may span several banks; only this bank's candidates are listed.
+ */
+async function explainRecall(scored, options, { queryEmbeddings, contextKeywords }, { ranked, shortlist = [], finalResults, later = [] }) {
+  const { bankId, weight, results, path, decay, now, candidateCount, fusedScores, keywordHits } = scored;
+  const { query, filters, entityBoostWeight, mmr } = options;
+
+  const bm25 = new Map(keywordHits.map(hit => [hit.id, hit.score]));
+  const ranks = new Map(finalResults.map((r, i) => [r.id, i + 1]));
+  const passed = new Set(ranked.map(r => r.id));
+  const shortlisted = new Set(shortlist.map(r => r.id));
+  const onLaterPage = new Set(later.map(r => r.id));
+
+  const status = (id) => {
+    if (ranks.has(id)) return 'returned';
+    if (onLaterPage.has(id)) return 'onLaterPage';
+    if (!passed.has(id)) return 'belowMinConfidence';
+    if (shortlisted.has(id)) return 'droppedByRerank';
+    return mmr ? 'notSelectedByDiversity' : 'beyondMaxResults';
+  };
+
+  const candidates = results.map(r => ({
+    id: r.id,
+    bankId,
+    status: status(r.id),
+    rank: ranks.get(r.id) ?? null,
+    score: r.score,
+    bankWeight: weight,
+    fusedScore: fusedScores.get(r.id),
+    vectorScore: r.vectorScore,
+    keywordScore: r.keywordScore,
+    bm25: bm25.get(r.id) || 0,
+    matchedTerms: keywordIndex.explain(query, r.id),
+    entityBoost: r.entityBoost,
+    matchedKeywords: matchEntityKeywords(r.entities, contextKeywords),
+    recency: r.recency,
+    temporalFactor: decay ? temporalFactor(r.recency, decay) : undefined,
+    rerankScore: r.rerankScore
+  }));
+
+  if (compileMemoryFilter(filters)) {
+    const seen = new Set(results.map(r => r.id));
+    const unfilteredBm25 = new Map(
+      keywordIndex.search(query, candidateCount, { bankId }).map(hit => [hit.id, hit.score])
+    );
+
+    let excluded;
+    if (path === 'vector-index') {
+      const ids = new Set(unfilteredBm25.keys());
+      for (const queryEmbedding of queryEmbeddings) {
+        const hits = await vectorIndex.search(queryEmbedding, candidateCount, { bankId }) || [];
+        hits.forEach(hit => ids.add(hit.id));
+      }
+      excluded = storage.getMemoriesByIds(bankId, [...ids].filter(id => !seen.has(id)));
+    } else {
+      excluded = storage.listMemories(bankId, { includeEmbedding: true }).filter(mem => !seen.has(mem.id));
+    }
+
+    candidates.push(...excluded.map(mem => ({
+      id: mem.id,
+      bankId,
+      status: 'filtered',
+      failedFilters: failedFilterFields(filters, vectorMetadata(mem)),
+      rank: null,
+      score: null,
+      bankWeight: weight,
+      vectorScore: querySimilarity(queryEmbeddings, mem.embedding),
+      bm25: unfilteredBm25.get(mem.id) || 0,
+      matchedTerms: keywordIndex.explain(query, mem.id),
+      entityBoost: calculateEntityBoost(mem.entities, contextKeywords, entityBoostWeight),
+      matchedKeywords: matchEntityKeywords(mem.entities, contextKeywords),
+      recency: decay ? recencyScore(mem, decay, now) : undefined
+    })));
+  }
+
+  return candidates;
+}
+
+/**
+ * Explained candidates of every searched bank, in one list
+ */
+async function explainAcrossBanks(scoredBanks, options, prepared, ranking) {
+  const candidates = [];
+  for (const scored of scoredBanks) {
+    candidates.push(...await explainRecall(scored, options, prepared, ranking));
+  }
+  return candidates.sort(compareExplainedCandidates);
+}
+
+/**
+ * Returned candidates by rank, then the rest by score, filtered ones last
+ * by similarity
+ */
+function compareExplainedCandidates(a, b) {
+  if (a.rank !== b.rank) return (a.rank ?? Infinity) - (b.rank ?? Infinity);
+  if ((a.score === null) !== (b.score === null)) return a.score === null ? 1 : -1;
+  return a.score === null ? b.vectorScore - a.vectorScore : b.score - a.score;
+}
+
+/**
+ * Anchored RegExp for a bank id glob: * matches any run of characters, ? one
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Snapshot entry for a recall result: its id, bank and scores. The memory
+ * fields are read back from storage when its page is served.
+ */
+function compactRecallResult(result) {
+  const { content, type, confidence, tags, entities, facts, storyId, stage, createdAt, ...scores } = result;
+  return scores;
+}
+
+/**
+ * Recall results for a page of snapshot entries. Memories deleted since the
+ * recall are left out.
+ */
+function hydrateRecallPage(entries) {
+  const memories = new Map();
+  const idsByBank = new Map();
+  for (const { id, bankId } of entries) {
+    if (!idsByBank.has(bankId)) idsByBank.set(bankId, []);
+    idsByBank.get(bankId).push(id);
+  }
+  for (const [bankId, ids] of idsByBank) {
+    for (const memory of storage.getMemoriesByIds(bankId, ids)) {
+      memories.set(memory.id, memory);
+    }
+  }
+
+  return entries.filter(entry => memories.has(entry.id)).map(({ id, bankId, ...scores }) => {
+    const mem = memories.get(id);
+    return {
+      id,
+      bankId,
+      content: mem.content,
+      type: mem.type,
+      confidence: mem.confidence,
+      ...scores,
+      tags: mem.tags,
+      entities: mem.entities,
+      facts: mem.facts,
+      storyId: mem.story_id,
+      stage: mem.stage,
+      createdAt: mem.created_at
+    };
+  });
+}
+
+/**
+ * First page of a recall. With paginate, the ids and scores of the whole
+ * ranking are kept as a snapshot and a cursor to the next page is returned.
+ * @param {Array<Object>} ordered - Ranked results (all of them with paginate)
+ * @param {Object} options - Parsed recall options
+ * @param {string} scope - Which recall endpoint the cursor is valid for
+ * @returns {Object} - { page, later, nextCursor, totalResults }
+ */
+function paginateRecall(ordered, options, scope) {
+  if (!options.paginate) {
+    return { page: ordered, later: [] };
+  }
+
+  const page = ordered.slice(0, options.maxResults);
+  const later = ordered.slice(page.length);
+  const nextCursor = later.length > 0
+    ? encodeCursor({
+      snapshot: recallSnapshots.create(ordered.map(compactRecallResult), {
+        scope,
+        query: options.query,
+        pageSize: options.maxResults
+      }),
+      offset: page.length
+    })
+    : null;
+
+  return { page, later, nextCursor, totalResults: ordered.length };
+}
+
+/**
+ * Serve a later page of a paginated recall from its snapshot
+ */
+function sendRecallPage(res, cursor, scope) {
+  const position = decodeCursor(cursor);
+  if (!position || typeof position.snapshot !== 'string' || !Number.isInteger(position.offset) || position.offset < 0) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const snapshot = recallSnapshots.get(position.snapshot);
+  if (!snapshot) {
+    return res.status(410).json({ error: 'Cursor expired; run the recall again' });
+  }
+  if (snapshot.meta.scope !== scope) {
+    return res.status(400).json({ error: 'Cursor belongs to a different recall' });
+  }
+
+  const { results } = snapshot;
+  const { query, pageSize } = snapshot.meta;
+  const end = position.offset + pageSize;
+  const page = hydrateRecallPage(results.slice(position.offset, end));
+
+  // Track access
+  page.forEach(r => trackAccess(r.id));
+
+  res.json({
+    memories: page,
+    total: page.length,
+    totalResults: results.length,
+    query,
+    nextCursor: end < results.length ? encodeCursor({ snapshot: position.snapshot, offset: end }) : null
+  });
+}
+
+// Search memories (recall) - with queryContext support (Option A + B).
+// Recall falls through to the bank's parent banks (config.parentBankIds),
+// their scores down-weighted per level, unless inherit is false.
+app.post('/banks/:id/recall', async (req, res) => {
+  const bankId = req.params.id;
+  const { inherit = true, cursor } = req.body;
+
+  // Later pages of a paginated recall need only the cursor
+  if (cursor !== undefined) {
+    return sendRecallPage(res, cursor, `bank:${bankId}`);
+  }
+
+  const { options, error } = parseRecallOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (typeof inherit !== 'boolean') {
+    return res.status(400).json({ error: 'inherit must be a boolean' });
+  }
+
+  try {
+    const lineage = inherit ? resolveBankLineage(bankId) : [{ id: bankId, depth: 0, weight: 1 }];
+
+    const prepared = await prepareRecallQuery(options);
+    const { scoredBanks, ranking } = await recallAcrossBanks(lineage, options, prepared);
+    const { page, later, nextCursor, totalResults } = paginateRecall(ranking.finalResults, options, `bank:${bankId}`);
+    const [own] = scoredBanks;
+
+    const explanation = options.explain
+      ? {
+        path: own.path,
+        filter: options.filters,
+        candidates: await explainAcrossBanks(scoredBanks, options, prepared, { ...ranking, finalResults: page, later })
+      }
+      : undefined;
 
     // Track access
-    finalResults.forEach(r => trackAccess(r.id));
+    page.forEach(r => trackAccess(r.id));
 
-    console.log(`[Hindsight] Found ${finalResults.length} matching memories`);
+    console.log(`[Hindsight] Found ${page.length} matching memories`);
     res.json({
-      memories: finalResults,
-      total: finalResults.length,
-      query,
-      queryContext: queryContext || null,
-      contextKeywords: contextKeywords.length > 0 ? contextKeywords : undefined
+      memories: page,
+      total: page.length,
+      totalResults,
+      nextCursor,
+      query: options.query,
+      queryContext: options.queryContext || null,
+      banks: lineage.length > 1
+        ? lineage.map((bank, i) => ({ id: bank.id, depth: bank.depth, weight: bank.weight, path: scoredBanks[i].path }))
+        : undefined,
+      contextKeywords: prepared.contextKeywords.length > 0 ? prepared.contextKeywords : undefined,
+      diversity: options.mmr || undefined,
+      fusion: options.fusion,
+      temporal: own.decay || undefined,
+      expansion: prepared.expansion,
+      rerank: ranking.rerank,
+      explain: explanation
     });
   } catch (err) {
     console.error('[Hindsight] Recall error:', err.message);
@@ -811,15 +1962,113 @@ app.post('/banks/:id/recall', async (req, res) => {
   }
 });
 
-// Generate insights (reflect)
+// Search several banks at once (bankIds or a bankPattern glob) and merge
+// the results into one ranked list. Each bank is scored as in bank recall,
+// with its own temporal settings, then multiplied by its bankWeights entry
+// (default 1) before minConfidence, ranking and diversity apply. Parent
+// banks are not followed; list them explicitly.
+app.post('/recall', async (req, res) => {
+  const { bankIds, bankPattern, bankWeights = {}, cursor } = req.body;
+
+  // Later pages of a paginated recall need only the cursor
+  if (cursor !== undefined) {
+    return sendRecallPage(res, cursor, 'banks');
+  }
+
+  if ((bankIds === undefined) === (bankPattern === undefined)) {
+    return res.status(400).json({ error: 'Exactly one of bankIds or bankPattern is required' });
+  }
+
+  if (bankIds !== undefined &&
+      (!Array.isArray(bankIds) || bankIds.length === 0 || !bankIds.every(id => typeof id === 'string'))) {
+    return res.status(400).json({ error: 'bankIds must be a non-empty array of bank ids' });
+  }
+
+  if (bankPattern !== undefined && (typeof bankPattern !== 'string' || !bankPattern)) {
+    return res.status(400).json({ error: 'bankPattern must be a non-empty string' });
+  }
+
+  if (typeof bankWeights !== 'object' || bankWeights === null || Array.isArray(bankWeights) ||
+      !Object.values(bankWeights).every(w => typeof w === 'number' && w >= 0)) {
+    return res.status(400).json({ error: 'bankWeights must map bank ids to non-negative numbers' });
+  }
+
+  const { options, error } = parseRecallOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let banks;
+  if (bankIds) {
+    banks = [...new Set(bankIds)];
+    const missing = banks.filter(id => !storage.getBank(id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Bank not found: ${missing.join(', ')}` });
+    }
+  } else {
+    const pattern = globToRegExp(bankPattern);
+    banks = storage.listBanks().map(bank => bank.id).filter(id => pattern.test(id));
+  }
+
+  try {
+    const prepared = await prepareRecallQuery(options);
+    const { scoredBanks, ranking } = await recallAcrossBanks(
+      banks.map(id => ({ id, weight: bankWeights[id] ?? 1 })),
+      options,
+      prepared
+    );
+    const { page, later, nextCursor, totalResults } = paginateRecall(ranking.finalResults, options, 'banks');
+
+    const explanation = options.explain
+      ? {
+        filter: options.filters,
+        candidates: await explainAcrossBanks(scoredBanks, options, prepared, { ...ranking, finalResults: page, later })
+      }
+      : undefined;
+
+    // Track access
+    page.forEach(r => trackAccess(r.id));
+
+    console.log(`[Hindsight] Found ${page.length} matching memories across ${banks.length} banks`);
+    res.json({
+      memories: page,
+      total: page.length,
+      totalResults,
+      nextCursor,
+      query: options.query,
+      queryContext: options.queryContext || null,
+      banks: scoredBanks.map(scored => ({
+        id: scored.bankId,
+        weight: scored.weight,
+        path: scored.path,
+        temporal: scored.decay || undefined
+      })),
+      contextKeywords: prepared.contextKeywords.length > 0 ? prepared.contextKeywords : undefined,
+      diversity: options.mmr || undefined,
+      fusion: options.fusion,
+      expansion: prepared.expansion,
+      rerank: ranking.rerank,
+      explain: explanation
+    });
+  } catch (err) {
+    console.error('[Hindsight] Recall error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Generate insights (reflect), drawing on parent banks like recall
 app.post('/banks/:id/reflect', async (req, res) => {
   const bankId = req.params.id;
-  const { query, includeMemories, generateInsights, queryContext } = req.body;
+  const { query, includeMemories, generateInsights, queryContext, inherit = true } = req.body;
 
   if (!query) {
     return res.status(400).json({ error: 'query is required' });
   }
 
+  if (typeof inherit !== 'boolean') {
+    return res.status(400).json({ error: 'inherit must be a boolean' });
+  }
+
   try {
     // Use context-enhanced embedding
     let searchText = query;
@@ -830,13 +2079,16 @@ app.post('/banks/:id/reflect', async (req, res) => {
     console.log(`[Hindsight] Reflecting on: "${query.substring(0, 50)}..."`);
     const [queryEmbedding] = await getEmbeddings(searchText);
 
-    const memories = dbAll('SELECT * FROM memories WHERE bank_id = ?', [bankId]);
+    const lineage = inherit ? resolveBankLineage(bankId) : [{ id: bankId, weight: 1 }];
+    const memories = lineage.flatMap(({ id, weight }) =>
+      storage.listMemories(id, { includeEmbedding: true }).map(mem => ({ mem, weight })));
 
     const relevantMemories = memories
-      .map(mem => ({
+      .map(({ mem, weight }) => ({
         content: mem.content,
         type: mem.type,
-        score: cosineSimilarity(queryEmbedding, JSON.parse(mem.embedding || '[]'))
+        bankId: mem.bank_id,
+        score: cosineSimilarity(queryEmbedding, mem.embedding) * weight
       }))
       .filter(m => m.score > 0.2)
       .sort((a, b) => b.score - a.score)
@@ -875,27 +2127,20 @@ app.post('/banks/:id/reflect', async (req, res) => {
 app.get('/banks/:id/export', (req, res) => {
   const bankId = req.params.id;
 
-  const bank = dbGet('SELECT * FROM banks WHERE id = ?', [bankId]);
+  const bank = storage.getBank(bankId);
   if (!bank) {
     return res.status(404).json({ error: 'Bank not found' });
   }
 
-  const memories = dbAll('SELECT * FROM memories WHERE bank_id = ?', [bankId]);
+  const memories = storage.listMemories(bankId, { orderBy: 'oldest', includeEmbedding: true });
 
   const exportData = {
     version: '2.0',
     exportedAt: new Date().toISOString(),
-    bank: {
-      ...bank,
-      config: JSON.parse(bank.config || '{}')
-    },
+    bank,
     memories: memories.map(m => ({
       ...m,
-      embedding: JSON.parse(m.embedding || '[]'),
-      tags: JSON.parse(m.tags || '[]'),
-      entities: JSON.parse(m.entities || '[]'),
-      facts: JSON.parse(m.facts || '[]'),
-      metadata: JSON.parse(m.metadata || '{}')
+      embedding: Array.from(m.embedding)
     }))
   };
 
@@ -912,60 +2157,79 @@ app.post('/banks/:id/import', async (req, res) => {
   }
 
   try {
-    let bank = dbGet('SELECT id FROM banks WHERE id = ?', [bankId]);
+    let bank = storage.getBank(bankId, { includeDeleted: true });
+    if (bank?.deleted_at) {
+      return res.status(409).json({ error: `Bank ${bankId} is in the trash; restore it or delete it permanently first` });
+    }
     if (!bank) {
-      dbRun(`INSERT INTO banks (id, name, description, config) VALUES (?, ?, ?, ?)`, [
-        bankId,
-        data.bank?.name || bankId,
-        data.bank?.description || '',
-        JSON.stringify(data.bank?.config || {})
-      ]);
+      storage.createBank({
+        id: bankId,
+        name: data.bank?.name || bankId,
+        description: data.bank?.description || '',
+        config: data.bank?.config || {}
+      });
     }
 
     if (!merge) {
-      // Remove from vector index
-      const existingMemories = dbAll('SELECT id FROM memories WHERE bank_id = ?', [bankId]);
-      for (const mem of existingMemories) {
-        vectorIndex.removeVector(mem.id);
+      // Existing memories the import does not replace go to the trash and
+      // leave the indexes
+      const importIds = new Set(data.memories.map(mem => mem.id));
+      const removedIds = storage.listMemoryIds(bankId).filter(id => !importIds.has(id));
+      storage.trashMemories(removedIds);
+      for (const memoryId of removedIds) {
+        unindexMemory(memoryId);
       }
-      dbRun('DELETE FROM memories WHERE bank_id = ?', [bankId]);
     }
 
     let imported = 0;
+    const skipped = [];
     for (const mem of data.memories) {
+      // A trashed memory keeps its row until it is restored or purged
+      const existing = mem.id ? storage.getMemory(mem.id) : null;
+      if (existing?.deleted_at) {
+        skipped.push(mem.id);
+        continue;
+      }
+
       const embedding = Array.isArray(mem.embedding) ? mem.embedding : [];
 
-      dbRun(`
-        INSERT OR REPLACE INTO memories (id, bank_id, content, type, confidence, source, tags, story_id, stage, embedding, entities, facts, metadata, expires_at, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        mem.id,
-        bankId,
-        mem.content,
-        mem.type || 'EXPERIENCE',
-        mem.confidence || 1.0,
-        mem.source || 'import',
-        JSON.stringify(mem.tags || []),
-        mem.story_id || null,
-        mem.stage || null,
-        JSON.stringify(embedding),
-        JSON.stringify(mem.entities || []),
-        JSON.stringify(mem.facts || []),
-        JSON.stringify(mem.metadata || {}),
-        mem.expires_at || null,
-        mem.created_at || new Date().toISOString()
-      ]);
-
-      // Add to vector index
+      const record = {
+        id: mem.id,
+        bank_id: bankId,
+        content: mem.content,
+        type: mem.type || 'EXPERIENCE',
+        confidence: mem.confidence || 1.0,
+        source: mem.source || 'import',
+        tags: mem.tags || [],
+        story_id: mem.story_id || null,
+        stage: mem.stage || null,
+        embedding,
+        entities: mem.entities || [],
+        facts: mem.facts || [],
+        metadata: mem.metadata || {},
+        expires_at: mem.expires_at || null,
+        created_at: mem.created_at || sqlTimestamp()
+      };
+
+      // A replaced memory keeps its prior version as a revision
+      storage.transaction(() => {
+        if (existing) storage.insertRevision(toRevision(existing, getActor(req)));
+        storage.insertMemory(record, { replace: true });
+      });
+
+      // Add to the vector and keyword indexes
       if (embedding.length > 0) {
-        await vectorIndex.addVector(mem.id, embedding);
+        await indexMemory(record);
+      } else {
+        indexKeywords(record);
       }
 
       imported++;
     }
 
-    console.log(`[Hindsight] Imported ${imported} memories to bank ${bankId}`);
-    res.json({ imported, bankId, merge });
+    console.log(`[Hindsight] Imported ${imported} memories to bank ${bankId}` +
+      (skipped.length > 0 ? `, skipped ${skipped.length} in the trash` : ''));
+    res.json({ imported, skipped, bankId, merge });
   } catch (err) {
     console.error('[Hindsight] Import error:', err.message);
     res.status(500).json({ error: err.message });
@@ -977,147 +2241,303 @@ app.post('/banks/:id/cleanup', async (req, res) => {
   const bankId = req.params.id;
   const { strategy = 'expired', limit = 100, dryRun = false } = req.body;
 
-  const bank = dbGet('SELECT id FROM banks WHERE id = ?', [bankId]);
+  const bank = storage.getBank(bankId);
   if (!bank) {
     return res.status(404).json({ error: 'Bank not found' });
   }
 
+  if (!CLEANUP_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ error: `Unknown strategy: ${strategy}` });
+  }
+
   try {
-    let memories = [];
-
-    switch (strategy) {
-      case 'expired':
-        memories = dbAll(`
-          SELECT id, expires_at FROM memories
-          WHERE bank_id = ? AND expires_at IS NOT NULL AND expires_at < datetime('now')
-        `, [bankId]);
-        break;
-      case 'oldest_first':
-        memories = dbAll(`
-          SELECT id, created_at FROM memories WHERE bank_id = ?
-          ORDER BY created_at ASC LIMIT ?
-        `, [bankId, limit]);
-        break;
-      case 'lowest_confidence':
-        memories = dbAll(`
-          SELECT id, confidence FROM memories WHERE bank_id = ?
-          ORDER BY confidence ASC LIMIT ?
-        `, [bankId, limit]);
-        break;
-      case 'least_accessed':
-        memories = dbAll(`
-          SELECT id, last_accessed_at, access_count FROM memories WHERE bank_id = ?
-          ORDER BY COALESCE(last_accessed_at, created_at) ASC, access_count ASC LIMIT ?
-        `, [bankId, limit]);
-        break;
-      default:
-        return res.status(400).json({ error: `Unknown strategy: ${strategy}` });
-    }
+    const result = await retentionManager.cleanup(bankId, { strategy, limit, dryRun });
 
-    if (!dryRun && memories.length > 0) {
-      for (const mem of memories) {
-        vectorIndex.removeVector(mem.id);
-        dbRun('DELETE FROM memories WHERE id = ?', [mem.id]);
+    // RetentionManager only touches storage; keep the indexes in sync
+    if (!dryRun) {
+      for (const mem of result.memories) {
+        unindexMemory(mem.id);
       }
     }
 
+    res.json(result);
+  } catch (err) {
+    console.error('[Hindsight] Cleanup error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TRASH
+// ═══════════════════════════════════════════════════════════════
+
+// List trashed banks
+app.get('/trash', (req, res) => {
+  try {
     res.json({
-      strategy,
-      removed: memories.length,
-      memories: memories.map(m => ({ id: m.id })),
-      dryRun
+      banks: storage.listBanks({ trashed: true }),
+      trashedMemories: storage.countMemories(null, { trashed: true }),
+      purgeAfterDays: retentionManager.config.trashPurgeAfterDays
     });
   } catch (err) {
-    console.error('[Hindsight] Cleanup error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Permanently remove trash older than olderThanDays (default: the purge window)
+app.post('/trash/purge', (req, res) => {
+  const { olderThanDays } = req.body;
+
+  if (olderThanDays !== undefined && (typeof olderThanDays !== 'number' || olderThanDays < 0)) {
+    return res.status(400).json({ error: 'olderThanDays must be a non-negative number' });
+  }
+
+  try {
+    res.json(retentionManager.purgeTrash({ olderThanDays }));
+  } catch (err) {
+    console.error('[Hindsight] Purge error:', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
 // ═══════════════════════════════════════════════════════════════
-// INITIALIZATION & START SERVER
+// ADMIN ENDPOINTS
 // ═══════════════════════════════════════════════════════════════
 
-async function initializeDatabase() {
-  console.log('[Hindsight] Initializing database...');
+// Schema migration status
+app.get('/admin/schema', (req, res) => {
+  try {
+    res.json(storage.getSchemaStatus());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  const SQL = await initSqlJs();
+// Write a point-in-time snapshot to DATA_DIR/snapshots
+app.post('/admin/snapshots', (req, res) => {
+  try {
+    res.status(201).json(snapshotManager.create());
+  } catch (err) {
+    console.error('[Hindsight] Snapshot error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  if (fs.existsSync(DB_PATH)) {
-    const fileBuffer = fs.readFileSync(DB_PATH);
-    db = new SQL.Database(fileBuffer);
-    console.log('[Hindsight] Loaded existing database:', DB_PATH);
-  } else {
-    db = new SQL.Database();
-    console.log('[Hindsight] Created new database:', DB_PATH);
+// List snapshots, newest first
+app.get('/admin/snapshots', (req, res) => {
+  try {
+    const snapshots = snapshotManager.list();
+    res.json({ snapshots, total: snapshots.length, retainCount: snapshotManager.config.retainCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  dbExec(`
-    CREATE TABLE IF NOT EXISTS banks (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT,
-      config TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
+// Delete all but the newest `keep` snapshots (default: snapshots.retain_count)
+app.post('/admin/snapshots/prune', (req, res) => {
+  const { keep } = req.body;
 
-    CREATE TABLE IF NOT EXISTS memories (
-      id TEXT PRIMARY KEY,
-      bank_id TEXT NOT NULL,
-      content TEXT NOT NULL,
-      type TEXT DEFAULT 'EXPERIENCE',
-      confidence REAL DEFAULT 1.0,
-      source TEXT,
-      tags TEXT,
-      story_id TEXT,
-      stage TEXT,
-      embedding TEXT,
-      entities TEXT,
-      facts TEXT,
-      metadata TEXT,
-      expires_at DATETIME,
-      last_accessed_at DATETIME,
-      access_count INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (bank_id) REFERENCES banks(id) ON DELETE CASCADE
-    );
+  if (keep !== undefined && (!Number.isInteger(keep) || keep < 0)) {
+    return res.status(400).json({ error: 'keep must be a non-negative integer' });
+  }
+
+  try {
+    res.json(snapshotManager.prune(keep));
+  } catch (err) {
+    console.error('[Hindsight] Snapshot prune error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace the database with a snapshot and rebuild the vector index from it
+app.post('/admin/snapshots/:name/restore', async (req, res) => {
+  const { name } = req.params;
+
+  if (!snapshotManager.has(name)) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+
+  try {
+    const result = snapshotManager.restore(name);
+
+    // The persisted index describes the replaced database
+    await buildVectorIndex({ rebuild: true });
+    buildKeywordIndex();
+
+    res.json({ ...result, vectorIndex: vectorIndex.getStats() });
+  } catch (err) {
+    console.error('[Hindsight] Snapshot restore error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Compare the database with the vector and keyword indexes; repair: true fixes what it can
+app.post('/admin/verify', async (req, res) => {
+  const { repair = false, limit } = req.body;
+
+  if (typeof repair !== 'boolean') {
+    return res.status(400).json({ error: 'repair must be a boolean' });
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+    return res.status(400).json({ error: 'limit must be a non-negative integer' });
+  }
+  if (!vectorIndexReady) {
+    return res.status(503).json({ error: 'Vector index is not ready' });
+  }
+
+  try {
+    res.json(await consistencyChecker.verify({ repair, limit }));
+  } catch (err) {
+    console.error('[Hindsight] Verify error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// INITIALIZATION & START SERVER
+// ═══════════════════════════════════════════════════════════════
+
+async function initializeDatabase() {
+  console.log('[Hindsight] Initializing database...');
 
-    CREATE INDEX IF NOT EXISTS idx_memories_bank ON memories(bank_id);
-    CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(type);
-    CREATE INDEX IF NOT EXISTS idx_memories_story ON memories(story_id);
-    CREATE INDEX IF NOT EXISTS idx_memories_expires ON memories(expires_at);
-  `);
+  await storage.initialize();
 
   console.log('[Hindsight] Database schema initialized');
 }
 
-async function buildVectorIndex() {
-  console.log('[Hindsight] Building vector index from existing memories...');
-
+/**
+ * Load the vector index from its snapshot when possible, otherwise build it
+ * from every embedding in storage
+ * @param {Object} options - { rebuild: ignore the snapshot }
+ */
+async function buildVectorIndex({ rebuild = false } = {}) {
   try {
     await vectorIndex.initialize();
 
-    // Load all memories with embeddings
-    const memories = dbAll('SELECT id, embedding FROM memories WHERE embedding IS NOT NULL');
+    const warmStart = !rebuild && persistVectorIndex ? await warmStartVectorIndex() : null;
+    if (warmStart) {
+      vectorIndexStartup = { source: 'snapshot', ...warmStart };
+      vectorIndexReady = true;
+      console.log('[Hindsight] Vector index ready');
+      return;
+    }
 
-    const memoriesWithEmbeddings = memories
-      .map(m => ({
-        id: m.id,
-        embedding: JSON.parse(m.embedding || '[]')
-      }))
+    console.log('[Hindsight] Building vector index from existing memories...');
+    vectorIndex.clear();
+
+    // Load all memories with embeddings
+    const memoriesWithEmbeddings = storage.listEmbeddings()
       .filter(m => m.embedding.length > 0);
 
     await vectorIndex.buildFromMemories(memoriesWithEmbeddings);
+    vectorIndexStartup = { source: 'rebuild', replayed: 0, removed: 0 };
     vectorIndexReady = true;
 
     console.log('[Hindsight] Vector index ready');
+    saveVectorIndex();
   } catch (err) {
     console.error('[Hindsight] Failed to build vector index:', err.message);
     console.warn('[Hindsight] Will use brute-force search as fallback');
   }
 }
 
+/**
+ * Build the keyword index from every live memory's text. Cheap enough to
+ * redo on every start, so it is not persisted.
+ */
+function buildKeywordIndex() {
+  try {
+    keywordIndex.clear();
+    for (const memory of storage.listMemories(null)) {
+      indexKeywords(memory);
+    }
+    console.log(`[Hindsight] Keyword index ready (${keywordIndex.size} memories)`);
+  } catch (err) {
+    console.error('[Hindsight] Failed to build keyword index:', err.message);
+  }
+}
+
+/**
+ * Load the persisted vector index and replay the memories changed since it
+ * was saved. Returns { replayed, removed }, or null when there is no usable
+ * snapshot.
+ */
+async function warmStartVectorIndex() {
+  const snapshot = vectorIndex.loadSnapshot(VECTOR_INDEX_PATH);
+  if (!snapshot) return null;
+
+  // index_seq never goes backwards, so a snapshot ahead of the database was
+  // saved against some other copy of it
+  if (snapshot.highWater > storage.getIndexSequence()) {
+    console.warn('[Hindsight] Vector index snapshot is newer than the database, rebuilding');
+    return null;
+  }
+
+  const live = storage.listIndexState();
+  const liveIds = new Set(live.map(m => m.id));
+
+  let removed = 0;
+  for (const id of vectorIndex.ids()) {
+    if (!liveIds.has(id)) {
+      await vectorIndex.removeVector(id);
+      removed++;
+    }
+  }
+
+  const changedIds = live
+    .filter(m => m.index_seq > snapshot.highWater || !vectorIndex.has(m.id))
+    .map(m => m.id);
+
+  for (const memory of storage.listEmbeddings({ ids: changedIds })) {
+    if (memory.embedding.length > 0) {
+      await indexMemory(memory);
+    }
+  }
+
+  console.log(`[Hindsight] Vector index warm start: replayed ${changedIds.length} changed, dropped ${removed} removed memories`);
+  return { replayed: changedIds.length, removed };
+}
+
+/**
+ * Persist the vector index with the storage high-water mark it is current to
+ */
+function saveVectorIndex() {
+  if (!persistVectorIndex || !vectorIndexReady) return;
+
+  try {
+    vectorIndex.saveSnapshot(VECTOR_INDEX_PATH, { highWater: storage.getIndexSequence() });
+  } catch (err) {
+    console.error('[Hindsight] Failed to save vector index:', err.message);
+  }
+}
+
+/**
+ * Purge expired trash now and then every purge_interval_hours
+ */
+function startTrashPurgeJob() {
+  if (!retentionManager.config.trashPurgeAfterDays) {
+    console.log('[Hindsight] Trash purge disabled (purge_after_days: 0)');
+    return null;
+  }
+
+  const intervalHours = config.retention?.trash?.purge_interval_hours || 24;
+  const purge = () => {
+    try {
+      retentionManager.purgeTrash();
+    } catch (err) {
+      console.error('[Hindsight] Trash purge failed:', err.message);
+    }
+  };
+
+  purge();
+  const timer = setInterval(purge, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
 async function startServer() {
   await initializeDatabase();
+  const purgeTimer = startTrashPurgeJob();
 
   // Initialize embedding service
   embeddingService.initialize().then(() => {
@@ -1127,8 +2547,9 @@ async function startServer() {
     console.error('[Hindsight] Failed to initialize embedding service:', err.message);
   });
 
-  // Build vector index
+  // Build vector and keyword indexes
   await buildVectorIndex();
+  buildKeywordIndex();
 
   // Initialize LLM provider (for persistent mode)
   if (llmConfig.mode === 'persistent') {
@@ -1176,14 +2597,16 @@ async function startServer() {
       await llmProvider.shutdown();
     }
 
-    // Save database
-    if (db) {
-      console.log('[Hindsight] Saving database...');
-      const data = db.export();
-      const buffer = Buffer.from(data);
-      fs.writeFileSync(DB_PATH, buffer);
-      console.log('[Hindsight] Database saved');
-    }
+    if (purgeTimer) clearInterval(purgeTimer);
+
+    // Persist the vector index so the next start can skip the rebuild
+    saveVectorIndex();
+    await vectorIndex.close();
+
+    // Flush pending changes to disk
+    console.log('[Hindsight] Saving database...');
+    storage.close();
+    console.log('[Hindsight] Database saved');
 
     // Close HTTP server
     server.close(() => {
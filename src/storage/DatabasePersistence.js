@@ -0,0 +1,452 @@
+/**
+ * DatabasePersistence.js - Journaled, debounced persistence for sql.js
+ *
+ * sql.js keeps the whole database in memory, so saving it means exporting
+ * and rewriting the entire file. Instead of doing that on every write, each
+ * statement is appended to a journal next to the database file and a full
+ * snapshot is flushed once writes settle (debounce) or after a maximum delay
+ * under continuous load.
+ *
+ * Crash safety:
+ * - Snapshots are written to a temp file, fsynced, then renamed into place
+ * - Every journal entry carries a sequence number; the snapshot records the
+ *   last sequence it contains (journal_state table), so entries are never
+ *   replayed twice even if the process dies between rename and truncate
+ * - A torn trailing journal line (crash mid-append) is ignored on replay and
+ *   cut off before new entries are appended after it
+ * - An entry that fails to replay stops open() and leaves the journal as it
+ *   is, rather than folding the lost write into the next snapshot
+ * - Statements inside a transaction are buffered and journaled as a single
+ *   entry on commit, so a rolled back or half-written transaction never
+ *   reaches the journal
+ *
+ * Usage:
+ *   const persistence = new DatabasePersistence({ dbPath, debounceMs: 1000 });
+ *   const db = persistence.open(SQL);
+ *   db.run(sql, params);
+ *   persistence.record(sql, params);
+ *   db.exec(script);
+ *   persistence.recordExec(script);
+ *   persistence.exportTo('./data/snapshots/copy.db');
+ *   persistence.close();
+ */
+
+const fs = require('fs');
+
+class DatabasePersistence {
+  constructor(options = {}) {
+    if (!options.dbPath) {
+      throw new Error('dbPath is required');
+    }
+
+    this.config = {
+      dbPath: options.dbPath,
+      journalPath: options.journalPath || `${options.dbPath}.journal`,
+      debounceMs: options.debounceMs ?? 1000,
+      maxDelayMs: options.maxDelayMs ?? 10000
+    };
+
+    this.SQL = null;
+    this.db = null;
+    this.journalFd = null;
+    this.seq = 0;
+    this.pending = null;   // Statements buffered by an open transaction
+    this.dirty = false;
+    this.debounceTimer = null;
+    this.maxDelayTimer = null;
+
+    this.stats = {
+      journalEntries: 0,
+      replayedEntries: 0,
+      flushes: 0,
+      lastFlushAt: null,
+      lastFlushMs: 0,
+      flushErrors: 0
+    };
+  }
+
+  /**
+   * Load the snapshot, replay the journal and open it for appending
+   * @param {Object} SQL - Initialized sql.js module
+   * @returns {Object} - sql.js Database
+   */
+  open(SQL) {
+    const { dbPath, journalPath } = this.config;
+    this.SQL = SQL;
+
+    if (fs.existsSync(dbPath)) {
+      this.db = new SQL.Database(fs.readFileSync(dbPath));
+      console.log('[Persistence] Loaded snapshot:', dbPath);
+    } else {
+      this.db = new SQL.Database();
+      console.log('[Persistence] Created new database:', dbPath);
+    }
+
+    this._ensureJournalState();
+
+    const stmt = this.db.prepare('SELECT seq FROM journal_state WHERE id = 1');
+    stmt.step();
+    this.seq = stmt.getAsObject().seq || 0;
+    stmt.free();
+
+    const replayed = this._replayJournal();
+
+    this.journalFd = fs.openSync(journalPath, 'a');
+
+    // Fold replayed entries into a fresh snapshot so the journal starts empty
+    if (replayed > 0) {
+      this.dirty = true;
+      this.flush();
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Append an executed statement to the journal and schedule a flush
+   * @param {string} sql - SQL that was run against the database
+   * @param {Array} params - Bound parameters
+   */
+  record(sql, params = []) {
+    const statement = { sql, params: params.map(encodeParam) };
+
+    if (this.pending) {
+      this.pending.push(statement);
+      return;
+    }
+
+    this._append(statement);
+  }
+
+  /**
+   * Journal SQL that was run with db.exec (possibly several statements)
+   * @param {string} sql - SQL script that was executed
+   */
+  recordExec(sql) {
+    const statement = { sql, exec: true };
+
+    if (this.pending) {
+      this.pending.push(statement);
+      return;
+    }
+
+    this._append(statement);
+  }
+
+  /**
+   * Start buffering statements for a transaction
+   */
+  begin() {
+    if (this.pending) {
+      throw new Error('Transaction already in progress');
+    }
+    this.pending = [];
+  }
+
+  /**
+   * Journal the buffered statements as one entry
+   */
+  commit() {
+    const statements = this.pending || [];
+    this.pending = null;
+
+    if (statements.length > 0) {
+      this._append({ batch: statements });
+    }
+  }
+
+  /**
+   * Discard the buffered statements
+   */
+  rollback() {
+    this.pending = null;
+  }
+
+  /**
+   * Whether a transaction is currently buffering statements
+   */
+  inTransaction() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Write a full snapshot atomically and truncate the journal
+   * @returns {boolean} - True if a snapshot was written
+   */
+  flush() {
+    this._clearTimers();
+    if (!this.db || !this.dirty) return false;
+
+    // Exporting mid-transaction would capture uncommitted rows
+    if (this.pending) {
+      this._scheduleFlush();
+      return false;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      this.db.run('UPDATE journal_state SET seq = ? WHERE id = 1', [this.seq]);
+      writeFileAtomic(this.config.dbPath, Buffer.from(this.db.export()));
+
+      if (this.journalFd !== null) {
+        fs.ftruncateSync(this.journalFd, 0);
+      }
+
+      this.dirty = false;
+      this.stats.flushes++;
+      this.stats.lastFlushAt = new Date().toISOString();
+      this.stats.lastFlushMs = Date.now() - startTime;
+      return true;
+    } catch (err) {
+      this.stats.flushErrors++;
+      console.error('[Persistence] Flush error:', err.message);
+      // Journal still holds every change; retry on the next write or timer
+      this._scheduleFlush();
+      return false;
+    }
+  }
+
+  /**
+   * Write a consistent copy of the current database to another file
+   * @param {string} filePath - Destination path
+   * @returns {number} - Bytes written
+   */
+  exportTo(filePath) {
+    if (this.pending) {
+      throw new Error('Cannot export while a transaction is in progress');
+    }
+
+    const data = Buffer.from(this.db.export());
+    writeFileAtomic(filePath, data);
+    return data.length;
+  }
+
+  /**
+   * Replace the database with a copy previously written by exportTo().
+   * The replacement is flushed right away so the journal starts empty.
+   * @param {string} filePath - Source path
+   * @returns {Object} - The new sql.js Database
+   */
+  replaceWith(filePath) {
+    if (this.pending) {
+      throw new Error('Cannot restore while a transaction is in progress');
+    }
+
+    const replacement = new this.SQL.Database(fs.readFileSync(filePath));
+
+    this.db.close();
+    this.db = replacement;
+    this._ensureJournalState();
+
+    this.dirty = true;
+    this.flush();
+
+    console.log('[Persistence] Replaced database from:', filePath);
+    return this.db;
+  }
+
+  /**
+   * Flush pending changes and release the journal
+   */
+  close() {
+    this.flush();
+    if (this.journalFd !== null) {
+      fs.closeSync(this.journalFd);
+      this.journalFd = null;
+    }
+  }
+
+  /**
+   * Get persistence statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      dirty: this.dirty,
+      seq: this.seq,
+      debounceMs: this.config.debounceMs,
+      maxDelayMs: this.config.maxDelayMs
+    };
+  }
+
+  /**
+   * @private
+   */
+  _ensureJournalState() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS journal_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        seq INTEGER NOT NULL
+      );
+      INSERT OR IGNORE INTO journal_state (id, seq) VALUES (1, 0);
+    `);
+  }
+
+  /**
+   * Re-apply journal entries newer than the snapshot
+   * @private
+   */
+  _replayJournal() {
+    const { journalPath } = this.config;
+    if (!fs.existsSync(journalPath)) return 0;
+
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+    let replayed = 0;
+    let validBytes = 0;   // End of the last complete entry
+
+    for (let i = 0; i < lines.length; i++) {
+      const lineBytes = Buffer.byteLength(lines[i]) + (i < lines.length - 1 ? 1 : 0);
+      if (!lines[i].trim()) {
+        validBytes += lineBytes;
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (err) {
+        // Entries appended after the fragment would be unreadable, so drop it
+        console.warn(`[Persistence] Dropping torn journal entry at line ${i + 1}`);
+        fs.truncateSync(journalPath, validBytes);
+        break;
+      }
+
+      // Complete but unterminated (crash before the newline): end it so the
+      // next entry starts on a line of its own
+      if (i === lines.length - 1) {
+        fs.appendFileSync(journalPath, '\n');
+      }
+      validBytes += lineBytes;
+
+      if (entry.seq <= this.seq) continue;
+
+      try {
+        if (entry.batch) {
+          this._replayBatch(entry.batch);
+        } else {
+          this._apply(entry);
+        }
+      } catch (err) {
+        console.error(`[Persistence] Replay failed for entry ${entry.seq}:`, err.message);
+        throw new Error(`Journal replay failed at entry ${entry.seq} (${err.message}); ${journalPath} was left untouched`);
+      }
+
+      this.seq = entry.seq;
+      replayed++;
+    }
+
+    if (replayed > 0) {
+      console.log(`[Persistence] Replayed ${replayed} journal entries`);
+    }
+
+    this.stats.replayedEntries = replayed;
+    return replayed;
+  }
+
+  /**
+   * Replay a committed transaction all-or-nothing
+   * @private
+   */
+  _replayBatch(statements) {
+    this.db.exec('BEGIN');
+    try {
+      for (const statement of statements) {
+        this._apply(statement);
+      }
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  /**
+   * Run one journaled statement. exec entries may hold several statements,
+   * which db.run would cut short after the first.
+   * @private
+   */
+  _apply({ sql, params, exec }) {
+    if (exec) {
+      this.db.exec(sql);
+    } else {
+      this.db.run(sql, (params || []).map(decodeParam));
+    }
+  }
+
+  /**
+   * Write one journal line and schedule a flush
+   * @private
+   */
+  _append(entry) {
+    this.seq++;
+    fs.writeSync(this.journalFd, JSON.stringify({ seq: this.seq, ...entry }) + '\n');
+
+    this.stats.journalEntries++;
+    this.dirty = true;
+    this._scheduleFlush();
+  }
+
+  /**
+   * Debounce flushes, but never hold changes longer than maxDelayMs
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.debounceTimer) clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.flush(), this.config.debounceMs);
+    this.debounceTimer.unref();
+
+    if (!this.maxDelayTimer) {
+      this.maxDelayTimer = setTimeout(() => this.flush(), this.config.maxDelayMs);
+      this.maxDelayTimer.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _clearTimers() {
+    if (this.debounceTimer) clearTimeout(this.debounceTimer);
+    if (this.maxDelayTimer) clearTimeout(this.maxDelayTimer);
+    this.debounceTimer = null;
+    this.maxDelayTimer = null;
+  }
+}
+
+/**
+ * Write a file via temp file + fsync + rename so readers never see a partial copy
+ */
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Encode a bound parameter for the JSON journal (BLOBs as base64)
+ */
+function encodeParam(value) {
+  if (value instanceof Uint8Array) {
+    return { $blob: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64') };
+  }
+  return value;
+}
+
+/**
+ * Decode a journaled parameter
+ */
+function decodeParam(value) {
+  if (value && typeof value === 'object' && typeof value.$blob === 'string') {
+    return new Uint8Array(Buffer.from(value.$blob, 'base64'));
+  }
+  return value;
+}
+
+module.exports = { DatabasePersistence };
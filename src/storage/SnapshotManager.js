@@ -0,0 +1,123 @@
+/**
+ * SnapshotManager.js - Point-in-time database snapshots
+ *
+ * Snapshots are consistent copies of the store written through the
+ * StorageAdapter (sql.js db.export() for SQLite) into a snapshots directory,
+ * named by their UTC timestamp so they sort chronologically. Restoring one
+ * first snapshots the current state, so a restore can itself be undone.
+ *
+ * Callers are responsible for rebuilding the vector index after a restore.
+ *
+ * Usage:
+ *   const snapshots = new SnapshotManager(storage, { dir: './data/snapshots', retainCount: 10 });
+ *   const snapshot = snapshots.create();
+ *   snapshots.list();
+ *   snapshots.restore(snapshot.name);
+ *   snapshots.prune();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_PATTERN = /^hindsight-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(?:-\d+)?\.db$/;
+
+class SnapshotManager {
+  constructor(storage, options = {}) {
+    if (!options.dir) {
+      throw new Error('dir is required');
+    }
+
+    this.storage = storage;
+    this.config = {
+      dir: options.dir,
+      retainCount: options.retainCount ?? 10
+    };
+  }
+
+  /**
+   * Write a snapshot of the current database
+   * @returns {Object} - { name, size, createdAt }
+   */
+  create() {
+    fs.mkdirSync(this.config.dir, { recursive: true });
+
+    const createdAt = new Date().toISOString();
+    const stamp = createdAt.replace(/:/g, '-').replace('.', '-');
+
+    // Two snapshots in the same millisecond get a counter suffix
+    let name = `hindsight-${stamp}.db`;
+    for (let i = 1; fs.existsSync(path.join(this.config.dir, name)); i++) {
+      name = `hindsight-${stamp}-${i}.db`;
+    }
+
+    const size = this.storage.exportSnapshot(path.join(this.config.dir, name));
+
+    console.log(`[Snapshots] Created ${name} (${size} bytes)`);
+    return { name, size, createdAt };
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Array<Object>} - { name, size, createdAt }
+   */
+  list() {
+    if (!fs.existsSync(this.config.dir)) return [];
+
+    return fs.readdirSync(this.config.dir)
+      .map(name => ({ name, match: SNAPSHOT_PATTERN.exec(name) }))
+      .filter(({ match }) => match)
+      .map(({ name, match }) => ({
+        name,
+        size: fs.statSync(path.join(this.config.dir, name)).size,
+        createdAt: `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+  }
+
+  /**
+   * Whether a snapshot with this name exists
+   * @param {string} name - Snapshot file name
+   */
+  has(name) {
+    return SNAPSHOT_PATTERN.test(name) && fs.existsSync(path.join(this.config.dir, name));
+  }
+
+  /**
+   * Replace the database with a snapshot, backing up the current state first
+   * @param {string} name - Snapshot file name
+   * @returns {Object} - { restored, backup, migrationsApplied }
+   */
+  restore(name) {
+    if (!this.has(name)) {
+      throw new Error(`Snapshot not found: ${name}`);
+    }
+
+    const backup = this.create();
+    const applied = this.storage.restoreSnapshot(path.join(this.config.dir, name));
+
+    console.log(`[Snapshots] Restored ${name} (previous state saved as ${backup.name})`);
+    return { restored: name, backup: backup.name, migrationsApplied: applied };
+  }
+
+  /**
+   * Delete all but the newest snapshots
+   * @param {number} keep - Number to keep (default: retainCount)
+   * @returns {Object} - { removed: string[], kept }
+   */
+  prune(keep = this.config.retainCount) {
+    const snapshots = this.list();
+    const removed = snapshots.slice(keep).map(s => s.name);
+
+    for (const name of removed) {
+      fs.unlinkSync(path.join(this.config.dir, name));
+    }
+
+    if (removed.length > 0) {
+      console.log(`[Snapshots] Pruned ${removed.length} snapshots (keeping ${keep})`);
+    }
+
+    return { removed, kept: snapshots.length - removed.length };
+  }
+}
+
+module.exports = { SnapshotManager };
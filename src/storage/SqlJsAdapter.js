@@ -0,0 +1,670 @@
+/**
+ * SqlJsAdapter.js - StorageAdapter backed by sql.js (SQLite compiled to WASM)
+ *
+ * The database lives in memory; DatabasePersistence journals every write and
+ * flushes snapshots to disk. Schema changes go through storage/migrations.
+ *
+ * Usage:
+ *   const storage = new SqlJsAdapter({ dbPath: './data/hindsight.db' });
+ *   await storage.initialize();
+ *   const bank = storage.getBank('my-bank');
+ *   storage.close();
+ */
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { StorageAdapter } = require('./StorageAdapter');
+const { DatabasePersistence } = require('./DatabasePersistence');
+const { runMigrations, getSchemaStatus, getLatestVersion } = require('./migrations');
+const { serializeEmbedding, deserializeEmbedding } = require('../utils/embeddingCodec');
+const { sqlTimestamp } = require('../utils/temporal');
+
+// Columns returned when a listing does not need the embedding
+const MEMORY_COLUMNS = [
+  'id', 'bank_id', 'content', 'type', 'confidence', 'source', 'tags', 'story_id', 'stage',
+  'entities', 'facts', 'metadata', 'expires_at', 'last_accessed_at', 'access_count', 'created_at',
+  'deleted_at'
+];
+
+// Revision columns returned when listing history
+const REVISION_COLUMNS = [
+  'memory_id', 'bank_id', 'revision', 'content', 'type', 'confidence', 'source', 'tags', 'story_id',
+  'stage', 'entities', 'facts', 'metadata', 'actor', 'created_at'
+];
+
+// Memory columns stored as JSON text
+const JSON_FIELDS = new Set(['tags', 'entities', 'facts', 'metadata']);
+
+// newest and oldest compare created_at as dates (it holds both ISO and
+// CURRENT_TIMESTAMP formats), with id as the tie-breaker for stable pages
+const ORDER_BY = {
+  newest: 'julianday(created_at) DESC, id DESC',
+  oldest: 'julianday(created_at) ASC, id ASC',
+  confidence: 'confidence ASC',
+  least_accessed: 'COALESCE(last_accessed_at, created_at) ASC, access_count ASC',
+  recently_deleted: 'deleted_at DESC'
+};
+
+class SqlJsAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+
+    this.db = null;
+    this.persistence = new DatabasePersistence({
+      dbPath: options.dbPath,
+      debounceMs: options.debounceMs,
+      maxDelayMs: options.maxDelayMs
+    });
+
+    // Raw SQL handle for migrations
+    this.handle = {
+      all: (sql, params) => this._all(sql, params),
+      get: (sql, params) => this._get(sql, params),
+      run: (sql, params) => this._run(sql, params),
+      exec: (sql) => this._exec(sql),
+      transaction: (fn) => this.transaction(fn)
+    };
+  }
+
+  // ─── Lifecycle ────────────────────────────────────────────────
+
+  async initialize() {
+    const SQL = await initSqlJs();
+    this.db = this.persistence.open(SQL);
+
+    const applied = runMigrations(this.handle);
+
+    // Snapshot schema changes right away rather than leaving them in the journal
+    if (applied.length > 0) {
+      this.persistence.flush();
+    }
+
+    return true;
+  }
+
+  close() {
+    if (this.db) {
+      this.persistence.close();
+    }
+  }
+
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    this.persistence.begin();
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      this.persistence.commit();
+      return result;
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      this.persistence.rollback();
+      throw err;
+    }
+  }
+
+  getStats() {
+    return {
+      type: 'sqlite',
+      path: this.options.dbPath,
+      persistence: this.persistence.getStats()
+    };
+  }
+
+  getSchemaStatus() {
+    return getSchemaStatus(this.handle);
+  }
+
+  exportSnapshot(filePath) {
+    return this.persistence.exportTo(filePath);
+  }
+
+  restoreSnapshot(filePath) {
+    this._checkSnapshot(filePath);
+
+    this.db = this.persistence.replaceWith(filePath);
+
+    // Snapshots taken by an older build catch up to the current schema
+    const applied = runMigrations(this.handle);
+    if (applied.length > 0) {
+      this.persistence.flush();
+    }
+
+    return applied;
+  }
+
+  // ─── Banks ────────────────────────────────────────────────────
+
+  listBanks(options = {}) {
+    // A trashed bank counts the memories that went to the trash with it
+    const query = options.trashed
+      ? `SELECT b.*, COUNT(m.id) as memory_count
+         FROM banks b
+         LEFT JOIN memories m ON b.id = m.bank_id AND m.deleted_at = b.deleted_at
+         WHERE b.deleted_at IS NOT NULL
+         GROUP BY b.id
+         ORDER BY b.deleted_at DESC`
+      : `SELECT b.*, COUNT(m.id) as memory_count
+         FROM banks b
+         LEFT JOIN memories m ON b.id = m.bank_id AND m.deleted_at IS NULL
+         WHERE b.deleted_at IS NULL
+         GROUP BY b.id
+         ORDER BY b.created_at DESC`;
+
+    return this._all(query).map(row => this._toBank(row));
+  }
+
+  getBank(bankId, options = {}) {
+    const row = this._get('SELECT * FROM banks WHERE id = ?', [bankId]);
+    if (!row || (row.deleted_at && !options.includeDeleted)) return null;
+    return this._toBank(row);
+  }
+
+  createBank({ id, name, description, config }) {
+    this._run(`
+      INSERT INTO banks (id, name, description, config)
+      VALUES (?, ?, ?, ?)
+    `, [id, name, description || '', JSON.stringify(config || {})]);
+  }
+
+  updateBank(bankId, { name, description, config }) {
+    this._run(`
+      UPDATE banks SET name = ?, description = ?, config = ?
+      WHERE id = ?
+    `, [name, description, JSON.stringify(config || {}), bankId]);
+  }
+
+  deleteBank(bankId) {
+    return this.transaction(() => {
+      const ids = this.deleteMemoriesByBank(bankId);
+      this._run('DELETE FROM banks WHERE id = ?', [bankId]);
+      return ids;
+    });
+  }
+
+  trashBank(bankId, deletedAt = new Date().toISOString()) {
+    return this.transaction(() => {
+      const ids = this._all('SELECT id FROM memories WHERE bank_id = ? AND deleted_at IS NULL', [bankId]).map(r => r.id);
+      this._run('UPDATE memories SET deleted_at = ? WHERE bank_id = ? AND deleted_at IS NULL', [deletedAt, bankId]);
+      this._run('UPDATE banks SET deleted_at = ? WHERE id = ?', [deletedAt, bankId]);
+      return ids;
+    });
+  }
+
+  restoreBank(bankId) {
+    const bank = this._get('SELECT deleted_at FROM banks WHERE id = ?', [bankId]);
+    if (!bank || !bank.deleted_at) return [];
+
+    return this.transaction(() => {
+      const ids = this._all('SELECT id FROM memories WHERE bank_id = ? AND deleted_at = ?', [bankId, bank.deleted_at]).map(r => r.id);
+      this._run('UPDATE memories SET deleted_at = NULL WHERE bank_id = ? AND deleted_at = ?', [bankId, bank.deleted_at]);
+      this._run('UPDATE banks SET deleted_at = NULL WHERE id = ?', [bankId]);
+      return ids;
+    });
+  }
+
+  countBanks() {
+    return this._get('SELECT COUNT(*) as count FROM banks WHERE deleted_at IS NULL')?.count || 0;
+  }
+
+  // ─── Memories ─────────────────────────────────────────────────
+
+  insertMemory(memory, options = {}) {
+    const fields = ['id', 'bank_id', 'content', 'type', 'confidence', 'source', 'tags', 'story_id',
+      'stage', 'embedding', 'entities', 'facts', 'metadata', 'expires_at'];
+    if (memory.created_at) fields.push('created_at');
+
+    const verb = options.replace ? 'INSERT OR REPLACE' : 'INSERT';
+    this._run(`
+      ${verb} INTO memories (${fields.join(', ')})
+      VALUES (${fields.map(() => '?').join(', ')})
+    `, fields.map(f => this._toColumn(f, memory[f])));
+  }
+
+  getMemory(memoryId) {
+    const row = this._get('SELECT * FROM memories WHERE id = ?', [memoryId]);
+    return row ? this._toMemory(row) : null;
+  }
+
+  updateMemory(memoryId, fields) {
+    const entries = Object.entries(fields).filter(([key]) => key !== 'id');
+    if (entries.length === 0) return;
+
+    this._run(
+      `UPDATE memories SET ${entries.map(([key]) => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...entries.map(([key, value]) => this._toColumn(key, value)), memoryId]
+    );
+  }
+
+  getMemoriesByIds(bankId, ids, filters = {}) {
+    if (!ids || ids.length === 0) return [];
+
+    const { where, params } = this._buildFilters(bankId, filters);
+    where.push(`id IN (${ids.map(() => '?').join(',')})`);
+    params.push(...ids);
+
+    return this._all(`SELECT * FROM memories WHERE ${where.join(' AND ')}`, params)
+      .map(row => this._toMemory(row));
+  }
+
+  listMemories(bankId, options = {}) {
+    const { orderBy = 'newest', limit, offset = 0, after, includeEmbedding = false } = options;
+    const { where, params } = this._buildFilters(bankId, options);
+
+    // Keyset paging: rows past the (created_at, id) of the previous page's last row
+    if (after) {
+      if (orderBy !== 'newest' && orderBy !== 'oldest') {
+        throw new Error(`after is only supported with orderBy newest or oldest, not ${orderBy}`);
+      }
+      const op = orderBy === 'newest' ? '<' : '>';
+      where.push(`(julianday(created_at) ${op} julianday(?) OR (julianday(created_at) = julianday(?) AND id ${op} ?))`);
+      params.push(after.createdAt, after.createdAt, after.id);
+    }
+
+    const columns = includeEmbedding ? '*' : MEMORY_COLUMNS.join(', ');
+    let sql = `SELECT ${columns} FROM memories WHERE ${where.join(' AND ')} ORDER BY ${ORDER_BY[orderBy] || ORDER_BY.newest}`;
+
+    if (limit !== undefined) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
+
+    return this._all(sql, params).map(row => this._toMemory(row));
+  }
+
+  countMemories(bankId = null, filters = {}) {
+    const { where, params } = this._buildFilters(bankId, filters);
+    return this._get(`SELECT COUNT(*) as count FROM memories WHERE ${where.join(' AND ')}`, params)?.count || 0;
+  }
+
+  countByType(bankId = null) {
+    const { where, params } = this._buildFilters(bankId, {});
+    const rows = this._all(`SELECT type, COUNT(*) as count FROM memories WHERE ${where.join(' AND ')} GROUP BY type`, params);
+    return Object.fromEntries(rows.map(t => [t.type, t.count]));
+  }
+
+  listMemoryIds(bankId) {
+    return this._all('SELECT id FROM memories WHERE bank_id = ?', [bankId]).map(r => r.id);
+  }
+
+  listEmbeddings(options = {}) {
+    const sql = `SELECT id, bank_id, type, story_id, tags, source, stage, metadata, created_at, embedding
+      FROM memories WHERE embedding IS NOT NULL AND deleted_at IS NULL`;
+
+    let rows;
+    if (options.ids) {
+      // Chunked to stay under SQLite's bound parameter limit
+      rows = [];
+      for (let i = 0; i < options.ids.length; i += 500) {
+        const chunk = options.ids.slice(i, i + 500);
+        rows.push(...this._all(`${sql} AND id IN (${chunk.map(() => '?').join(',')})`, chunk));
+      }
+    } else {
+      rows = this._all(sql);
+    }
+
+    return rows.map(row => ({
+      id: row.id,
+      bank_id: row.bank_id,
+      type: row.type,
+      story_id: row.story_id,
+      tags: parseJson(row.tags, []),
+      source: row.source,
+      stage: row.stage,
+      metadata: parseJson(row.metadata, {}),
+      created_at: row.created_at,
+      embedding: deserializeEmbedding(row.embedding)
+    }));
+  }
+
+  listIndexState() {
+    return this._all('SELECT id, index_seq FROM memories WHERE embedding IS NOT NULL AND deleted_at IS NULL');
+  }
+
+  getIndexSequence() {
+    return this._get('SELECT value FROM index_sequence WHERE id = 1')?.value || 0;
+  }
+
+  listRawRecords() {
+    const memories = this._all(`
+      SELECT id, bank_id, content, typeof(embedding) AS embedding_type,
+        length(embedding) AS embedding_bytes,
+        CASE WHEN typeof(embedding) = 'text' THEN embedding END AS embedding_text,
+        tags, entities, facts, metadata
+      FROM memories WHERE deleted_at IS NULL
+    `);
+    const banks = this._all('SELECT id, config FROM banks WHERE deleted_at IS NULL');
+    return { memories, banks };
+  }
+
+  deleteMemories(ids) {
+    if (!ids || ids.length === 0) return 0;
+
+    const placeholders = ids.map(() => '?').join(',');
+    this._run(`DELETE FROM memory_revisions WHERE memory_id IN (${placeholders})`, ids);
+    this._run(`DELETE FROM memories WHERE id IN (${placeholders})`, ids);
+    return this.db.getRowsModified();
+  }
+
+  deleteMemoriesByBank(bankId) {
+    const ids = this.listMemoryIds(bankId);
+    this._run('DELETE FROM memory_revisions WHERE bank_id = ?', [bankId]);
+    this._run('DELETE FROM memories WHERE bank_id = ?', [bankId]);
+    return ids;
+  }
+
+  trashMemories(ids, deletedAt = new Date().toISOString()) {
+    if (!ids || ids.length === 0) return 0;
+
+    const placeholders = ids.map(() => '?').join(',');
+    this._run(`UPDATE memories SET deleted_at = ? WHERE id IN (${placeholders}) AND deleted_at IS NULL`, [deletedAt, ...ids]);
+    return this.db.getRowsModified();
+  }
+
+  restoreMemories(bankId, ids = null) {
+    const where = ['bank_id = ?', 'deleted_at IS NOT NULL'];
+    const params = [bankId];
+
+    if (ids) {
+      if (ids.length === 0) return [];
+      where.push(`id IN (${ids.map(() => '?').join(',')})`);
+      params.push(...ids);
+    }
+
+    const restored = this._all(`SELECT id FROM memories WHERE ${where.join(' AND ')}`, params).map(r => r.id);
+    if (restored.length > 0) {
+      this._run(`UPDATE memories SET deleted_at = NULL WHERE ${where.join(' AND ')}`, params);
+    }
+    return restored;
+  }
+
+  purgeTrash(before) {
+    return this.transaction(() => {
+      const bankIds = this._all('SELECT id FROM banks WHERE deleted_at IS NOT NULL AND deleted_at < ?', [before]).map(r => r.id);
+      let memories = 0;
+
+      for (const bankId of bankIds) {
+        memories += this.deleteMemoriesByBank(bankId).length;
+        this._run('DELETE FROM banks WHERE id = ?', [bankId]);
+      }
+
+      const memoryIds = this._all('SELECT id FROM memories WHERE deleted_at IS NOT NULL AND deleted_at < ?', [before]).map(r => r.id);
+      memories += this.deleteMemories(memoryIds);
+
+      return { banks: bankIds, memories };
+    });
+  }
+
+  trackAccess(memoryId) {
+    // Bound rather than datetime('now'), so journal replay keeps the access time
+    this._run(`
+      UPDATE memories
+      SET last_accessed_at = ?,
+          access_count = COALESCE(access_count, 0) + 1
+      WHERE id = ?
+    `, [sqlTimestamp(), memoryId]);
+  }
+
+  // ─── Revisions ────────────────────────────────────────────────
+
+  insertRevision(revision) {
+    const fields = ['memory_id', 'bank_id', 'content', 'type', 'confidence', 'source', 'tags', 'story_id',
+      'stage', 'embedding', 'entities', 'facts', 'metadata', 'actor', 'created_at'];
+    const record = { ...revision, created_at: revision.created_at || new Date().toISOString() };
+
+    // Number the revision in the INSERT itself so journal replay reproduces it
+    this._run(`
+      INSERT INTO memory_revisions (${fields.join(', ')}, revision)
+      SELECT ${fields.map(() => '?').join(', ')}, COALESCE(MAX(revision), 0) + 1
+      FROM memory_revisions WHERE memory_id = ?
+    `, [...fields.map(f => this._toColumn(f, record[f])), record.memory_id]);
+
+    return this._get('SELECT MAX(revision) as revision FROM memory_revisions WHERE memory_id = ?', [record.memory_id]).revision;
+  }
+
+  listRevisions(memoryId) {
+    return this._all(`
+      SELECT ${REVISION_COLUMNS.join(', ')} FROM memory_revisions
+      WHERE memory_id = ?
+      ORDER BY revision DESC
+    `, [memoryId]).map(row => this._toMemory(row));
+  }
+
+  getRevision(memoryId, revision) {
+    const row = this._get('SELECT * FROM memory_revisions WHERE memory_id = ? AND revision = ?', [memoryId, revision]);
+    return row ? this._toMemory(row) : null;
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * Make sure a file is a Hindsight database this build can open
+   * @private
+   */
+  _checkSnapshot(filePath) {
+    const probe = new this.persistence.SQL.Database(fs.readFileSync(filePath));
+
+    try {
+      const tables = probe.exec(`SELECT name FROM sqlite_master WHERE type = 'table'`)[0]?.values.flat() || [];
+      if (!tables.includes('banks') || !tables.includes('memories')) {
+        throw new Error('Snapshot is not a Hindsight database');
+      }
+
+      if (tables.includes('schema_migrations')) {
+        const version = probe.exec('SELECT MAX(version) FROM schema_migrations')[0]?.values[0][0] || 0;
+        if (version > getLatestVersion()) {
+          throw new Error(`Snapshot schema version ${version} is newer than this server supports (${getLatestVersion()})`);
+        }
+      }
+    } finally {
+      probe.close();
+    }
+  }
+
+  /**
+   * Translate memory filters into WHERE clauses
+   * @private
+   */
+  _buildFilters(bankId, filters) {
+    const where = ['1 = 1'];
+    const params = [];
+
+    if (bankId) {
+      where.push('bank_id = ?');
+      params.push(bankId);
+    }
+
+    if (filters.types && filters.types.length > 0) {
+      where.push(`type IN (${filters.types.map(() => '?').join(',')})`);
+      params.push(...filters.types);
+    }
+
+    if (filters.storyId) {
+      where.push('story_id = ?');
+      params.push(filters.storyId);
+    }
+
+    if (filters.tags && filters.tags.length > 0) {
+      // Match any of the tags; rows with unreadable tags never match
+      where.push(`CASE WHEN json_valid(tags) THEN EXISTS (SELECT 1 FROM json_each(memories.tags) WHERE value IN (${filters.tags.map(() => '?').join(',')})) ELSE 0 END`);
+      params.push(...filters.tags);
+    }
+
+    if (filters.tagsAll && filters.tagsAll.length > 0) {
+      const each = filters.tagsAll.map(() => 'EXISTS (SELECT 1 FROM json_each(memories.tags) WHERE value = ?)');
+      where.push(`CASE WHEN json_valid(tags) THEN ${each.join(' AND ')} ELSE 0 END`);
+      params.push(...filters.tagsAll);
+    }
+
+    if (filters.sources && filters.sources.length > 0) {
+      where.push(`source IN (${filters.sources.map(() => '?').join(',')})`);
+      params.push(...filters.sources);
+    }
+
+    if (filters.stages && filters.stages.length > 0) {
+      where.push(`stage IN (${filters.stages.map(() => '?').join(',')})`);
+      params.push(...filters.stages);
+    }
+
+    // created_at holds both ISO and CURRENT_TIMESTAMP formats; compare as dates
+    if (filters.createdAfter) {
+      where.push('julianday(created_at) > julianday(?)');
+      params.push(filters.createdAfter);
+    }
+
+    if (filters.createdBefore) {
+      where.push('julianday(created_at) < julianday(?)');
+      params.push(filters.createdBefore);
+    }
+
+    if (filters.metadata && filters.metadata.length > 0) {
+      // Rows with unreadable metadata never match
+      const conditions = filters.metadata.map(predicate => metadataCondition(predicate, params));
+      where.push(`CASE WHEN json_valid(metadata) THEN ${conditions.join(' AND ')} ELSE 0 END`);
+    }
+
+    if (filters.expiredBefore) {
+      where.push('expires_at IS NOT NULL AND expires_at < ?');
+      params.push(filters.expiredBefore);
+    }
+
+    if (filters.hasExpiry) {
+      where.push('expires_at IS NOT NULL');
+    }
+
+    where.push(filters.trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+
+    return { where, params };
+  }
+
+  /**
+   * Encode a record field for its column
+   * @private
+   */
+  _toColumn(field, value) {
+    if (field === 'embedding') return serializeEmbedding(value);
+    if (JSON_FIELDS.has(field)) return JSON.stringify(value ?? (field === 'metadata' ? {} : []));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * @private
+   */
+  _toBank(row) {
+    return {
+      ...row,
+      config: parseJson(row.config, {})
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toMemory(row) {
+    // index_seq is vector index bookkeeping, not part of the record
+    const { index_seq, ...fields } = row;
+    const memory = {
+      ...fields,
+      tags: parseJson(row.tags, []),
+      entities: parseJson(row.entities, []),
+      facts: parseJson(row.facts, []),
+      metadata: parseJson(row.metadata, {})
+    };
+
+    if ('embedding' in fields) {
+      memory.embedding = deserializeEmbedding(fields.embedding);
+    }
+
+    return memory;
+  }
+
+  /**
+   * @private
+   */
+  _all(sql, params = []) {
+    try {
+      const stmt = this.db.prepare(sql);
+      if (params.length > 0) stmt.bind(params);
+      const results = [];
+      while (stmt.step()) results.push(stmt.getAsObject());
+      stmt.free();
+      return results;
+    } catch (err) {
+      console.error('[DB] Query error:', sql, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _get(sql, params = []) {
+    const results = this._all(sql, params);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * @private
+   */
+  _run(sql, params = []) {
+    try {
+      this.db.run(sql, params);
+      this.persistence.record(sql, params);
+    } catch (err) {
+      console.error('[DB] Run error:', sql, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _exec(sql) {
+    try {
+      this.db.exec(sql);
+      this.persistence.recordExec(sql);
+    } catch (err) {
+      console.error('[DB] Exec error:', err.message);
+      throw err;
+    }
+  }
+}
+
+/**
+ * Parse a JSON column, falling back when it is empty or unreadable
+ */
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+/**
+ * SQL for one metadata predicate ({ path, op, value }, see utils/filters),
+ * matching only values of the same JSON type; appends its parameters
+ */
+function metadataCondition({ path, op, value }, params) {
+  const jsonPath = `$.${path.map(segment => `"${segment}"`).join('.')}`;
+
+  const equals = (v) => {
+    if (typeof v === 'boolean') {
+      params.push(jsonPath, String(v));
+      return 'json_type(metadata, ?) = ?';
+    }
+    params.push(jsonPath, jsonPath, v);
+    return `(json_type(metadata, ?) ${typeof v === 'number' ? "IN ('integer', 'real')" : "= 'text'"} AND json_extract(metadata, ?) = ?)`;
+  };
+
+  if (op === 'eq') return equals(value);
+  if (op === 'ne') return `NOT COALESCE(${equals(value)}, 0)`;
+  if (op === 'in') return `(${value.map(equals).join(' OR ')})`;
+
+  const comparison = { gt: '>', gte: '>=', lt: '<', lte: '<=' }[op];
+  params.push(jsonPath, jsonPath, value);
+  return `(json_type(metadata, ?) ${typeof value === 'number' ? "IN ('integer', 'real')" : "= 'text'"} AND json_extract(metadata, ?) ${comparison} ?)`;
+}
+
+module.exports = { SqlJsAdapter };
@@ -0,0 +1,381 @@
+/**
+ * StorageAdapter.js - Storage backend interface
+ *
+ * Handlers and RetentionManager talk to storage only through this interface,
+ * so an alternative backend (native SQLite driver, append-only JSONL, ...)
+ * can be selected with config.storage.type without touching them.
+ *
+ * Records use the column names of the SQLite schema (snake_case) with JSON
+ * columns already decoded:
+ *
+ *   Bank:   { id, name, description, config: {}, created_at, deleted_at }
+ *   Memory: { id, bank_id, content, type, confidence, source, tags: [],
+ *             story_id, stage, embedding: Float32Array|number[],
+ *             entities: [], facts: [], metadata: {}, expires_at,
+ *             last_accessed_at, access_count, created_at, deleted_at }
+ *   Revision: { memory_id, bank_id, revision, content, type, confidence,
+ *               source, tags: [], story_id, stage, embedding, entities: [],
+ *               facts: [], metadata: {}, actor, created_at }
+ *
+ * Memory filters (listMemories / countMemories / getMemoriesByIds):
+ *   types         - Array of memory types
+ *   storyId       - Exact story_id
+ *   tags          - Array of tags; memories carrying any of them
+ *   tagsAll       - Array of tags; memories carrying all of them
+ *   sources       - Array of sources; memories from any of them
+ *   stages        - Array of stages; memories in any of them
+ *   createdAfter  - ISO timestamp; only memories created after it
+ *   createdBefore - ISO timestamp; only memories created before it
+ *   metadata      - Array of { path, op, value } predicates on metadata keys
+ *                   (see utils/filters.js); all must hold
+ *   expiredBefore - ISO timestamp; only memories expiring before it
+ *   hasExpiry     - Only memories with an expires_at
+ *   trashed       - Only memories in the trash (otherwise they are excluded)
+ *
+ * Deleting a bank or memory moves it to the trash by setting deleted_at;
+ * trashed records are hidden from reads until restored or purged. The
+ * delete* methods remove rows for good.
+ *
+ * Listing options (listMemories):
+ *   orderBy          - 'newest' (default) | 'oldest' | 'confidence' | 'least_accessed'
+ *                      | 'recently_deleted'
+ *   limit, offset    - Paging
+ *   after            - { createdAt, id } of the previous page's last record;
+ *                      keyset paging for orderBy 'newest' or 'oldest'
+ *   includeEmbedding - Load the embedding column (default false)
+ */
+
+class StorageAdapter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // ─── Lifecycle ────────────────────────────────────────────────
+
+  /**
+   * Open the backend and bring its schema up to date
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Persist pending changes and release resources
+   */
+  close() {
+    throw new Error(`${this.constructor.name} does not implement close()`);
+  }
+
+  /**
+   * Run fn atomically; everything it writes is rolled back if it throws.
+   * fn must be synchronous.
+   * @param {Function} fn - Work to run
+   * @returns {*} - fn's return value
+   */
+  transaction(fn) {
+    throw new Error(`${this.constructor.name} does not implement transaction()`);
+  }
+
+  /**
+   * Backend statistics
+   */
+  getStats() {
+    return { type: this.constructor.name };
+  }
+
+  /**
+   * Schema version information
+   */
+  getSchemaStatus() {
+    throw new Error(`${this.constructor.name} does not implement getSchemaStatus()`);
+  }
+
+  /**
+   * Write a consistent point-in-time copy of the store to a file
+   * @param {string} filePath - Destination path
+   * @returns {number} - Bytes written
+   */
+  exportSnapshot(filePath) {
+    throw new Error(`${this.constructor.name} does not implement exportSnapshot()`);
+  }
+
+  /**
+   * Replace the store's contents with a snapshot written by exportSnapshot()
+   * and bring its schema up to date
+   * @param {string} filePath - Snapshot path
+   * @returns {Array<{version: number, name: string}>} - Migrations applied to the snapshot
+   */
+  restoreSnapshot(filePath) {
+    throw new Error(`${this.constructor.name} does not implement restoreSnapshot()`);
+  }
+
+  // ─── Banks ────────────────────────────────────────────────────
+
+  /**
+   * List banks with their memory_count, newest first
+   * @param {Object} options - { trashed: list trashed banks instead }
+   * @returns {Array<Object>} - Bank records
+   */
+  listBanks(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listBanks()`);
+  }
+
+  /**
+   * @param {string} bankId - Bank ID
+   * @param {Object} options - { includeDeleted: also return a trashed bank }
+   * @returns {Object|null} - Bank record
+   */
+  getBank(bankId, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement getBank()`);
+  }
+
+  /**
+   * @param {Object} bank - { id, name, description, config }
+   */
+  createBank(bank) {
+    throw new Error(`${this.constructor.name} does not implement createBank()`);
+  }
+
+  /**
+   * @param {string} bankId - Bank ID
+   * @param {Object} fields - { name, description, config }
+   */
+  updateBank(bankId, fields) {
+    throw new Error(`${this.constructor.name} does not implement updateBank()`);
+  }
+
+  /**
+   * Delete a bank and all of its memories
+   * @param {string} bankId - Bank ID
+   * @returns {string[]} - IDs of the memories removed
+   */
+  deleteBank(bankId) {
+    throw new Error(`${this.constructor.name} does not implement deleteBank()`);
+  }
+
+  /**
+   * Move a bank and its memories to the trash
+   * @param {string} bankId - Bank ID
+   * @param {string} deletedAt - ISO timestamp (default now)
+   * @returns {string[]} - IDs of the memories trashed with it
+   */
+  trashBank(bankId, deletedAt) {
+    throw new Error(`${this.constructor.name} does not implement trashBank()`);
+  }
+
+  /**
+   * Restore a trashed bank with the memories trashed along with it
+   * @param {string} bankId - Bank ID
+   * @returns {string[]} - IDs of the memories restored
+   */
+  restoreBank(bankId) {
+    throw new Error(`${this.constructor.name} does not implement restoreBank()`);
+  }
+
+  /**
+   * @returns {number} - Number of banks (excluding trashed)
+   */
+  countBanks() {
+    throw new Error(`${this.constructor.name} does not implement countBanks()`);
+  }
+
+  // ─── Memories ─────────────────────────────────────────────────
+
+  /**
+   * @param {Object} memory - Memory record (created_at optional)
+   * @param {Object} options - { replace: overwrite an existing id }
+   */
+  insertMemory(memory, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement insertMemory()`);
+  }
+
+  /**
+   * @param {string} memoryId - Memory ID
+   * @returns {Object|null} - Memory record including embedding
+   */
+  getMemory(memoryId) {
+    throw new Error(`${this.constructor.name} does not implement getMemory()`);
+  }
+
+  /**
+   * @param {string} memoryId - Memory ID
+   * @param {Object} fields - Record fields to overwrite
+   */
+  updateMemory(memoryId, fields) {
+    throw new Error(`${this.constructor.name} does not implement updateMemory()`);
+  }
+
+  /**
+   * Fetch specific memories of a bank, applying filters
+   * @param {string} bankId - Bank ID
+   * @param {string[]} ids - Memory IDs
+   * @param {Object} filters - Memory filters
+   * @returns {Array<Object>} - Memory records including embedding
+   */
+  getMemoriesByIds(bankId, ids, filters = {}) {
+    throw new Error(`${this.constructor.name} does not implement getMemoriesByIds()`);
+  }
+
+  /**
+   * @param {string} bankId - Bank ID
+   * @param {Object} options - Memory filters and listing options
+   * @returns {Array<Object>} - Memory records
+   */
+  listMemories(bankId, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listMemories()`);
+  }
+
+  /**
+   * @param {string|null} bankId - Bank ID, or null for all banks
+   * @param {Object} filters - Memory filters
+   * @returns {number}
+   */
+  countMemories(bankId = null, filters = {}) {
+    throw new Error(`${this.constructor.name} does not implement countMemories()`);
+  }
+
+  /**
+   * @param {string|null} bankId - Bank ID, or null for all banks
+   * @returns {Object} - { [type]: count }
+   */
+  countByType(bankId = null) {
+    throw new Error(`${this.constructor.name} does not implement countByType()`);
+  }
+
+  /**
+   * @param {string} bankId - Bank ID
+   * @returns {string[]} - All memory IDs in the bank
+   */
+  listMemoryIds(bankId) {
+    throw new Error(`${this.constructor.name} does not implement listMemoryIds()`);
+  }
+
+  /**
+   * All memories that have an embedding, across banks, with the fields the
+   * vector index filters on
+   * @param {Object} options - { ids: only these memories }
+   * @returns {Array<{id, bank_id, type, story_id, tags: [], source, stage, metadata: {}, created_at,
+   *   embedding: Float32Array|number[]}>}
+   */
+  listEmbeddings(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listEmbeddings()`);
+  }
+
+  /**
+   * Change stamps of every memory listEmbeddings() would return. index_seq
+   * is raised whenever a memory's embedding, bank, type, story, tags or trash
+   * state changes, and never reused.
+   * @returns {Array<{id: string, index_seq: number}>}
+   */
+  listIndexState() {
+    throw new Error(`${this.constructor.name} does not implement listIndexState()`);
+  }
+
+  /**
+   * Highest index_seq handed out so far (the high-water mark for a persisted
+   * vector index)
+   * @returns {number}
+   */
+  getIndexSequence() {
+    throw new Error(`${this.constructor.name} does not implement getIndexSequence()`);
+  }
+
+  /**
+   * Live banks and memories as stored, for consistency checks: JSON columns
+   * are left undecoded and the embedding is described instead of loaded
+   * (embedding_type 'blob' | 'text' | 'null', embedding_bytes, and
+   * embedding_text for legacy JSON text embeddings)
+   * @returns {Object} - {
+   *   memories: [{ id, bank_id, content, embedding_type, embedding_bytes,
+   *                embedding_text, tags, entities, facts, metadata }],
+   *   banks: [{ id, config }]
+   * }
+   */
+  listRawRecords() {
+    throw new Error(`${this.constructor.name} does not implement listRawRecords()`);
+  }
+
+  /**
+   * Delete memories along with their revisions
+   * @param {string[]} ids - Memory IDs
+   * @returns {number} - Number of memories deleted
+   */
+  deleteMemories(ids) {
+    throw new Error(`${this.constructor.name} does not implement deleteMemories()`);
+  }
+
+  /**
+   * @param {string} bankId - Bank ID
+   * @returns {string[]} - IDs of the memories removed
+   */
+  deleteMemoriesByBank(bankId) {
+    throw new Error(`${this.constructor.name} does not implement deleteMemoriesByBank()`);
+  }
+
+  /**
+   * Move memories to the trash
+   * @param {string[]} ids - Memory IDs
+   * @param {string} deletedAt - ISO timestamp (default now)
+   * @returns {number} - Number of memories trashed
+   */
+  trashMemories(ids, deletedAt) {
+    throw new Error(`${this.constructor.name} does not implement trashMemories()`);
+  }
+
+  /**
+   * Restore trashed memories of a bank
+   * @param {string} bankId - Bank ID
+   * @param {string[]|null} ids - Memory IDs, or null for all trashed memories
+   * @returns {string[]} - IDs of the memories restored
+   */
+  restoreMemories(bankId, ids = null) {
+    throw new Error(`${this.constructor.name} does not implement restoreMemories()`);
+  }
+
+  /**
+   * Permanently remove banks and memories trashed before a cutoff
+   * @param {string} before - ISO timestamp
+   * @returns {{banks: string[], memories: number}} - Purged bank IDs and memory count
+   */
+  purgeTrash(before) {
+    throw new Error(`${this.constructor.name} does not implement purgeTrash()`);
+  }
+
+  /**
+   * Bump access_count and last_accessed_at
+   * @param {string} memoryId - Memory ID
+   */
+  trackAccess(memoryId) {
+    throw new Error(`${this.constructor.name} does not implement trackAccess()`);
+  }
+
+  // ─── Revisions ────────────────────────────────────────────────
+
+  /**
+   * Save a prior version of a memory as its next revision
+   * @param {Object} revision - Revision record (revision number is assigned)
+   * @returns {number} - Revision number
+   */
+  insertRevision(revision) {
+    throw new Error(`${this.constructor.name} does not implement insertRevision()`);
+  }
+
+  /**
+   * @param {string} memoryId - Memory ID
+   * @returns {Array<Object>} - Revision records without embedding, newest first
+   */
+  listRevisions(memoryId) {
+    throw new Error(`${this.constructor.name} does not implement listRevisions()`);
+  }
+
+  /**
+   * @param {string} memoryId - Memory ID
+   * @param {number} revision - Revision number
+   * @returns {Object|null} - Revision record including embedding
+   */
+  getRevision(memoryId, revision) {
+    throw new Error(`${this.constructor.name} does not implement getRevision()`);
+  }
+}
+
+module.exports = { StorageAdapter };
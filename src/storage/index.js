@@ -0,0 +1,35 @@
+/**
+ * Storage backend selection
+ *
+ * config.storage.type picks the StorageAdapter implementation. Register new
+ * backends in ADAPTERS; they must implement the StorageAdapter interface.
+ */
+
+const { StorageAdapter } = require('./StorageAdapter');
+const { SqlJsAdapter } = require('./SqlJsAdapter');
+const { SnapshotManager } = require('./SnapshotManager');
+
+const ADAPTERS = {
+  sqlite: SqlJsAdapter,
+  sqljs: SqlJsAdapter
+};
+
+/**
+ * Create the storage adapter for a configured type
+ * @param {string} type - config.storage.type
+ * @param {Object} options - Adapter options
+ * @returns {StorageAdapter}
+ */
+function createStorageAdapter(type = 'sqlite', options = {}) {
+  const Adapter = ADAPTERS[type];
+  if (!Adapter) {
+    throw new Error(`Unknown storage type: ${type} (available: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  return new Adapter(options);
+}
+
+module.exports = {
+  StorageAdapter,
+  SnapshotManager,
+  createStorageAdapter
+};
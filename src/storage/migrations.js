@@ -0,0 +1,304 @@
+/**
+ * migrations.js - Versioned schema migrations for the SQLite store
+ *
+ * Each migration runs once, inside its own transaction, and is recorded in
+ * the schema_migrations table. Append new steps to MIGRATIONS with the next
+ * version number; never edit or reorder a step that has already shipped.
+ *
+ * Migration steps receive a database handle with:
+ *   exec(sql)              - Run one or more statements without parameters
+ *   run(sql, params)       - Run a single statement
+ *   all(sql, params)       - Return all rows as objects
+ *   get(sql, params)       - Return the first row or null
+ *   transaction(fn)        - Run fn between BEGIN and COMMIT (runner only;
+ *                            steps are already wrapped and must not nest)
+ *
+ * Usage:
+ *   const { runMigrations, getSchemaStatus } = require('./storage/migrations');
+ *   runMigrations(handle);
+ *   const status = getSchemaStatus(handle);
+ */
+
+const { serializeEmbedding } = require('../utils/embeddingCodec');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      // IF NOT EXISTS so databases created before migrations adopt cleanly
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS banks (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          description TEXT,
+          config TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS memories (
+          id TEXT PRIMARY KEY,
+          bank_id TEXT NOT NULL,
+          content TEXT NOT NULL,
+          type TEXT DEFAULT 'EXPERIENCE',
+          confidence REAL DEFAULT 1.0,
+          source TEXT,
+          tags TEXT,
+          story_id TEXT,
+          stage TEXT,
+          embedding TEXT,
+          entities TEXT,
+          facts TEXT,
+          metadata TEXT,
+          expires_at DATETIME,
+          last_accessed_at DATETIME,
+          access_count INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (bank_id) REFERENCES banks(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_memories_bank ON memories(bank_id);
+        CREATE INDEX IF NOT EXISTS idx_memories_type ON memories(type);
+        CREATE INDEX IF NOT EXISTS idx_memories_story ON memories(story_id);
+        CREATE INDEX IF NOT EXISTS idx_memories_expires ON memories(expires_at);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'embeddings_to_float32_blob',
+    up(db) {
+      // JSON text embeddings -> Float32 BLOBs; unparseable rows are left for /admin/verify
+      const rows = db.all(`SELECT id, embedding FROM memories WHERE typeof(embedding) = 'text'`);
+      let converted = 0;
+
+      for (const row of rows) {
+        let embedding;
+        try {
+          embedding = JSON.parse(row.embedding);
+        } catch (err) {
+          continue;
+        }
+        if (!Array.isArray(embedding)) continue;
+
+        db.run('UPDATE memories SET embedding = ? WHERE id = ?', [serializeEmbedding(embedding), row.id]);
+        converted++;
+      }
+
+      console.log(`[Migrations] Converted ${converted}/${rows.length} embeddings to Float32 BLOBs`);
+    }
+  },
+  {
+    version: 3,
+    name: 'memory_revisions',
+    up(db) {
+      // Prior versions of a memory, numbered per memory from 1
+      db.exec(`
+        CREATE TABLE memory_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id TEXT NOT NULL,
+          bank_id TEXT NOT NULL,
+          revision INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          type TEXT,
+          confidence REAL,
+          source TEXT,
+          tags TEXT,
+          story_id TEXT,
+          stage TEXT,
+          embedding BLOB,
+          entities TEXT,
+          facts TEXT,
+          metadata TEXT,
+          actor TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (memory_id, revision)
+        );
+
+        CREATE INDEX idx_revisions_memory ON memory_revisions(memory_id);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'soft_delete',
+    up(db) {
+      // Deleted banks and memories stay in the trash until purged
+      db.exec(`
+        ALTER TABLE banks ADD COLUMN deleted_at DATETIME;
+        ALTER TABLE memories ADD COLUMN deleted_at DATETIME;
+
+        CREATE INDEX idx_memories_deleted ON memories(deleted_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'index_sequence',
+    up(db) {
+      // Every change the vector index cares about stamps the row with the
+      // next value of a counter that never goes backwards, so a persisted
+      // index can replay just the rows changed since it was saved
+      db.exec(`
+        CREATE TABLE index_sequence (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          value INTEGER NOT NULL
+        );
+
+        ALTER TABLE memories ADD COLUMN index_seq INTEGER;
+        UPDATE memories SET index_seq = rowid;
+        INSERT INTO index_sequence (id, value) SELECT 1, COALESCE(MAX(index_seq), 0) FROM memories;
+
+        CREATE INDEX idx_memories_index_seq ON memories(index_seq);
+
+        CREATE TRIGGER trg_memories_index_seq_insert AFTER INSERT ON memories
+        BEGIN
+          UPDATE index_sequence SET value = value + 1 WHERE id = 1;
+          UPDATE memories SET index_seq = (SELECT value FROM index_sequence WHERE id = 1) WHERE rowid = NEW.rowid;
+        END;
+
+        CREATE TRIGGER trg_memories_index_seq_update
+        AFTER UPDATE OF embedding, bank_id, type, story_id, tags, deleted_at ON memories
+        BEGIN
+          UPDATE index_sequence SET value = value + 1 WHERE id = 1;
+          UPDATE memories SET index_seq = (SELECT value FROM index_sequence WHERE id = 1) WHERE rowid = NEW.rowid;
+        END;
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'memory_listing_order',
+    up(db) {
+      // Listing pages by (created_at, id). created_at holds both ISO and
+      // CURRENT_TIMESTAMP formats, so the index orders them as dates.
+      db.exec(`
+        CREATE INDEX idx_memories_bank_created ON memories(bank_id, julianday(created_at), id);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'index_seq_filter_fields',
+    up(db) {
+      // source, stage and metadata became vector index filter fields, so
+      // changing them has to stamp index_seq too. Every row is stamped once,
+      // since a saved index may already hold stale values for them.
+      db.exec(`
+        DROP TRIGGER trg_memories_index_seq_update;
+
+        CREATE TRIGGER trg_memories_index_seq_update
+        AFTER UPDATE OF embedding, bank_id, type, story_id, tags, source, stage, metadata, deleted_at ON memories
+        BEGIN
+          UPDATE index_sequence SET value = value + 1 WHERE id = 1;
+          UPDATE memories SET index_seq = (SELECT value FROM index_sequence WHERE id = 1) WHERE rowid = NEW.rowid;
+        END;
+
+        UPDATE index_sequence SET value = value + 1 WHERE id = 1;
+        UPDATE memories SET index_seq = (SELECT value FROM index_sequence WHERE id = 1);
+      `);
+    }
+  }
+];
+
+/**
+ * Latest schema version known to this build
+ */
+function getLatestVersion(migrations = MIGRATIONS) {
+  return migrations.reduce((max, m) => Math.max(max, m.version), 0);
+}
+
+/**
+ * Create the bookkeeping table if needed
+ * @private
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {Object} db - Database handle (exec/run/all/get/transaction)
+ * @param {Array} migrations - Migration steps
+ * @returns {Array<{version: number, name: string}>} - Migrations applied now
+ */
+function runMigrations(db, migrations = MIGRATIONS) {
+  ensureMigrationsTable(db);
+
+  const current = getCurrentVersion(db);
+  const latest = getLatestVersion(migrations);
+
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this server supports (${latest})`);
+  }
+
+  const pending = [...migrations]
+    .filter(m => m.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  const applied = [];
+
+  for (const migration of pending) {
+    console.log(`[Migrations] Applying ${migration.version}: ${migration.name}`);
+
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [
+          migration.version,
+          migration.name
+        ]);
+      });
+    } catch (err) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+    }
+
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  if (applied.length > 0) {
+    console.log(`[Migrations] Schema now at version ${getCurrentVersion(db)}`);
+  }
+
+  return applied;
+}
+
+/**
+ * Highest applied migration version (0 for a fresh database)
+ */
+function getCurrentVersion(db) {
+  const row = db.get('SELECT MAX(version) as version FROM schema_migrations');
+  return row?.version || 0;
+}
+
+/**
+ * Describe applied and pending migrations
+ * @param {Object} db - Database handle
+ */
+function getSchemaStatus(db, migrations = MIGRATIONS) {
+  const applied = db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  const appliedVersions = new Set(applied.map(m => m.version));
+
+  return {
+    version: getCurrentVersion(db),
+    latest: getLatestVersion(migrations),
+    applied: applied.map(m => ({ version: m.version, name: m.name, appliedAt: m.applied_at })),
+    pending: migrations
+      .filter(m => !appliedVersions.has(m.version))
+      .map(m => ({ version: m.version, name: m.name }))
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+  getSchemaStatus,
+  getCurrentVersion,
+  getLatestVersion
+};
@@ -0,0 +1,50 @@
+/**
+ * Embedding serialization for the memories.embedding column
+ *
+ * Embeddings are stored as raw little-endian Float32 BLOBs (4 bytes per
+ * dimension). Rows written before schema v2 hold JSON array text; readers
+ * accept both so a partially converted database keeps working.
+ */
+
+/**
+ * Serialize an embedding to a Float32 BLOB
+ * @param {number[]|Float32Array} embedding - Vector embedding
+ * @returns {Uint8Array|null} - BLOB value, or null for an empty embedding
+ */
+function serializeEmbedding(embedding) {
+  if (!embedding || embedding.length === 0) return null;
+
+  const floats = embedding instanceof Float32Array ? embedding : Float32Array.from(embedding);
+  return new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+/**
+ * Deserialize a stored embedding (Float32 BLOB or legacy JSON text)
+ * @param {Uint8Array|string|null} value - Column value
+ * @returns {Float32Array|number[]} - Embedding, empty if missing or unreadable
+ */
+function deserializeEmbedding(value) {
+  if (!value) return [];
+
+  if (value instanceof Uint8Array) {
+    if (value.byteLength % 4 !== 0) return [];
+    // Copy so the Float32Array is 4-byte aligned regardless of the source offset
+    return new Float32Array(value.slice().buffer);
+  }
+
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  return [];
+}
+
+module.exports = {
+  serializeEmbedding,
+  deserializeEmbedding
+};
@@ -0,0 +1,259 @@
+/**
+ * Memory filters shared by recall, memory listing and the indexes
+ *
+ * parseMemoryFilter() validates the filter object of a request and turns it
+ * into the storage filter form (see StorageAdapter.js):
+ *
+ *   {
+ *     types:         ["DECISION"],
+ *     storyId:       "story-1",
+ *     tags:          ["a", "b"] or { any: [...], all: [...] },
+ *     source:        "agent" or ["agent", "import"],
+ *     stage:         "review" or [...],
+ *     createdAfter:  "2026-01-01",             (exclusive)
+ *     createdBefore: "2026-02-01T12:00:00Z",   (exclusive)
+ *     metadata: {
+ *       "priority":   "high",                  (equality)
+ *       "owner.team": { "in": ["web", "api"] },
+ *       "score":      { "gte": 3, "lt": 10 }   (eq, ne, gt, gte, lt, lte, in)
+ *     }
+ *   }
+ *
+ * Metadata keys are dot-separated paths into the memory's metadata object.
+ * Comparisons only match values of the same JSON type (numbers with numbers,
+ * strings with strings), and ne also matches memories without the key.
+ *
+ * compileMemoryFilter() builds the in-memory predicate the vector and
+ * keyword indexes apply while ranking; storage applies the same filter form
+ * in SQL. failedFilterFields() names the conditions a memory misses, for
+ * recall's explain mode.
+ */
+
+const { parseTimestamp } = require('./temporal');
+
+const METADATA_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const PATH_SEGMENT = /^[A-Za-z0-9_-]+$/;
+
+const FILTER_FIELDS = ['types', 'storyId', 'tags', 'source', 'stage', 'createdAfter', 'createdBefore', 'metadata'];
+
+/**
+ * Validate a request filter and convert it to the storage filter form
+ * @param {Object} input - Request filter object
+ * @returns {{filter: Object}|{error: string}}
+ */
+function parseMemoryFilter(input) {
+  if (input === undefined || input === null) return { filter: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'filter must be an object' };
+  }
+
+  const unknown = Object.keys(input).find(key => !FILTER_FIELDS.includes(key));
+  if (unknown) {
+    return { error: `Unknown filter field: ${unknown}` };
+  }
+
+  const filter = {};
+
+  if (input.types !== undefined) {
+    if (!isStringArray(input.types)) return { error: 'filter.types must be an array of strings' };
+    filter.types = input.types;
+  }
+
+  if (input.storyId !== undefined) {
+    if (typeof input.storyId !== 'string') return { error: 'filter.storyId must be a string' };
+    filter.storyId = input.storyId;
+  }
+
+  if (input.tags !== undefined) {
+    if (isStringArray(input.tags)) {
+      filter.tags = input.tags;
+    } else if (isPlainObject(input.tags) && Object.keys(input.tags).every(key => key === 'any' || key === 'all')) {
+      if (input.tags.any !== undefined && !isStringArray(input.tags.any)) return { error: 'filter.tags.any must be an array of strings' };
+      if (input.tags.all !== undefined && !isStringArray(input.tags.all)) return { error: 'filter.tags.all must be an array of strings' };
+      if (input.tags.any) filter.tags = input.tags.any;
+      if (input.tags.all) filter.tagsAll = input.tags.all;
+    } else {
+      return { error: 'filter.tags must be an array of strings or an object like { "any": [...], "all": [...] }' };
+    }
+  }
+
+  for (const [field, key] of [['source', 'sources'], ['stage', 'stages']]) {
+    const value = input[field];
+    if (value === undefined) continue;
+    if (typeof value === 'string') {
+      filter[key] = [value];
+    } else if (isStringArray(value)) {
+      filter[key] = value;
+    } else {
+      return { error: `filter.${field} must be a string or an array of strings` };
+    }
+  }
+
+  for (const field of ['createdAfter', 'createdBefore']) {
+    if (input[field] === undefined) continue;
+    const time = typeof input[field] === 'string' ? parseTimestamp(input[field]) : null;
+    if (time === null) return { error: `filter.${field} must be a date or timestamp string` };
+    filter[field] = new Date(time).toISOString();
+  }
+
+  if (input.metadata !== undefined) {
+    if (!isPlainObject(input.metadata)) return { error: 'filter.metadata must be an object' };
+
+    filter.metadata = [];
+    for (const [key, condition] of Object.entries(input.metadata)) {
+      const path = key.split('.');
+      if (!path.every(segment => PATH_SEGMENT.test(segment))) {
+        return { error: `filter.metadata key "${key}" must be dot-separated letters, digits, _ or -` };
+      }
+
+      if (isScalar(condition)) {
+        filter.metadata.push({ path, op: 'eq', value: condition });
+        continue;
+      }
+      if (!isPlainObject(condition) || Object.keys(condition).length === 0) {
+        return { error: `filter.metadata.${key} must be a string, number, boolean or an operator object` };
+      }
+
+      for (const [op, value] of Object.entries(condition)) {
+        const error = validateOperator(key, op, value);
+        if (error) return { error };
+        filter.metadata.push({ path, op, value });
+      }
+    }
+  }
+
+  return { filter };
+}
+
+/**
+ * Predicate over index metadata ({ type, storyId, tags, source, stage,
+ * createdAt, metadata }) for a storage-form filter, or null for none
+ * @param {Object} filter - Storage-form filter
+ * @returns {Function|null}
+ */
+function compileMemoryFilter(filter = {}) {
+  const checks = filterChecks(filter);
+  if (checks.length === 0) return null;
+  return meta => checks.every(({ test }) => test(meta));
+}
+
+/**
+ * Names of the filter conditions a memory fails, e.g. ['stage', 'metadata.env']
+ * @param {Object} filter - Storage-form filter
+ * @param {Object} meta - Index metadata of the memory
+ * @returns {string[]} - Empty when the memory matches
+ */
+function failedFilterFields(filter, meta) {
+  return filterChecks(filter)
+    .filter(({ test }) => !test(meta))
+    .map(({ field }) => field);
+}
+
+// ─── Internals ────────────────────────────────────────────────
+
+/**
+ * One named test per condition of a storage-form filter
+ */
+function filterChecks(filter = {}) {
+  const checks = [];
+  const add = (field, test) => checks.push({ field, test });
+
+  if (filter.types?.length) {
+    const types = new Set(filter.types);
+    add('types', meta => types.has(meta.type));
+  }
+  if (filter.storyId) {
+    add('storyId', meta => meta.storyId === filter.storyId);
+  }
+  if (filter.tags?.length) {
+    const tags = new Set(filter.tags);
+    add('tags.any', meta => meta.tags.some(tag => tags.has(tag)));
+  }
+  if (filter.tagsAll?.length) {
+    add('tags.all', meta => filter.tagsAll.every(tag => meta.tags.includes(tag)));
+  }
+  if (filter.sources?.length) {
+    const sources = new Set(filter.sources);
+    add('source', meta => sources.has(meta.source));
+  }
+  if (filter.stages?.length) {
+    const stages = new Set(filter.stages);
+    add('stage', meta => stages.has(meta.stage));
+  }
+  if (filter.createdAfter) {
+    const after = Date.parse(filter.createdAfter);
+    add('createdAfter', meta => parseTimestamp(meta.createdAt) > after);
+  }
+  if (filter.createdBefore) {
+    const before = Date.parse(filter.createdBefore);
+    add('createdBefore', meta => parseTimestamp(meta.createdAt) < before);
+  }
+  for (const { path, op, value } of filter.metadata || []) {
+    add(`metadata.${path.join('.')}`, meta => compareMetadata(lookup(meta.metadata, path), op, value));
+  }
+
+  return checks;
+}
+
+function validateOperator(key, op, value) {
+  if (!METADATA_OPERATORS.includes(op)) {
+    return `filter.metadata.${key}: unknown operator ${op} (use ${METADATA_OPERATORS.join(', ')})`;
+  }
+  if (op === 'in') {
+    return Array.isArray(value) && value.length > 0 && value.every(isScalar)
+      ? null
+      : `filter.metadata.${key}.in must be a non-empty array of strings, numbers or booleans`;
+  }
+  if (RANGE_OPERATORS.includes(op)) {
+    return typeof value === 'number' || typeof value === 'string'
+      ? null
+      : `filter.metadata.${key}.${op} must be a number or string`;
+  }
+  return isScalar(value) ? null : `filter.metadata.${key}.${op} must be a string, number or boolean`;
+}
+
+function compareMetadata(actual, op, value) {
+  switch (op) {
+    case 'eq': return sameType(actual, value) && actual === value;
+    case 'ne': return !(sameType(actual, value) && actual === value);
+    case 'in': return value.some(v => sameType(actual, v) && actual === v);
+    case 'gt': return sameType(actual, value) && actual > value;
+    case 'gte': return sameType(actual, value) && actual >= value;
+    case 'lt': return sameType(actual, value) && actual < value;
+    case 'lte': return sameType(actual, value) && actual <= value;
+    default: return false;
+  }
+}
+
+function lookup(object, path) {
+  let value = object;
+  for (const segment of path) {
+    if (!isPlainObject(value)) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+function sameType(a, b) {
+  return isScalar(a) && typeof a === typeof b;
+}
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  parseMemoryFilter,
+  compileMemoryFilter,
+  failedFilterFields,
+  METADATA_OPERATORS
+};
@@ -0,0 +1,64 @@
+/**
+ * Hybrid score fusion for vector and keyword retrieval
+ *
+ * - weighted: semantic * vectorScore + keyword * keywordScore, where
+ *   keywordScore is BM25 divided by the best BM25 of the query. A memory with
+ *   no keyword match keeps its plain weighted vector score.
+ * - rrf:      reciprocal rank fusion, sum of weight / (rrfK + rank) over the
+ *   two rankings, scaled so a memory ranked first by both scores 1.
+ */
+
+const FUSION_METHODS = ['weighted', 'rrf', 'none'];
+
+/**
+ * Keyword scores scaled to 0..1 by the best score
+ * @param {Array<{id: string, score: number}>} hits - Raw BM25 results
+ * @returns {Map<string, number>}
+ */
+function normalizeKeywordScores(hits) {
+  const best = hits.reduce((max, hit) => Math.max(max, hit.score), 0);
+  return new Map(hits.map(hit => [hit.id, best > 0 ? hit.score / best : 0]));
+}
+
+/**
+ * Fused relevance of each candidate
+ * @param {Array<{id: string, vectorScore: number, keywordScore: number}>} candidates
+ * @param {Object} options - { method, weights: { semantic, keyword }, rrfK }
+ * @returns {Map<string, number>} - Fused score per candidate id
+ */
+function fuseScores(candidates, { method = 'weighted', weights = {}, rrfK = 60 } = {}) {
+  const semantic = weights.semantic ?? 1.0;
+  const keyword = weights.keyword ?? 0.6;
+
+  if (method === 'none') {
+    return new Map(candidates.map(c => [c.id, c.vectorScore]));
+  }
+
+  if (method === 'weighted') {
+    return new Map(candidates.map(c => [c.id, semantic * c.vectorScore + keyword * c.keywordScore]));
+  }
+
+  const vectorRanks = ranks(candidates, 'vectorScore');
+  const keywordRanks = ranks(candidates.filter(c => c.keywordScore > 0), 'keywordScore');
+  const best = (semantic + keyword) / (rrfK + 1);
+
+  return new Map(candidates.map(c => {
+    let score = semantic / (rrfK + vectorRanks.get(c.id));
+    if (keywordRanks.has(c.id)) score += keyword / (rrfK + keywordRanks.get(c.id));
+    return [c.id, best > 0 ? score / best : 0];
+  }));
+}
+
+/**
+ * 1-based rank of each candidate by a score field, best first
+ */
+function ranks(candidates, field) {
+  const sorted = [...candidates].sort((a, b) => b[field] - a[field]);
+  return new Map(sorted.map((c, i) => [c.id, i + 1]));
+}
+
+module.exports = {
+  fuseScores,
+  normalizeKeywordScores,
+  FUSION_METHODS
+};
@@ -0,0 +1,56 @@
+/**
+ * Maximal Marginal Relevance re-ranking
+ *
+ * Picks results one at a time, each maximizing
+ *   lambda * relevance - (1 - lambda) * (highest similarity to a result already picked)
+ * so near-duplicates of earlier picks sink below memories covering other
+ * aspects of the query. lambda = 1 is plain relevance order; lower values
+ * favour diversity.
+ */
+
+const { cosineSimilarity } = require('./cosine');
+
+const DEFAULT_MMR_LAMBDA = 0.7;
+
+/**
+ * Re-rank scored candidates with MMR
+ * @param {Array<{id: string, score: number}>} candidates - Candidates with relevance scores
+ * @param {Map<string, number[]>} embeddings - Embedding per candidate id
+ * @param {Object} options - { lambda, k }
+ * @returns {Array} - Up to k candidates in MMR order
+ */
+function maximalMarginalRelevance(candidates, embeddings, { lambda = DEFAULT_MMR_LAMBDA, k = 10 } = {}) {
+  const remaining = [...candidates];
+  // Highest similarity of each remaining candidate to anything picked so far
+  const redundancy = new Array(remaining.length).fill(0);
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let i = 0; i < remaining.length; i++) {
+      const score = lambda * remaining[i].score - (1 - lambda) * redundancy[i];
+      if (score > bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    }
+
+    const [picked] = remaining.splice(best, 1);
+    redundancy.splice(best, 1);
+    selected.push(picked);
+
+    const pickedEmbedding = embeddings.get(picked.id);
+    for (let i = 0; i < remaining.length; i++) {
+      const similarity = cosineSimilarity(pickedEmbedding, embeddings.get(remaining[i].id));
+      if (similarity > redundancy[i]) redundancy[i] = similarity;
+    }
+  }
+
+  return selected;
+}
+
+module.exports = {
+  maximalMarginalRelevance,
+  DEFAULT_MMR_LAMBDA
+};
@@ -0,0 +1,130 @@
+/**
+ * Opaque cursors for memory listing and recall
+ *
+ * A cursor is base64url-encoded JSON; clients pass it back unchanged.
+ * - Listing cursors hold the (created_at, id) of the last memory of a page,
+ *   so the next page starts right after it however many rows were inserted
+ *   meanwhile.
+ * - Recall cursors point into a ResultSnapshots entry: the ranked ids and
+ *   scores of a recall, kept for a while so every page comes from the same
+ *   ranking.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @param {Object} position - Cursor contents
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @returns {Object|null} - Cursor contents, or null when malformed
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof position === 'object' && position !== null && !Array.isArray(position) ? position : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * In-memory ranked result lists that recall pages are served from. Entries
+ * expire after ttlMs; past maxEntries snapshots, or maxResults results across
+ * all of them, the least recently used are dropped.
+ *
+ * Usage:
+ *   const snapshots = new ResultSnapshots({ ttlMs: 10 * 60 * 1000 });
+ *   const id = snapshots.create(results, { scope: 'bank:my-bank', query });
+ *   const snapshot = snapshots.get(id);   // { results, meta } or null once expired
+ */
+class ResultSnapshots {
+  constructor(options = {}) {
+    this.config = {
+      ttlMs: options.ttlMs ?? 10 * 60 * 1000,
+      maxEntries: options.maxEntries ?? 1000,
+      maxResults: options.maxResults ?? 100000
+    };
+
+    this.entries = new Map();   // id -> { results, meta, expiresAt }, least recently used first
+    this.resultCount = 0;       // results held across all entries
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Keep a ranked result list
+   * @param {Array<Object>} results - Every result, in rank order
+   * @param {Object} meta - Anything the pages need (scope, query, page size)
+   * @returns {string} - Snapshot id
+   */
+  create(results, meta = {}) {
+    this._expire();
+
+    const id = crypto.randomBytes(12).toString('hex');
+    this.entries.set(id, { results, meta, expiresAt: Date.now() + this.config.ttlMs });
+    this.resultCount += results.length;
+
+    // The new snapshot is kept even if it alone is over maxResults
+    while (this.entries.size > this.config.maxEntries ||
+           (this.resultCount > this.config.maxResults && this.entries.size > 1)) {
+      this._delete(this.entries.keys().next().value);
+    }
+    return id;
+  }
+
+  /**
+   * @param {string} id - Snapshot id
+   * @returns {{results: Array<Object>, meta: Object}|null} - null when unknown or expired
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this._delete(id);
+      return null;
+    }
+
+    // Refresh its LRU position
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+    return { results: entry.results, meta: entry.meta };
+  }
+
+  clear() {
+    this.entries.clear();
+    this.resultCount = 0;
+  }
+
+  /**
+   * @private
+   */
+  _delete(id) {
+    this.resultCount -= this.entries.get(id).results.length;
+    this.entries.delete(id);
+  }
+
+  /**
+   * @private
+   */
+  _expire() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) this._delete(id);
+    }
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  ResultSnapshots
+};
@@ -0,0 +1,123 @@
+/**
+ * Temporal decay for recall scores
+ *
+ * A memory's recency decays exponentially with age: decayFactor ^ days since
+ * created_at. With accessWeight > 0, a recent access (last_accessed_at, also
+ * decayed per day) lifts recency to at most accessWeight, so memories still
+ * in use stay near the top.
+ *
+ * weight is the share of the score that depends on recency:
+ *   score * (1 - weight + weight * recency)
+ * Brand-new memories keep their full score; the oldest lose `weight` of it.
+ *
+ * Settings come from config.yml (retrieval.strategies.temporal), then the
+ * bank's config.temporal, then the request's temporal field.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SETTING_RANGES = {
+  weight: [0, 1],
+  decayFactor: [0, 1],
+  accessWeight: [0, 1]
+};
+
+/**
+ * Why a temporal override is unusable, or null when it is fine
+ * @param {*} value - true/false or { enabled, weight, decayFactor, accessWeight }
+ * @returns {string|null}
+ */
+function validateTemporalSettings(value) {
+  if (typeof value === 'boolean') return null;
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return 'temporal must be a boolean or an object like { "weight": 0.4, "decayFactor": 0.95 }';
+  }
+
+  if (value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+    return 'temporal.enabled must be a boolean';
+  }
+  for (const [key, [min, max]] of Object.entries(SETTING_RANGES)) {
+    const setting = value[key];
+    if (setting !== undefined && (typeof setting !== 'number' || setting < min || setting > max)) {
+      return `temporal.${key} must be a number between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply overrides in order; true/false only switch decay on or off, and an
+ * object switches it on unless it says enabled: false
+ * @param {Object} defaults - { enabled, weight, decayFactor, accessWeight }
+ * @param {...*} overrides - Validated overrides, undefined to skip
+ * @returns {Object|null} - Effective settings, or null when decay is off
+ */
+function resolveTemporalSettings(defaults, ...overrides) {
+  let settings = { ...defaults };
+  for (const override of overrides) {
+    if (override === undefined || override === null) continue;
+    if (typeof override === 'boolean') {
+      settings.enabled = override;
+    } else {
+      settings = { ...settings, enabled: true, ...override };
+    }
+  }
+
+  if (!settings.enabled || settings.weight === 0) return null;
+  const { weight, decayFactor, accessWeight } = settings;
+  return { weight, decayFactor, accessWeight };
+}
+
+/**
+ * Recency of a memory between 0 (old, unused) and 1 (brand new)
+ * @param {Object} memory - Record with created_at and last_accessed_at
+ * @param {Object} settings - { decayFactor, accessWeight }
+ * @param {number} now - Epoch milliseconds
+ * @returns {number}
+ */
+function recencyScore(memory, { decayFactor, accessWeight }, now = Date.now()) {
+  const decay = (timestamp) => {
+    const time = parseTimestamp(timestamp);
+    if (time === null) return 0;
+    return Math.pow(decayFactor, Math.max(0, now - time) / DAY_MS);
+  };
+
+  const created = memory.created_at ? decay(memory.created_at) : 1;
+  if (!accessWeight || !memory.last_accessed_at) return created;
+
+  return Math.max(created, accessWeight * decay(memory.last_accessed_at));
+}
+
+/**
+ * Multiplier for a memory's score given its recency
+ */
+function temporalFactor(recency, { weight }) {
+  return 1 - weight + weight * recency;
+}
+
+/**
+ * Epoch milliseconds of an ISO string or an SQLite "YYYY-MM-DD HH:MM:SS"
+ * timestamp (UTC), or null when unreadable
+ */
+function parseTimestamp(value) {
+  const text = String(value);
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Current time as SQLite's CURRENT_TIMESTAMP writes it, so records given an
+ * explicit created_at (which the indexes need) sort with the rest
+ */
+function sqlTimestamp(date = new Date()) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+  validateTemporalSettings,
+  resolveTemporalSettings,
+  recencyScore,
+  temporalFactor,
+  parseTimestamp,
+  sqlTimestamp
+};
@@ -0,0 +1,111 @@
+#!/bin/bash
+# Hindsight Service - Admin Tests
+# Tests: T11.1 - T11.7
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+source "${SCRIPT_DIR}/utils.sh"
+
+print_header "11. ADMIN TESTS"
+
+# T11.1: Schema Version
+print_test "T11.1: Schema Version"
+RESPONSE=$(http_get "/admin/schema")
+STATUS=$(http_get_status "/admin/schema")
+
+assert_status "200" "$STATUS" "Schema endpoint returns 200"
+assert_json_exists "$RESPONSE" ".version" "Response includes version"
+
+VERSION=$(echo "$RESPONSE" | jq -r '.version')
+LATEST=$(echo "$RESPONSE" | jq -r '.latest')
+print_info "Schema version: $VERSION (latest: $LATEST)"
+
+# T11.2: Schema Fully Migrated
+print_test "T11.2: Schema Fully Migrated"
+if [ "$VERSION" == "$LATEST" ]; then
+    print_pass "Schema is at latest version ($VERSION)"
+else
+    print_fail "Expected version $LATEST, got $VERSION"
+fi
+assert_json_equals "$RESPONSE" ".pending | length" "0" "No pending migrations"
+
+# T11.3: Create Snapshot
+print_test "T11.3: Create Snapshot"
+setup_test_bank
+http_post "/banks/$TEST_BANK_ID/memories" '{"id":"snapshot-before","content":"Stored before the snapshot"}' > /dev/null
+
+STATUS=$(curl -s -o /tmp/hindsight-snapshot.json -w "%{http_code}" -X POST "${BASE_URL}/admin/snapshots" -H "Content-Type: application/json" -d '{}')
+RESPONSE=$(cat /tmp/hindsight-snapshot.json)
+rm -f /tmp/hindsight-snapshot.json
+SNAPSHOT=$(echo "$RESPONSE" | jq -r '.name')
+
+assert_status "201" "$STATUS" "Snapshot created"
+assert_json_exists "$RESPONSE" ".size" "Snapshot size reported"
+
+# T11.4: List Snapshots
+print_test "T11.4: List Snapshots"
+RESPONSE=$(http_get "/admin/snapshots")
+LISTED=$(echo "$RESPONSE" | jq --arg name "$SNAPSHOT" '[.snapshots[] | select(.name == $name)] | length')
+assert_json_equals "{\"count\":$LISTED}" ".count" "1" "New snapshot listed"
+
+# T11.5: Restore Snapshot
+print_test "T11.5: Restore Snapshot"
+http_post "/banks/$TEST_BANK_ID/memories" '{"id":"snapshot-after","content":"Stored after the snapshot"}' > /dev/null
+
+RESPONSE=$(http_post "/admin/snapshots/$SNAPSHOT/restore" '{}')
+assert_json_equals "$RESPONSE" ".restored" "$SNAPSHOT" "Snapshot restored"
+assert_json_exists "$RESPONSE" ".backup" "Previous state backed up"
+
+STATUS=$(http_get_status "/banks/$TEST_BANK_ID/memories/snapshot-before")
+assert_status "200" "$STATUS" "Memory from before the snapshot present"
+STATUS=$(http_get_status "/banks/$TEST_BANK_ID/memories/snapshot-after")
+assert_status "404" "$STATUS" "Memory from after the snapshot gone"
+
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"Stored after the snapshot","maxResults":20}')
+STALE=$(echo "$RESPONSE" | jq '[.memories[] | select(.id == "snapshot-after")] | length')
+assert_json_equals "{\"count\":$STALE}" ".count" "0" "Vector index rebuilt from snapshot"
+
+STATUS=$(http_post_status "/admin/snapshots/hindsight-missing.db/restore" '{}')
+assert_status "404" "$STATUS" "Unknown snapshot returns 404"
+
+# T11.6: Verify Reports Drift
+print_test "T11.6: Verify Reports Drift"
+# An embedding of the wrong size and a missing one both stay out of the vector index
+http_post "/banks/$TEST_BANK_ID/import" '{"merge":true,"data":{"memories":[
+  {"id":"verify-short","content":"Imported with a three dimensional embedding","embedding":[0.1,0.2,0.3]},
+  {"id":"verify-none","content":"Imported without any embedding at all"}
+]}}' > /dev/null
+
+STATUS=$(http_post_status "/admin/verify" '{}')
+assert_status "200" "$STATUS" "Verify endpoint returns 200"
+
+RESPONSE=$(http_post "/admin/verify" '{}')
+assert_json_exists "$RESPONSE" ".counts.orphanVectors" "Orphan vectors counted"
+assert_json_exists "$RESPONSE" ".counts.orphanKeywords" "Orphan keyword documents counted"
+assert_json_true "$RESPONSE" ".checked.keywords > 0" "Keyword documents checked"
+assert_json_equals "$RESPONSE" "[.issues.wrongDimensions[] | select(.id == \"verify-short\")] | .[0].dimensions" "3" "Wrong-dimension embedding reported"
+assert_json_equals "$RESPONSE" "[.issues.missingEmbeddings[] | select(. == \"verify-none\")] | length" "1" "Missing embedding reported"
+
+STATUS=$(http_post_status "/admin/verify" '{"repair":"yes"}')
+assert_status "400" "$STATUS" "Non-boolean repair returns 400"
+
+# T11.7: Verify Repairs Drift
+print_test "T11.7: Verify Repairs Drift"
+RESPONSE=$(http_post "/admin/verify" '{"repair":true}')
+REEMBEDDED=$(echo "$RESPONSE" | jq '.repairs.reembedded // 0')
+if [ "$REEMBEDDED" -ge 2 ]; then
+    print_pass "Embeddings regenerated ($REEMBEDDED)"
+else
+    print_fail "Expected at least 2 re-embedded memories, got $REEMBEDDED"
+fi
+
+RESPONSE=$(http_post "/admin/verify" '{}')
+assert_json_equals "$RESPONSE" "[.issues.wrongDimensions[] | select(.id == \"verify-short\")] | length" "0" "Wrong-dimension embedding repaired"
+assert_json_equals "$RESPONSE" "[.issues.missingEmbeddings[] | select(. == \"verify-none\")] | length" "0" "Missing embedding repaired"
+assert_json_equals "$RESPONSE" ".counts.orphanKeywords" "0" "No orphan keyword documents left"
+
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"Imported without any embedding at all","maxResults":5}')
+FOUND=$(echo "$RESPONSE" | jq '[.memories[] | select(.id == "verify-none")] | length')
+assert_json_equals "{\"count\":$FOUND}" ".count" "1" "Re-embedded memory is recalled"
+
+# Print summary
+print_summary "Admin Tests"
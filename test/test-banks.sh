@@ -1,6 +1,6 @@
 #!/bin/bash
 # Hindsight Service - Bank Management Tests
-# Tests: T2.1 - T2.10
+# Tests: T2.1 - T2.12
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 source "${SCRIPT_DIR}/utils.sh"
@@ -138,5 +138,27 @@ else
     print_fail "Expected 404 or 204, got $STATUS"
 fi
 
+# T2.11: Deleted Bank Goes to Trash
+print_test "T2.11: Deleted Bank Goes to Trash"
+RESPONSE=$(http_get "/trash")
+IN_TRASH=$(echo "$RESPONSE" | jq '[.banks[] | select(.id == "test-minimal")] | length')
+assert_json_equals "{\"count\":$IN_TRASH}" ".count" "1" "Deleted bank listed in trash"
+
+STATUS=$(http_post_status "/banks" '{"id":"test-minimal","name":"Minimal Bank"}')
+assert_status "409" "$STATUS" "Recreating a trashed bank id is refused"
+
+# T2.12: Restore Trashed Bank
+print_test "T2.12: Restore Trashed Bank"
+RESPONSE=$(http_post "/banks/test-minimal/restore" '{}')
+assert_json_equals "$RESPONSE" ".restored" "true" "Restore confirmed"
+
+STATUS=$(http_get_status "/banks/test-minimal")
+assert_status "200" "$STATUS" "Restored bank is visible again"
+
+# Permanent delete leaves nothing behind for the next run
+http_delete "/banks/test-minimal?permanent=true" > /dev/null
+STATUS=$(http_post_status "/banks/test-minimal/restore" '{}')
+assert_status "404" "$STATUS" "Permanently deleted bank cannot be restored"
+
 # Print summary
 print_summary "Bank Management Tests"
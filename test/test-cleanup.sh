@@ -1,6 +1,6 @@
 #!/bin/bash
 # Hindsight Service - Retention & Cleanup Tests
-# Tests: T8.1 - T8.6
+# Tests: T8.1 - T8.7
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 source "${SCRIPT_DIR}/utils.sh"
@@ -114,5 +114,24 @@ else
     print_fail "Expected 200, got $STATUS"
 fi
 
+# T8.7: Cleaned Up Memories Can Be Restored from Trash
+print_test "T8.7: Cleaned Up Memories Can Be Restored from Trash"
+http_post "/banks/$TEST_BANK_ID/memories" '{"id":"trash-test-1","content":"Memory removed by cleanup and restored","confidence":0.01}' > /dev/null 2>&1
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/cleanup" '{"strategy":"lowest_confidence","limit":1}')
+assert_json_equals "$RESPONSE" ".memories[0].id" "trash-test-1" "Cleanup removed the memory"
+
+STATUS=$(http_get_status "/banks/$TEST_BANK_ID/memories/trash-test-1")
+assert_status "404" "$STATUS" "Trashed memory hidden from reads"
+
+RESPONSE=$(http_get "/banks/$TEST_BANK_ID/trash")
+IN_TRASH=$(echo "$RESPONSE" | jq '[.memories[] | select(.id == "trash-test-1")] | length')
+assert_json_equals "{\"count\":$IN_TRASH}" ".count" "1" "Memory listed in bank trash"
+
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/trash/restore" '{"memoryIds":["trash-test-1"]}')
+assert_json_equals "$RESPONSE" ".restored" "1" "Memory restored"
+
+STATUS=$(http_get_status "/banks/$TEST_BANK_ID/memories/trash-test-1")
+assert_status "200" "$STATUS" "Restored memory readable again"
+
 # Print summary
 print_summary "Retention & Cleanup Tests"
@@ -1,6 +1,6 @@
 #!/bin/bash
 # Hindsight Service - Export/Import Tests
-# Tests: T7.1 - T7.6
+# Tests: T7.1 - T7.7
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 source "${SCRIPT_DIR}/utils.sh"
@@ -45,7 +45,7 @@ assert_status "404" "$STATUS" "Export non-existent bank returns 404"
 # T7.4: Import Bank (New)
 print_test "T7.4: Import Bank (New)"
 # Delete imported bank if exists
-http_delete "/banks/imported-bank" > /dev/null 2>&1
+http_delete "/banks/imported-bank?permanent=true" > /dev/null 2>&1
 
 # Create the import bank first
 http_post "/banks" '{"id":"imported-bank","name":"Imported Bank"}' > /dev/null 2>&1
@@ -87,8 +87,34 @@ STATUS=$(http_post_status "/banks/$TEST_BANK_ID/import" '{}')
 
 assert_status "400" "$STATUS" "Import without data returns 400"
 
+# T7.7: Import Without Merge Leaves the Trash Alone
+print_test "T7.7: Import Without Merge Leaves the Trash Alone"
+http_post "/banks" '{"id":"import-trash-bank","name":"Import Trash Bank"}' > /dev/null 2>&1
+http_post "/banks/import-trash-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"import-trash-1","content":"Original first memory"},
+  {"id":"import-trash-2","content":"Original second memory"},
+  {"id":"import-trash-3","content":"Original third memory"}
+]}' > /dev/null 2>&1
+http_delete "/banks/import-trash-bank/memories/import-trash-2" > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/import-trash-bank/import" '{"data":{"memories":[
+  {"id":"import-trash-1","content":"Imported first memory"},
+  {"id":"import-trash-2","content":"Imported second memory"}
+]}}')
+assert_json_equals "$RESPONSE" ".imported" "1" "Live memory replaced"
+assert_json_equals "$RESPONSE" ".skipped | join(\",\")" "import-trash-2" "Trashed memory skipped"
+
+RESPONSE=$(http_get "/banks/import-trash-bank/memories/import-trash-1/history")
+assert_json_equals "$RESPONSE" ".current.content" "Imported first memory" "Import replaced the content"
+assert_json_equals "$RESPONSE" ".revisions[0].content" "Original first memory" "Replaced version kept as a revision"
+
+RESPONSE=$(http_get "/banks/import-trash-bank/trash")
+assert_json_equals "$RESPONSE" "[.memories[] | .content] | sort | join(\",\")" "Original second memory,Original third memory" "Trash holds the original versions"
+
+http_delete "/banks/import-trash-bank?permanent=true" > /dev/null 2>&1
+
 # Cleanup imported bank
-http_delete "/banks/imported-bank" > /dev/null 2>&1
+http_delete "/banks/imported-bank?permanent=true" > /dev/null 2>&1
 
 # Print summary
 print_summary "Export/Import Tests"
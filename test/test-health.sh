@@ -39,6 +39,9 @@ VECTOR_INFO=$(echo "$RESPONSE" | jq '.providers.vectorIndex // .vectorIndex // e
 
 if [ -n "$VECTOR_INFO" ]; then
     assert_json_exists "$RESPONSE" ".providers.vectorIndex.initialized // .vectorIndex.initialized" "Vector index initialized field exists"
+    assert_json_exists "$RESPONSE" ".providers.vectorIndex.mode // .vectorIndex.mode" "Vector index search mode reported"
+    assert_json_exists "$RESPONSE" ".providers.vectorIndex.memory.bytesPerVector // .vectorIndex.memory.bytesPerVector" "Vector index memory usage reported"
+    assert_json_exists "$RESPONSE" ".providers.vectorIndex.workers // .vectorIndex.workers" "Vector index search workers reported"
     VECTOR_INIT=$(echo "$RESPONSE" | jq -r '.providers.vectorIndex.initialized // .vectorIndex.initialized // "unknown"')
     print_info "Vector index initialized: $VECTOR_INIT"
 else
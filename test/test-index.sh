@@ -0,0 +1,259 @@
+#!/bin/bash
+# Hindsight Service - Vector Index Tests
+# Tests: T12.1 - T12.8
+#
+# These tests restart the server, so they start their own instances on
+# HINDSIGHT_INDEX_PORT (default 8785) with a temporary data directory and
+# leave the server under test alone. HINDSIGHT_SERVER_CMD overrides how an
+# instance is started (default: node src/server.js).
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+source "${SCRIPT_DIR}/utils.sh"
+
+INDEX_PORT="${HINDSIGHT_INDEX_PORT:-8785}"
+SERVER_CMD="${HINDSIGHT_SERVER_CMD:-node ${SCRIPT_DIR}/../src/server.js}"
+BASE_CONFIG="${CONFIG_PATH:-${SCRIPT_DIR}/../config/config.yml}"
+WORK_DIR="$(mktemp -d)"
+INDEX_DATA_DIR="${WORK_DIR}/data"
+INDEX_BANK="index-test-bank"
+SERVER_PID=""
+
+export BASE_URL="http://localhost:${INDEX_PORT}"
+
+# Copy the base config, replacing settings nested one level deep
+# usage: write_config <file> [key=value ...]
+write_config() {
+    local file=$1
+    shift
+    cp "$BASE_CONFIG" "$file"
+    for setting in "$@"; do
+        sed -i.bak "s|^  ${setting%%=*}: [^#]*|  ${setting%%=*}: ${setting#*=}   |" "$file"
+    done
+    rm -f "${file}.bak"
+}
+
+# Start an instance and wait until it can embed
+start_index_server() {
+    PORT=$INDEX_PORT DATA_DIR=$INDEX_DATA_DIR CONFIG_PATH=$1 $SERVER_CMD >> "${WORK_DIR}/server.log" 2>&1 &
+    SERVER_PID=$!
+
+    for i in $(seq 1 240); do
+        if [ "$(http_get "/health" 2>/dev/null | jq -r '.providers.embeddings.ready' 2>/dev/null)" == "true" ]; then
+            return 0
+        fi
+        kill -0 "$SERVER_PID" 2>/dev/null || break
+        sleep 0.5
+    done
+
+    echo -e "${RED}ERROR: Index test server did not start (log: ${WORK_DIR}/server.log)${NC}"
+    tail -20 "${WORK_DIR}/server.log"
+    exit 1
+}
+
+# Graceful stop: the server saves its vector index on SIGTERM
+stop_index_server() {
+    kill "$SERVER_PID" 2>/dev/null
+    wait "$SERVER_PID" 2>/dev/null
+    SERVER_PID=""
+}
+
+# Hard stop: nothing is saved beyond the database journal
+crash_index_server() {
+    kill -9 "$SERVER_PID" 2>/dev/null
+    wait "$SERVER_PID" 2>/dev/null
+    SERVER_PID=""
+}
+
+cleanup_index_tests() {
+    [ -n "$SERVER_PID" ] && stop_index_server
+    rm -rf "$WORK_DIR"
+}
+trap cleanup_index_tests EXIT
+
+recall_ids() {
+    http_post "/banks/$INDEX_BANK/recall" "{\"query\":\"$1\",\"maxResults\":3,\"minConfidence\":-1}" | jq -c '[.memories[].id]'
+}
+
+assert_same_results() {
+    if [ "$1" == "$2" ]; then
+        print_pass "$3 ($2)"
+    else
+        print_fail "$3 (expected $1, got $2)"
+    fi
+}
+
+# Top results of a set of queries, scored by similarity alone
+recall_scores() {
+    for query in "checkout payment retries" "session expiry" "cached search results" "deploy database"; do
+        http_post "/banks/$INDEX_BANK/recall" "{\"query\":\"$query\",\"maxResults\":5,\"minConfidence\":-1,\"fusion\":\"none\",\"temporal\":false}" | jq -c '[.memories[] | {id, score}]'
+    done | jq -sc 'add'
+}
+
+# Same ids in the same order, scores within 0.001
+assert_same_scores() {
+    local matches=$(jq -n --argjson a "$1" --argjson b "$2" '
+        ($a | map(.id)) == ($b | map(.id)) and
+        ([range($a | length)] | all(($a[.].score - $b[.].score) | (if . < 0 then -. else . end) < 0.001))')
+    if [ "$matches" == "true" ]; then
+        print_pass "$3"
+    else
+        print_fail "$3 (expected $1, got $2)"
+    fi
+}
+
+index_startup() {
+    http_get "/health" | jq -c '.providers.vectorIndex | {source: .startup.source, replayed: .startup.replayed, removed: .startup.removed, vectorCount}'
+}
+
+print_header "12. VECTOR INDEX TESTS"
+
+CONFIG="${WORK_DIR}/config.yml"
+write_config "$CONFIG" "persist=true"
+
+# T12.1: Warm Start Loads the Saved Index
+print_test "T12.1: Warm Start Loads the Saved Index"
+start_index_server "$CONFIG"
+http_post "/banks" "{\"id\":\"$INDEX_BANK\",\"name\":\"Index Test Bank\"}" > /dev/null
+http_post "/banks/$INDEX_BANK/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"index-1","content":"Database migrations run before every deploy"},
+  {"id":"index-2","content":"The checkout page retries failed card payments twice"},
+  {"id":"index-3","content":"Login sessions expire after thirty minutes of inactivity"},
+  {"id":"index-4","content":"Search results are cached for five minutes"},
+  {"id":"index-5","content":"Invoices are emailed as PDF attachments"},
+  {"id":"index-6","content":"Feature flags are read from the config service at startup"}
+]}' > /dev/null
+
+BEFORE=$(recall_ids "database migrations before deploy")
+stop_index_server
+start_index_server "$CONFIG"
+
+STARTUP=$(index_startup)
+assert_json_equals "$STARTUP" ".source" "snapshot" "Index loaded from its snapshot, not rebuilt"
+assert_json_equals "$STARTUP" ".vectorCount" "6" "All vectors survive the restart"
+AFTER=$(recall_ids "database migrations before deploy")
+assert_same_results "$BEFORE" "$AFTER" "Recall results unchanged"
+
+# T12.2: Changes Since the Snapshot Are Replayed
+print_test "T12.2: Changes Since the Snapshot Are Replayed"
+http_post "/banks/$INDEX_BANK/memories" '{"id":"index-7","content":"Nightly backups are kept for thirty days","skipExtraction":true}' > /dev/null
+http_delete "/banks/$INDEX_BANK/memories/index-1" > /dev/null
+http_put "/banks/$INDEX_BANK/memories/index-2" '{"source":"human"}' > /dev/null
+crash_index_server
+start_index_server "$CONFIG"
+
+STARTUP=$(index_startup)
+assert_json_equals "$STARTUP" ".source" "snapshot" "Index loaded from its snapshot after a crash"
+assert_json_equals "$STARTUP" ".replayed" "2" "Memories stored or changed after the snapshot replayed"
+assert_json_equals "$STARTUP" ".removed" "1" "Memory deleted after the snapshot dropped"
+RESPONSE=$(http_post "/banks/$INDEX_BANK/recall" '{"query":"nightly backups kept","maxResults":10,"minConfidence":-1}')
+assert_json_equals "$RESPONSE" ".memories[0].id" "index-7" "Replayed memory is recalled"
+assert_json_equals "$RESPONSE" "[.memories[].id] | index(\"index-1\")" "null" "Deleted memory is not recalled"
+RESPONSE=$(http_post "/banks/$INDEX_BANK/recall" '{"query":"checkout payments","minConfidence":-1,"filter":{"source":"human"}}')
+assert_json_equals "$RESPONSE" "[.memories[].id] | join(\",\")" "index-2" "Filter sees the source changed after the snapshot"
+
+# T12.3: Snapshot Newer Than the Database Forces a Rebuild
+print_test "T12.3: Snapshot Newer Than the Database Forces a Rebuild"
+stop_index_server
+cp "${INDEX_DATA_DIR}/hindsight.db" "${WORK_DIR}/hindsight.db.bak"
+
+start_index_server "$CONFIG"
+http_post "/banks/$INDEX_BANK/memories" '{"id":"index-8","content":"Support tickets are triaged every morning","skipExtraction":true}' > /dev/null
+stop_index_server
+
+# Roll the database back to before index-8; the index snapshot still has it
+cp "${WORK_DIR}/hindsight.db.bak" "${INDEX_DATA_DIR}/hindsight.db"
+rm -f "${INDEX_DATA_DIR}/hindsight.db.journal"
+start_index_server "$CONFIG"
+
+STARTUP=$(index_startup)
+assert_json_equals "$STARTUP" ".source" "rebuild" "Stale snapshot rebuilt from the database"
+assert_json_equals "$STARTUP" ".vectorCount" "6" "Rebuilt index matches the database"
+RESPONSE=$(http_post "/banks/$INDEX_BANK/recall" '{"query":"support tickets triaged","maxResults":10,"minConfidence":-1}')
+assert_json_equals "$RESPONSE" "[.memories[].id] | index(\"index-8\")" "null" "Memory missing from the database is not recalled"
+
+# T12.4: Corrupt Snapshot Forces a Rebuild
+print_test "T12.4: Corrupt Snapshot Forces a Rebuild"
+BEFORE=$(recall_ids "login session expiry")
+stop_index_server
+
+SIZE=$(wc -c < "${INDEX_DATA_DIR}/vector-index.bin")
+head -c "$SIZE" /dev/urandom > "${INDEX_DATA_DIR}/vector-index.bin"
+start_index_server "$CONFIG"
+
+STARTUP=$(index_startup)
+assert_json_equals "$STARTUP" ".source" "rebuild" "Corrupt snapshot ignored and index rebuilt"
+assert_json_equals "$STARTUP" ".vectorCount" "6" "Rebuilt index holds every live memory"
+AFTER=$(recall_ids "login session expiry")
+assert_same_results "$BEFORE" "$AFTER" "Recall results unchanged"
+
+
+# T12.5: Quantized Recall Matches Full Precision
+print_test "T12.5: Quantized Recall Matches Full Precision"
+http_post "/banks/$INDEX_BANK/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"index-9","content":"Card payments that fail at checkout are retried by the payment worker"},
+  {"id":"index-10","content":"Idle sessions are logged out and must sign in again"},
+  {"id":"index-11","content":"The search cache is cleared whenever the catalog changes"},
+  {"id":"index-12","content":"Schema changes ship as numbered migrations with each deploy"}
+]}' > /dev/null
+stop_index_server
+
+FLOAT_CONFIG="${WORK_DIR}/float.yml"
+write_config "$FLOAT_CONFIG" "quantization=none" "workers=0"
+start_index_server "$FLOAT_CONFIG"
+BASELINE=$(recall_scores)
+stop_index_server
+
+INT8_CONFIG="${WORK_DIR}/int8.yml"
+write_config "$INT8_CONFIG" "quantization=int8" "workers=0"
+start_index_server "$INT8_CONFIG"
+assert_json_equals "$(http_get "/health")" ".providers.vectorIndex.codec" "int8" "Index rebuilt with int8 vectors"
+assert_same_scores "$BASELINE" "$(recall_scores)" "int8 recall returns the float32 results"
+assert_json_true "$(http_get "/health")" ".providers.vectorIndex.rescoredSearches > 0" "Quantized candidates rescored"
+stop_index_server
+
+# T12.6: Worker Scans Match Main-Thread Scans
+print_test "T12.6: Worker Scans Match Main-Thread Scans"
+WORKER_CONFIG="${WORK_DIR}/workers.yml"
+write_config "$WORKER_CONFIG" "quantization=none" "workers=2" "workerThreshold=1"
+start_index_server "$WORKER_CONFIG"
+assert_json_equals "$(http_get "/health")" ".providers.vectorIndex.workers" "2" "Worker pool started"
+assert_same_scores "$BASELINE" "$(recall_scores)" "Worker recall returns the main-thread results"
+assert_json_true "$(http_get "/health")" ".providers.vectorIndex.parallelSearches > 0" "Scans ran on the workers"
+stop_index_server
+
+# T12.7: Torn Journal Entry Does Not Hide Later Writes
+print_test "T12.7: Torn Journal Entry Does Not Hide Later Writes"
+# A crash mid-append leaves half an entry at the end of the journal
+printf '{"seq":999999,"sql":"INSERT INTO mem' >> "${INDEX_DATA_DIR}/hindsight.db.journal"
+start_index_server "$CONFIG"
+http_post "/banks/$INDEX_BANK/memories" '{"id":"index-13","content":"Written after a torn journal entry","skipExtraction":true}' > /dev/null
+crash_index_server
+start_index_server "$CONFIG"
+
+STATUS=$(http_get_status "/banks/$INDEX_BANK/memories/index-13")
+assert_status "200" "$STATUS" "Write made after the torn entry survives the next crash"
+stop_index_server
+
+# T12.8: Failed Vector Insert Leaves No Keyword Document
+print_test "T12.8: Failed Vector Insert Leaves No Keyword Document"
+# The embedder still returns full-size vectors, so every addVector is rejected
+DIM_CONFIG="${WORK_DIR}/dimensions.yml"
+write_config "$DIM_CONFIG" "dimensions=192"
+start_index_server "$DIM_CONFIG"
+DOCUMENTS=$(http_get "/health" | jq '.providers.keywordIndex.documents')
+http_post "/banks/$INDEX_BANK/memories/batch" '{"skipExtraction":true,"atomic":true,"memories":[
+  {"id":"index-14","content":"Zanzibar rollouts pause when the canary alarms"}
+]}' > /dev/null
+http_post "/banks/$INDEX_BANK/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"index-15","content":"Zanzibar canaries run for an hour before promotion"}
+]}' > /dev/null
+
+assert_json_equals "$(http_get "/health")" ".providers.keywordIndex.documents" "$DOCUMENTS" "Keyword index holds no document for either failed record"
+STATUS=$(http_get_status "/banks/$INDEX_BANK/memories/index-14")
+assert_status "404" "$STATUS" "Atomic batch rolled back"
+STATUS=$(http_get_status "/banks/$INDEX_BANK/memories/index-15")
+assert_status "404" "$STATUS" "Non-atomic batch dropped the failed record"
+stop_index_server
+
+# Print summary
+print_summary "Vector Index Tests"
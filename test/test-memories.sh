@@ -1,6 +1,6 @@
 #!/bin/bash
 # Hindsight Service - Memory Storage Tests
-# Tests: T3.1 - T3.12
+# Tests: T3.1 - T3.21
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 source "${SCRIPT_DIR}/utils.sh"
@@ -199,5 +199,161 @@ MEMORIES_COUNT=$(echo "$RESPONSE" | jq '.memories | length // 0')
 TOTAL=$(echo "$RESPONSE" | jq '.total // .totalCount // "unknown"')
 print_info "Retrieved: $MEMORIES_COUNT memories (total: $TOTAL)"
 
+# T3.13: Non-Atomic Batch Reports Per-Item Errors
+print_test "T3.13: Non-Atomic Batch Reports Per-Item Errors"
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/memories/batch" '{
+    "memories": [
+        {"id":"batch-partial-1","content":"Partial batch memory"},
+        {"type":"PATTERN"}
+    ],
+    "skipExtraction": true
+}')
+
+assert_json_equals "$RESPONSE" ".stored" "1" "Valid item stored"
+assert_json_equals "$RESPONSE" ".failed" "1" "Invalid item reported as failed"
+assert_json_equals "$RESPONSE" ".memories[1].stored" "false" "Failed item marked not stored"
+assert_json_exists "$RESPONSE" ".memories[1].error" "Failed item carries an error"
+
+# T3.14: Atomic Batch Rolls Back on Failure
+print_test "T3.14: Atomic Batch Rolls Back on Failure"
+STATUS=$(http_post_status "/banks/$TEST_BANK_ID/memories/batch" '{
+    "memories": [
+        {"id":"batch-atomic-1","content":"Atomic batch memory"},
+        {"id":"batch-partial-1","content":"Duplicate id fails the batch"}
+    ],
+    "atomic": true,
+    "skipExtraction": true
+}')
+
+if [ "$STATUS" != "201" ] && [ "$STATUS" != "200" ]; then
+    print_pass "Atomic batch with failing item rejected ($STATUS)"
+else
+    print_fail "Expected atomic batch to fail, got $STATUS"
+fi
+
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/memories/batch" '{
+    "memories": [
+        {"id":"batch-atomic-1","content":"Atomic batch memory"},
+        {"id":"batch-partial-1","content":"Duplicate id fails the batch"}
+    ],
+    "atomic": true,
+    "skipExtraction": true
+}')
+assert_json_equals "$RESPONSE" ".failed.index" "1" "Failing item index reported"
+assert_json_equals "$RESPONSE" ".failed.phase" "insert" "Failing phase reported"
+
+EXPORT=$(http_get "/banks/$TEST_BANK_ID/export")
+ROLLED_BACK=$(echo "$EXPORT" | jq '[.memories[] | select(.id == "batch-atomic-1")] | length')
+assert_json_equals "{\"count\":$ROLLED_BACK}" ".count" "0" "Earlier items rolled back"
+
+# T3.15: Get Single Memory
+print_test "T3.15: Get Single Memory"
+http_post "/banks/$TEST_BANK_ID/memories" '{"id":"crud-test-1","content":"Login button is labelled Sign In","type":"WORLD_FACT"}' > /dev/null
+RESPONSE=$(http_get "/banks/$TEST_BANK_ID/memories/crud-test-1")
+
+assert_json_equals "$RESPONSE" ".id" "crud-test-1" "Memory returned by id"
+assert_json_equals "$RESPONSE" ".type" "WORLD_FACT" "Memory type returned"
+STATUS=$(http_get_status "/banks/$TEST_BANK_ID/memories/does-not-exist")
+assert_status "404" "$STATUS" "Unknown memory returns 404"
+
+# T3.16: Update Memory Re-embeds Changed Content
+print_test "T3.16: Update Memory Re-embeds Changed Content"
+RESPONSE=$(http_put "/banks/$TEST_BANK_ID/memories/crud-test-1" '{"content":"Login button is labelled Log In"}')
+assert_json_equals "$RESPONSE" ".reembedded" "true" "Content change re-embeds"
+
+RESPONSE=$(http_patch "/banks/$TEST_BANK_ID/memories/crud-test-1" '{"confidence":0.5}')
+assert_json_equals "$RESPONSE" ".reembedded" "false" "Metadata-only patch skips re-embedding"
+
+RESPONSE=$(http_get "/banks/$TEST_BANK_ID/memories/crud-test-1")
+assert_json_equals "$RESPONSE" ".content" "Login button is labelled Log In" "Updated content persisted"
+assert_json_equals "$RESPONSE" ".confidence" "0.5" "Patched confidence persisted"
+
+# T3.17: Delete Single Memory
+print_test "T3.17: Delete Single Memory"
+RESPONSE=$(http_delete "/banks/$TEST_BANK_ID/memories/crud-test-1")
+assert_json_equals "$RESPONSE" ".deleted" "true" "Delete confirmed"
+STATUS=$(http_get_status "/banks/$TEST_BANK_ID/memories/crud-test-1")
+assert_status "404" "$STATUS" "Deleted memory no longer found"
+
+# T3.18: Revision History Keeps Prior Versions
+print_test "T3.18: Revision History Keeps Prior Versions"
+http_post "/banks/$TEST_BANK_ID/memories" '{"id":"revision-test-1","content":"Retry flaky payment tests twice","confidence":0.9}' > /dev/null
+http_patch "/banks/$TEST_BANK_ID/memories/revision-test-1" '{"content":"Never retry flaky payment tests","actor":"agent-b"}' > /dev/null
+http_patch "/banks/$TEST_BANK_ID/memories/revision-test-1" '{"tags":["payments"]}' > /dev/null
+
+RESPONSE=$(http_get "/banks/$TEST_BANK_ID/memories/revision-test-1/history")
+assert_json_equals "$RESPONSE" ".total" "1" "Only the content change created a revision"
+assert_json_equals "$RESPONSE" ".revisions[0].content" "Retry flaky payment tests twice" "Prior content kept"
+assert_json_equals "$RESPONSE" ".revisions[0].actor" "agent-b" "Actor recorded"
+assert_json_exists "$RESPONSE" ".revisions[0].created_at" "Revision timestamp recorded"
+
+# T3.19: Restore Memory Revision
+print_test "T3.19: Restore Memory Revision"
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/memories/revision-test-1/history/1/restore" '{}')
+assert_json_equals "$RESPONSE" ".restored" "true" "Restore confirmed"
+
+RESPONSE=$(http_get "/banks/$TEST_BANK_ID/memories/revision-test-1")
+assert_json_equals "$RESPONSE" ".content" "Retry flaky payment tests twice" "Content rolled back"
+
+RESPONSE=$(http_get "/banks/$TEST_BANK_ID/memories/revision-test-1/history")
+assert_json_equals "$RESPONSE" ".total" "2" "Replaced version kept as a revision"
+
+STATUS=$(http_post_status "/banks/$TEST_BANK_ID/memories/revision-test-1/history/99/restore" '{}')
+assert_status "404" "$STATUS" "Unknown revision returns 404"
+
+# T3.20: List Memories with Filter
+print_test "T3.20: List Memories with Filter"
+http_post "/banks" '{"id":"memories-filter-bank","name":"Filter Bank"}' > /dev/null 2>&1
+http_post "/banks/memories-filter-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"filter-1","content":"Login form uses two inputs","tags":["ui","login"],"source":"agent","metadata":{"priority":3}},
+  {"id":"filter-2","content":"Login button is blue","tags":["ui","login"],"source":"import","metadata":{"priority":1}},
+  {"id":"filter-3","content":"Signup form has a captcha","tags":["ui"],"source":"agent","metadata":{"priority":5}}
+]}' > /dev/null 2>&1
+
+FILTER=$(jq -rn --arg f '{"tags":{"all":["ui","login"]},"metadata":{"priority":{"gte":2}}}' '$f | @uri')
+RESPONSE=$(http_get "/banks/memories-filter-bank/memories?filter=$FILTER")
+assert_json_equals "$RESPONSE" ".total" "1" "All-of tags and metadata range narrow the listing"
+assert_json_equals "$RESPONSE" ".memories[0].id" "filter-1" "Matching memory listed"
+
+FILTER=$(jq -rn --arg f '{"source":"agent"}' '$f | @uri')
+RESPONSE=$(http_get "/banks/memories-filter-bank/memories?filter=$FILTER")
+assert_json_equals "$RESPONSE" ".total" "2" "Source filter"
+
+FILTER=$(jq -rn --arg f '{"metadata":{"priority":{"like":1}}}' '$f | @uri')
+STATUS=$(http_get_status "/banks/memories-filter-bank/memories?filter=$FILTER")
+assert_status "400" "$STATUS" "Unknown metadata operator returns 400"
+
+http_delete "/banks/memories-filter-bank?permanent=true" > /dev/null 2>&1
+
+# T3.21: List Memories with Cursor Pagination
+print_test "T3.21: List Memories with Cursor Pagination"
+http_post "/banks" '{"id":"memories-cursor-bank","name":"Cursor Bank"}' > /dev/null 2>&1
+http_post "/banks/memories-cursor-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"page-1","content":"First stored memory"},
+  {"id":"page-2","content":"Second stored memory"},
+  {"id":"page-3","content":"Third stored memory"}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_get "/banks/memories-cursor-bank/memories?limit=2")
+assert_json_equals "$RESPONSE" "[.memories[].id] | join(\",\")" "page-3,page-2" "First page is newest first"
+CURSOR=$(echo "$RESPONSE" | jq -r '.nextCursor')
+
+# A memory stored between pages must not shift the next page
+http_post "/banks/memories-cursor-bank/memories" '{"id":"page-9","content":"Stored while paging","skipExtraction":true}' > /dev/null 2>&1
+RESPONSE=$(http_get "/banks/memories-cursor-bank/memories?limit=2&cursor=$CURSOR")
+assert_json_equals "$RESPONSE" "[.memories[].id] | join(\",\")" "page-1" "Next page continues after the cursor"
+assert_json_equals "$RESPONSE" ".nextCursor" "null" "Last page has no next cursor"
+
+STATUS=$(http_get_status "/banks/memories-cursor-bank/memories?cursor=not-a-cursor")
+assert_status "400" "$STATUS" "Malformed cursor returns 400"
+
+STATUS=$(http_get_status "/banks/memories-cursor-bank/memories?cursor=$CURSOR&offset=2")
+assert_status "400" "$STATUS" "Cursor with offset returns 400"
+
+STATUS=$(http_get_status "/banks/memories-cursor-bank/memories?limit=-1")
+assert_status "400" "$STATUS" "Negative limit returns 400"
+
+http_delete "/banks/memories-cursor-bank?permanent=true" > /dev/null 2>&1
+
 # Print summary
 print_summary "Memory Storage Tests"
@@ -1,6 +1,6 @@
 #!/bin/bash
 # Hindsight Service - Memory Recall Tests
-# Tests: T4.1 - T4.14
+# Tests: T4.1 - T4.26
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 source "${SCRIPT_DIR}/utils.sh"
@@ -156,7 +156,7 @@ else
 fi
 
 # Cleanup empty bank
-http_delete "/banks/empty-bank" > /dev/null 2>&1
+http_delete "/banks/empty-bank?permanent=true" > /dev/null 2>&1
 
 # T4.11: Recall Missing Query
 print_test "T4.11: Recall Missing Query"
@@ -209,5 +209,327 @@ else
     print_info "Recall took ${DURATION}ms (may be slow due to LLM or cold start)"
 fi
 
+# T4.15: Recall Is Scoped to the Bank
+print_test "T4.15: Recall Is Scoped to the Bank"
+http_post "/banks" '{"id":"recall-other-bank","name":"Other Recall Bank"}' > /dev/null 2>&1
+for i in 1 2 3 4 5; do
+    http_post "/banks/recall-other-bank/memories" "{\"id\":\"recall-other-$i\",\"content\":\"Payment validation is critical for checkout $i\"}" > /dev/null 2>&1
+done
+
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"Payment validation is critical for checkout","maxResults":2,"minConfidence":-1}')
+MEMORIES_COUNT=$(echo "$RESPONSE" | jq '.memories | length // 0')
+FOREIGN=$(echo "$RESPONSE" | jq '[.memories[] | select(.id | startswith("recall-other-"))] | length')
+
+if [ "$MEMORIES_COUNT" -eq 2 ] && [ "$FOREIGN" -eq 0 ]; then
+    print_pass "Top-k comes back full and only from the requested bank"
+else
+    print_fail "Expected 2 results from $TEST_BANK_ID, got $MEMORIES_COUNT ($FOREIGN from another bank)"
+fi
+
+http_delete "/banks/recall-other-bank?permanent=true" > /dev/null 2>&1
+
+# T4.16: Recall with Tag Filter
+print_test "T4.16: Recall with Tag Filter"
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"payment validation","tags":["checkout","button"],"minConfidence":-1}')
+STATUS=$(http_post_status "/banks/$TEST_BANK_ID/recall" '{"query":"payment validation","tags":["checkout","button"],"minConfidence":-1}')
+
+assert_status "200" "$STATUS" "Recall with tags filter returns 200"
+MEMORIES_COUNT=$(echo "$RESPONSE" | jq '.memories | length // 0')
+UNTAGGED=$(echo "$RESPONSE" | jq '[.memories[] | select((.tags | index("checkout")) == null and (.tags | index("button")) == null)] | length')
+
+if [ "$MEMORIES_COUNT" -ge 2 ] && [ "$UNTAGGED" -eq 0 ]; then
+    print_pass "Only memories carrying one of the tags are returned ($MEMORIES_COUNT)"
+else
+    print_fail "Expected tagged memories only, got $MEMORIES_COUNT ($UNTAGGED without the tags)"
+fi
+
+STATUS=$(http_post_status "/banks/$TEST_BANK_ID/recall" '{"query":"payment","tags":"checkout"}')
+assert_status "400" "$STATUS" "Non-array tags returns 400"
+
+# T4.17: Recall with Diversity (MMR)
+print_test "T4.17: Recall with Diversity (MMR)"
+http_post "/banks" '{"id":"recall-mmr-bank","name":"Diversity Recall Bank"}' > /dev/null 2>&1
+http_post "/banks/recall-mmr-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"mmr-dup-1","content":"The checkout button is green on the cart page"},
+  {"id":"mmr-dup-2","content":"The checkout button is green on the cart page"},
+  {"id":"mmr-dup-3","content":"The checkout button is green on the cart page"},
+  {"id":"mmr-address","content":"Checkout requires a shipping address before payment"},
+  {"id":"mmr-stripe","content":"Checkout payments are processed by Stripe"}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/recall-mmr-bank/recall" '{"query":"checkout button","maxResults":3,"minConfidence":-1,"diversity":{"lambda":0.5}}')
+MEMORIES_COUNT=$(echo "$RESPONSE" | jq '.memories | length // 0')
+DUPLICATES=$(echo "$RESPONSE" | jq '[.memories[] | select(.id | startswith("mmr-dup-"))] | length')
+
+if [ "$MEMORIES_COUNT" -eq 3 ] && [ "$DUPLICATES" -eq 1 ]; then
+    print_pass "Near-identical memories collapse to one result"
+else
+    print_fail "Expected 3 results with 1 duplicate, got $MEMORIES_COUNT ($DUPLICATES duplicates)"
+fi
+assert_json_equals "$RESPONSE" ".diversity.lambda" "0.5" "Lambda echoed in response"
+
+STATUS=$(http_post_status "/banks/recall-mmr-bank/recall" '{"query":"checkout","diversity":{"lambda":2}}')
+assert_status "400" "$STATUS" "Lambda outside 0-1 returns 400"
+
+http_delete "/banks/recall-mmr-bank?permanent=true" > /dev/null 2>&1
+
+# T4.18: Hybrid Keyword Recall
+print_test "T4.18: Hybrid Keyword Recall"
+http_post "/banks" '{"id":"recall-hybrid-bank","name":"Hybrid Recall Bank"}' > /dev/null 2>&1
+http_post "/banks/recall-hybrid-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"hybrid-generic-1","content":"Connection resets during checkout are retried three times"},
+  {"id":"hybrid-generic-2","content":"Network errors on the payment page show a retry banner"},
+  {"id":"hybrid-generic-3","content":"The API client logs every failed connection attempt"},
+  {"id":"hybrid-exact","content":"Gateway error ERR_CONN_RESET_4471 means the card processor dropped the socket"}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/recall-hybrid-bank/recall" '{"query":"ERR_CONN_RESET_4471","minConfidence":-1}')
+assert_json_equals "$RESPONSE" ".memories[0].id" "hybrid-exact" "Exact identifier match ranks first"
+assert_json_equals "$RESPONSE" ".memories[0].keywordScore" "1" "Best keyword match has keywordScore 1"
+
+RESPONSE=$(http_post "/banks/recall-hybrid-bank/recall" '{"query":"ERR_CONN_RESET_4471","minConfidence":-1,"fusion":"rrf"}')
+assert_json_equals "$RESPONSE" ".memories[0].id" "hybrid-exact" "Exact identifier match ranks first with RRF"
+
+STATUS=$(http_post_status "/banks/recall-hybrid-bank/recall" '{"query":"checkout","fusion":"sum"}')
+assert_status "400" "$STATUS" "Unknown fusion method returns 400"
+
+http_delete "/banks/recall-hybrid-bank/memories/hybrid-exact" > /dev/null 2>&1
+RESPONSE=$(http_post "/banks/recall-hybrid-bank/recall" '{"query":"ERR_CONN_RESET_4471","minConfidence":-1}')
+EXACT_COUNT=$(echo "$RESPONSE" | jq '[.memories[] | select(.id == "hybrid-exact")] | length')
+if [ "$EXACT_COUNT" -eq 0 ]; then
+    print_pass "Deleted memory leaves the keyword index"
+else
+    print_fail "Deleted memory still recalled"
+fi
+
+http_delete "/banks/recall-hybrid-bank?permanent=true" > /dev/null 2>&1
+
+# T4.19: Recall with Temporal Decay
+print_test "T4.19: Recall with Temporal Decay"
+http_post "/banks" '{"id":"recall-temporal-bank","name":"Temporal Recall Bank"}' > /dev/null 2>&1
+http_post "/banks/recall-temporal-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"temporal-new","type":"DECISION","content":"Orders are stored in PostgreSQL"}
+]}' > /dev/null 2>&1
+
+# Same content and embedding, created a year earlier
+EMBEDDING=$(http_get "/banks/recall-temporal-bank/export" | jq -c '.memories[0].embedding')
+http_post "/banks/recall-temporal-bank/import" "{\"merge\":true,\"data\":{\"memories\":[
+  {\"id\":\"temporal-old\",\"type\":\"DECISION\",\"content\":\"Orders are stored in PostgreSQL\",\"embedding\":$EMBEDDING,\"created_at\":\"$(date -u -d '365 days ago' +%Y-%m-%dT%H:%M:%SZ)\"}
+]}}" > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/recall-temporal-bank/recall" '{"query":"orders database","minConfidence":-1}')
+assert_json_equals "$RESPONSE" ".memories[0].id" "temporal-new" "Decay applies by default"
+
+RESPONSE=$(http_post "/banks/recall-temporal-bank/recall" '{"query":"orders database","minConfidence":-1,"temporal":false}')
+SAME_SCORE=$(echo "$RESPONSE" | jq '(.memories | map(.score) | max - min) < 0.000001')
+assert_json_equals "$SAME_SCORE" "." "true" "Request turns decay off"
+
+RESPONSE=$(http_post "/banks/recall-temporal-bank/recall" '{"query":"orders database","minConfidence":-1,"temporal":{"weight":0.5}}')
+assert_json_equals "$RESPONSE" ".memories[0].id" "temporal-new" "Recent memory outranks an identical old one"
+OLD_RECENCY=$(echo "$RESPONSE" | jq '.memories[] | select(.id == "temporal-old") | .recency < 0.01')
+assert_json_equals "$OLD_RECENCY" "." "true" "Year-old memory has decayed recency"
+assert_json_equals "$RESPONSE" ".temporal.weight" "0.5" "Temporal settings echoed in response"
+
+http_put "/banks/recall-temporal-bank" '{"config":{"temporal":{"enabled":false}}}' > /dev/null 2>&1
+RESPONSE=$(http_post "/banks/recall-temporal-bank/recall" '{"query":"orders database","minConfidence":-1}')
+SAME_SCORE=$(echo "$RESPONSE" | jq '(.memories | map(.score) | max - min) < 0.000001')
+assert_json_equals "$SAME_SCORE" "." "true" "Bank config turns decay off"
+
+STATUS=$(http_post_status "/banks/recall-temporal-bank/recall" '{"query":"orders","temporal":{"decayFactor":2}}')
+assert_status "400" "$STATUS" "decayFactor above 1 returns 400"
+
+http_delete "/banks/recall-temporal-bank?permanent=true" > /dev/null 2>&1
+
+# T4.20: Recall with Rich Filters
+print_test "T4.20: Recall with Rich Filters"
+http_post "/banks" '{"id":"recall-filter-bank","name":"Filtered Recall Bank"}' > /dev/null 2>&1
+http_post "/banks/recall-filter-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"rf-draft","content":"Checkout retries failed card payments","stage":"draft","source":"agent","metadata":{"env":"prod","attempts":3}},
+  {"id":"rf-final","content":"Checkout retries failed card payments twice","stage":"final","source":"agent","metadata":{"env":"prod","attempts":2}},
+  {"id":"rf-staging","content":"Checkout retries card payments in staging","stage":"final","source":"import","metadata":{"env":"staging","attempts":5}}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/recall-filter-bank/recall" '{"query":"checkout payment retries","minConfidence":-1,"filter":{"stage":"final","metadata":{"env":"prod"}}}')
+assert_json_equals "$RESPONSE" "[.memories[].id] | join(\",\")" "rf-final" "Stage and metadata equality applied"
+
+RESPONSE=$(http_post "/banks/recall-filter-bank/recall" '{"query":"checkout payment retries","minConfidence":-1,"filter":{"source":["agent","import"],"metadata":{"attempts":{"gt":2}}}}')
+assert_json_equals "$RESPONSE" "[.memories[].id] | sort | join(\",\")" "rf-draft,rf-staging" "Metadata range applied"
+
+RESPONSE=$(http_post "/banks/recall-filter-bank/recall" '{"query":"checkout","minConfidence":-1,"filter":{"createdAfter":"2999-01-01"}}')
+assert_json_equals "$RESPONSE" ".memories | length" "0" "createdAfter excludes older memories"
+
+STATUS=$(http_post_status "/banks/recall-filter-bank/recall" '{"query":"checkout","filter":{"owner":"me"}}')
+assert_status "400" "$STATUS" "Unknown filter field returns 400"
+
+http_delete "/banks/recall-filter-bank?permanent=true" > /dev/null 2>&1
+
+# T4.21: Recall Explain Mode
+print_test "T4.21: Recall Explain Mode"
+http_post "/banks" '{"id":"recall-explain-bank","name":"Explain Recall Bank"}' > /dev/null 2>&1
+http_post "/banks/recall-explain-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"explain-kept","content":"Invoices are emailed after checkout","stage":"final"},
+  {"id":"explain-filtered","content":"Invoices are emailed as PDF attachments","stage":"draft"}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/recall-explain-bank/recall" '{"query":"invoices","minConfidence":-1,"filter":{"stage":"final"},"explain":true}')
+assert_json_exists "$RESPONSE" ".explain.path" "Search path reported"
+KEPT=$(echo "$RESPONSE" | jq -c '.explain.candidates[] | select(.id == "explain-kept")')
+assert_json_equals "$KEPT" ".status" "returned" "Returned candidate explained"
+assert_json_equals "$KEPT" ".matchedTerms[0].term" "invoices" "Matched keyword terms listed"
+FILTERED=$(echo "$RESPONSE" | jq -c '.explain.candidates[] | select(.id == "explain-filtered")')
+assert_json_equals "$FILTERED" ".status" "filtered" "Filtered-out candidate explained"
+assert_json_equals "$FILTERED" ".failedFilters[0]" "stage" "Excluding filter condition named"
+
+RESPONSE=$(http_post "/banks/recall-explain-bank/recall" '{"query":"invoices"}')
+assert_json_equals "$RESPONSE" ".explain" "null" "No explanation unless asked"
+
+STATUS=$(http_post_status "/banks/recall-explain-bank/recall" '{"query":"invoices","explain":"yes"}')
+assert_status "400" "$STATUS" "Non-boolean explain returns 400"
+
+http_delete "/banks/recall-explain-bank?permanent=true" > /dev/null 2>&1
+
+# T4.22: Multi-Bank Recall
+print_test "T4.22: Multi-Bank Recall"
+http_post "/banks" '{"id":"recall-multi-a","name":"Multi Recall A"}' > /dev/null 2>&1
+http_post "/banks" '{"id":"recall-multi-b","name":"Multi Recall B"}' > /dev/null 2>&1
+http_post "/banks/recall-multi-a/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"multi-a-1","content":"Refund requests are approved by the billing team"}
+]}' > /dev/null 2>&1
+http_post "/banks/recall-multi-b/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"multi-b-1","content":"Refund requests are approved by the billing team within a day"}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_post "/recall" '{"bankPattern":"recall-multi-*","query":"refund approval","minConfidence":-1}')
+assert_json_equals "$RESPONSE" ".banks | length" "2" "Pattern matches both banks"
+assert_json_equals "$RESPONSE" "[.memories[].bankId] | sort | join(\",\")" "recall-multi-a,recall-multi-b" "Results carry their bankId"
+
+RESPONSE=$(http_post "/recall" '{"bankIds":["recall-multi-a","recall-multi-b"],"bankWeights":{"recall-multi-a":0},"query":"refund approval","minConfidence":-1}')
+assert_json_equals "$RESPONSE" ".memories[0].bankId" "recall-multi-b" "Bank weights reorder the merged list"
+assert_json_equals "$RESPONSE" ".memories[1].score" "0" "Weight 0 zeroes a bank's scores"
+
+STATUS=$(http_post_status "/recall" '{"bankIds":["recall-multi-a","no-such-bank"],"query":"refund"}')
+assert_status "404" "$STATUS" "Unknown bank id returns 404"
+
+STATUS=$(http_post_status "/recall" '{"query":"refund"}')
+assert_status "400" "$STATUS" "Missing bankIds and bankPattern returns 400"
+
+STATUS=$(http_post_status "/recall" '{"bankPattern":"recall-multi-*","bankWeights":{"recall-multi-a":-1},"query":"refund"}')
+assert_status "400" "$STATUS" "Negative bank weight returns 400"
+
+http_delete "/banks/recall-multi-a?permanent=true" > /dev/null 2>&1
+http_delete "/banks/recall-multi-b?permanent=true" > /dev/null 2>&1
+
+# T4.23: Recall Falls Through to Parent Banks
+print_test "T4.23: Recall Falls Through to Parent Banks"
+http_post "/banks" '{"id":"recall-parent","name":"Parent Bank","context":"Team-wide billing conventions"}' > /dev/null 2>&1
+http_post "/banks" '{"id":"recall-child","name":"Child Bank","config":{"parentBankIds":["recall-parent"],"parentWeight":0.5}}' > /dev/null 2>&1
+http_post "/banks/recall-parent/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"inherit-parent-1","content":"Invoices are numbered per fiscal year"}
+]}' > /dev/null 2>&1
+http_post "/banks/recall-child/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"inherit-child-1","content":"Invoice numbers restart at one every fiscal year"}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/recall-child/recall" '{"query":"invoice numbering fiscal year","minConfidence":-1}')
+assert_json_equals "$RESPONSE" "[.memories[].bankId] | sort | join(\",\")" "recall-child,recall-parent" "Parent bank memories recalled"
+assert_json_equals "$RESPONSE" ".banks[1].weight" "0.5" "Parent level down-weighted"
+
+RESPONSE=$(http_post "/banks/recall-child/recall" '{"query":"invoice numbering fiscal year","minConfidence":-1,"inherit":false}')
+assert_json_equals "$RESPONSE" "[.memories[].bankId] | unique | join(\",\")" "recall-child" "inherit false searches the bank only"
+
+RESPONSE=$(http_post "/banks/recall-parent/recall" '{"query":"invoice numbering fiscal year","minConfidence":-1}')
+assert_json_equals "$RESPONSE" "[.memories[].bankId] | unique | join(\",\")" "recall-parent" "Parents do not see child memories"
+
+RESPONSE=$(http_put "/banks/recall-parent" '{"config":{"parentBankIds":["recall-child"]}}')
+assert_json_equals "$RESPONSE" ".error" "config.parentBankIds: recall-child already inherits from recall-parent" "Inheritance cycle rejected"
+
+STATUS=$(http_post_status "/banks" '{"id":"recall-orphan","name":"Orphan","config":{"parentBankIds":["no-such-bank"]}}')
+assert_status "400" "$STATUS" "Unknown parent bank returns 400"
+
+http_delete "/banks/recall-child?permanent=true" > /dev/null 2>&1
+http_delete "/banks/recall-parent?permanent=true" > /dev/null 2>&1
+
+# T4.24: Recall with Query Expansion
+print_test "T4.24: Recall with Query Expansion"
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"checkout payment check","expand":"paraphrase"}')
+assert_json_equals "$RESPONSE" ".expansion.mode" "paraphrase" "Expansion mode reported"
+QUERY_COUNT=$(echo "$RESPONSE" | jq '.expansion.queries | length')
+print_info "Paraphrases searched: $QUERY_COUNT"
+
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"checkout payment check","expand":"paraphrase"}')
+assert_json_equals "$RESPONSE" ".expansion.cached" "true" "Repeated query uses cached expansion"
+
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"checkout payment check","expand":"hyde"}')
+assert_json_equals "$RESPONSE" ".expansion.mode" "hyde" "HyDE expansion runs"
+assert_json_exists "$RESPONSE" ".memories" "Expanded recall returns memories"
+
+STATUS=$(http_post_status "/banks/$TEST_BANK_ID/recall" '{"query":"checkout","expand":"synonyms"}')
+assert_status "400" "$STATUS" "Unknown expand mode returns 400"
+
+# T4.25: Recall with Cross-Encoder Re-ranking
+print_test "T4.25: Recall with Cross-Encoder Re-ranking"
+RESPONSE=$(http_post "/banks/$TEST_BANK_ID/recall" '{"query":"payment validation","maxResults":2,"rerank":{"topN":5}}')
+assert_json_equals "$RESPONSE" ".rerank.topN" "5" "Re-rank shortlist size reported"
+assert_json_exists "$RESPONSE" ".rerank.model" "Re-rank model reported"
+assert_json_exists "$RESPONSE" ".memories[0].rerankScore" "Results carry their rerankScore"
+MEMORIES_COUNT=$(echo "$RESPONSE" | jq '.memories | length')
+if [ "$MEMORIES_COUNT" -le 2 ]; then
+    print_pass "Re-ranked results limited to maxResults ($MEMORIES_COUNT <= 2)"
+else
+    print_fail "Expected at most 2 re-ranked results, got $MEMORIES_COUNT"
+fi
+
+STATUS=$(http_post_status "/banks/$TEST_BANK_ID/recall" '{"query":"payment","rerank":{"topN":0}}')
+assert_status "400" "$STATUS" "Non-positive rerank.topN returns 400"
+
+# T4.26: Paginated Recall
+print_test "T4.26: Paginated Recall"
+http_post "/banks" '{"id":"recall-pages-bank","name":"Paginated Recall Bank"}' > /dev/null 2>&1
+http_post "/banks/recall-pages-bank/memories/batch" '{"skipExtraction":true,"memories":[
+  {"id":"pages-1","content":"Deploys run from the main branch"},
+  {"id":"pages-2","content":"Deploys need a green build first"},
+  {"id":"pages-3","content":"Deploys are announced in the team channel"},
+  {"id":"pages-4","content":"Rollbacks redeploy the previous build"},
+  {"id":"pages-5","content":"Hotfix deploys skip the staging soak"}
+]}' > /dev/null 2>&1
+
+RESPONSE=$(http_post "/banks/recall-pages-bank/recall" '{"query":"deploys","maxResults":2,"minConfidence":-1,"paginate":true}')
+assert_json_equals "$RESPONSE" ".memories | length" "2" "First page holds maxResults memories"
+assert_json_equals "$RESPONSE" ".totalResults" "5" "Total across pages reported"
+PAGE1=$(echo "$RESPONSE" | jq -c '[.memories[].id]')
+CURSOR=$(echo "$RESPONSE" | jq -r '.nextCursor')
+FIRST_CURSOR=$CURSOR
+
+RESPONSE=$(http_post "/banks/recall-pages-bank/recall" "{\"cursor\":\"$CURSOR\"}")
+PAGE2=$(echo "$RESPONSE" | jq -c '[.memories[].id]')
+CURSOR=$(echo "$RESPONSE" | jq -r '.nextCursor')
+RESPONSE=$(http_post "/banks/recall-pages-bank/recall" "{\"cursor\":\"$CURSOR\"}")
+assert_json_equals "$RESPONSE" ".nextCursor" "null" "Last page has no next cursor"
+ALL_IDS=$(echo "$PAGE1 $PAGE2 $(echo "$RESPONSE" | jq -c '[.memories[].id]')" | jq -s 'add | unique | length')
+if [ "$ALL_IDS" == "5" ]; then
+    print_pass "Pages cover every result once"
+else
+    print_fail "Expected 5 distinct memories across pages, got $ALL_IDS"
+fi
+
+# Without fusion or decay recall would fetch only maxResults candidates
+RESPONSE=$(http_post "/banks/recall-pages-bank/recall" '{"query":"deploys","maxResults":1,"minConfidence":-1,"fusion":"none","temporal":false,"paginate":true}')
+assert_json_equals "$RESPONSE" ".totalResults" "5" "Vector-only recall pages past maxResults"
+
+# Snapshots keep ids and scores; pages read the memories back from storage
+DELETED=$(echo "$PAGE2" | jq -r '.[0]')
+http_delete "/banks/recall-pages-bank/memories/$DELETED" > /dev/null 2>&1
+RESPONSE=$(http_post "/banks/recall-pages-bank/recall" "{\"cursor\":\"$FIRST_CURSOR\"}")
+assert_json_equals "$RESPONSE" "[.memories[].id] | index(\"$DELETED\")" "null" "Memory deleted after the first page is left out"
+assert_json_true "$RESPONSE" ".memories | length > 0 and all(.content != null and .score != null)" "Later page carries memory content"
+
+STATUS=$(http_post_status "/banks/$TEST_BANK_ID/recall" "{\"cursor\":\"$FIRST_CURSOR\"}")
+assert_status "400" "$STATUS" "Cursor from another bank's recall returns 400"
+
+STATUS=$(http_post_status "/banks/recall-pages-bank/recall" '{"cursor":"not-a-cursor"}')
+assert_status "400" "$STATUS" "Malformed cursor returns 400"
+
+http_delete "/banks/recall-pages-bank?permanent=true" > /dev/null 2>&1
+
 # Print summary
 print_summary "Memory Recall Tests"
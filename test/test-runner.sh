@@ -27,14 +27,16 @@ print_usage() {
     echo ""
     echo "Categories:"
     echo "  health      Health & stats tests (4 tests)"
-    echo "  banks       Bank management tests (10 tests)"
-    echo "  memories    Memory storage tests (12 tests)"
-    echo "  recall      Memory recall tests (14 tests)"
+    echo "  banks       Bank management tests (12 tests)"
+    echo "  memories    Memory storage tests (21 tests)"
+    echo "  recall      Memory recall tests (26 tests)"
     echo "  context     Context features tests (10 tests)"
     echo "  reflect     Reflection tests (4 tests)"
-    echo "  export      Export/import tests (6 tests)"
-    echo "  cleanup     Retention cleanup tests (6 tests)"
+    echo "  export      Export/import tests (7 tests)"
+    echo "  cleanup     Retention cleanup tests (7 tests)"
     echo "  errors      Error handling tests (8 tests)"
+    echo "  admin       Admin endpoint tests (7 tests)"
+    echo "  index       Vector index restart tests (8 tests, starts its own servers)"
     echo ""
     echo "Examples:"
     echo "  $0                    Run all tests"
@@ -59,7 +61,7 @@ while [[ $# -gt 0 ]]; do
             ;;
         -l|--list)
             echo "Available test categories:"
-            echo "  health, banks, memories, recall, context, reflect, export, cleanup, errors"
+            echo "  health, banks, memories, recall, context, reflect, export, cleanup, errors, admin, index"
             exit 0
             ;;
         *)
@@ -140,7 +142,7 @@ run_category() {
 
 # Run tests
 if [ "$RUN_ALL" = true ]; then
-    CATEGORIES=("health" "banks" "memories" "recall" "context" "reflect" "export" "cleanup" "errors")
+    CATEGORIES=("health" "banks" "memories" "recall" "context" "reflect" "export" "cleanup" "errors" "admin" "index")
 fi
 
 echo ""
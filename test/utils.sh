@@ -201,6 +201,14 @@ http_put() {
         -d "$data"
 }
 
+http_patch() {
+    local endpoint=$1
+    local data=$2
+    curl -s -X PATCH "${BASE_URL}${endpoint}" \
+        -H "Content-Type: application/json" \
+        -d "$data"
+}
+
 http_delete() {
     local endpoint=$1
     curl -s -X DELETE "${BASE_URL}${endpoint}"
@@ -220,10 +228,10 @@ setup_test_bank() {
 # Cleanup test banks
 cleanup_test_banks() {
     print_info "Cleaning up test banks..."
-    http_delete "/banks/$TEST_BANK_ID" > /dev/null 2>&1
-    http_delete "/banks/$TEST_BANK_MINIMAL" > /dev/null 2>&1
-    http_delete "/banks/$TEST_BANK_EMPTY" > /dev/null 2>&1
-    http_delete "/banks/$TEST_BANK_IMPORTED" > /dev/null 2>&1
+    http_delete "/banks/$TEST_BANK_ID?permanent=true" > /dev/null 2>&1
+    http_delete "/banks/$TEST_BANK_MINIMAL?permanent=true" > /dev/null 2>&1
+    http_delete "/banks/$TEST_BANK_EMPTY?permanent=true" > /dev/null 2>&1
+    http_delete "/banks/$TEST_BANK_IMPORTED?permanent=true" > /dev/null 2>&1
 }
 
 # Print test summary